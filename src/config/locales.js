@@ -0,0 +1,17 @@
+// Content languages. Text in the content tables is in the default locale;
+// every other supported locale is stored as per-field translations.
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || "en").toLowerCase();
+
+const SUPPORTED_LOCALES = [
+  ...new Set([
+    DEFAULT_LOCALE,
+    ...(process.env.SUPPORTED_LOCALES || "en,id")
+      .split(",")
+      .map((locale) => locale.trim().toLowerCase())
+      .filter(Boolean),
+  ]),
+];
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LOCALES, isSupportedLocale };
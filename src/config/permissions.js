@@ -0,0 +1,59 @@
+// Permission model. Roles map to permission sets; a user's permissions are
+// the union over their base role (users.role) and any assigned roles.
+const PERMISSIONS = [
+  "content.write",
+  "content.review",
+  "error_codes.publish",
+  "users.manage",
+  "analytics.read",
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  user: [],
+  editor: ["content.write"],
+  reviewer: ["content.write", "content.review"],
+  instructor: ["analytics.read"],
+  workshop_manager: ["users.manage", "analytics.read"],
+};
+
+// Roles that can be granted on top of the base role. Admin rights are only
+// given through users.role.
+const ASSIGNABLE_ROLES = [
+  "editor",
+  "reviewer",
+  "instructor",
+  "workshop_manager",
+];
+
+// Organization roles grant permissions over that organization's own content
+// and members only
+const ORG_ROLE_PERMISSIONS = {
+  admin: ["content.write", "content.review", "users.manage"],
+  member: [],
+};
+
+const permissionsFor = (roles) => [
+  ...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || [])),
+];
+
+// Expects a user as loaded by authenticateToken
+const hasPermission = (user, permission) =>
+  user.permissions.includes(permission);
+
+// Permissions the roles would grant that the user does not hold. Non-admins
+// may only hand out what they have themselves.
+const ungrantablePermissions = (user, roles) =>
+  user.role === "admin"
+    ? []
+    : permissionsFor(roles).filter((p) => !hasPermission(user, p));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  ORG_ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+  ungrantablePermissions,
+};
@@ -0,0 +1,13 @@
+const path = require("path");
+
+// Served statically at /uploads
+const UPLOADS_DIR = path.resolve(
+  process.env.UPLOADS_DIR || path.join(__dirname, "../../uploads")
+);
+
+// Built offline bundles, keyed by ETag
+const BUNDLE_CACHE_DIR = path.resolve(
+  process.env.BUNDLE_CACHE_DIR || path.join(__dirname, "../../cache/bundles")
+);
+
+module.exports = { UPLOADS_DIR, BUNDLE_CACHE_DIR };
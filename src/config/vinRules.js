@@ -0,0 +1,147 @@
+// Offline VIN decoding rules. WMIs (VIN positions 1-3) name the manufacturer
+// and the make used by the vehicle catalog; an optional `plants` map names
+// the assembly plant coded in position 11. The position 9 check digit is
+// mandatory for North American WMIs; others that always use it set
+// `checkDigit: true`.
+const WMI = {
+  // Indonesia
+  MHF: {
+    manufacturer: "PT Toyota Motor Manufacturing Indonesia",
+    make: "Toyota",
+    country: "Indonesia",
+  },
+  MHK: {
+    manufacturer: "PT Astra Daihatsu Motor",
+    make: "Daihatsu",
+    country: "Indonesia",
+  },
+  MHR: {
+    manufacturer: "PT Honda Prospect Motor",
+    make: "Honda",
+    country: "Indonesia",
+  },
+  MHY: {
+    manufacturer: "PT Suzuki Indomobil Motor",
+    make: "Suzuki",
+    country: "Indonesia",
+  },
+  MK2: {
+    manufacturer: "PT Mitsubishi Motors Krama Yudha Indonesia",
+    make: "Mitsubishi",
+    country: "Indonesia",
+  },
+  // Thailand
+  MR0: {
+    manufacturer: "Toyota Motor Thailand",
+    make: "Toyota",
+    country: "Thailand",
+  },
+  MMB: {
+    manufacturer: "Mitsubishi Motors Thailand",
+    make: "Mitsubishi",
+    country: "Thailand",
+  },
+  // Japan
+  JTD: {
+    manufacturer: "Toyota Motor Corporation",
+    make: "Toyota",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JTE: {
+    manufacturer: "Toyota Motor Corporation",
+    make: "Toyota",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JTM: {
+    manufacturer: "Toyota Motor Corporation",
+    make: "Toyota",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JHM: {
+    manufacturer: "Honda Motor Co.",
+    make: "Honda",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JN1: {
+    manufacturer: "Nissan Motor Co.",
+    make: "Nissan",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JM1: {
+    manufacturer: "Mazda Motor Corporation",
+    make: "Mazda",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JA3: {
+    manufacturer: "Mitsubishi Motors",
+    make: "Mitsubishi",
+    country: "Japan",
+    checkDigit: true,
+  },
+  JS2: {
+    manufacturer: "Suzuki Motor Corporation",
+    make: "Suzuki",
+    country: "Japan",
+    checkDigit: true,
+  },
+  // Korea
+  KMH: {
+    manufacturer: "Hyundai Motor Company",
+    make: "Hyundai",
+    country: "South Korea",
+    checkDigit: true,
+  },
+  KNA: {
+    manufacturer: "Kia Corporation",
+    make: "Kia",
+    country: "South Korea",
+    checkDigit: true,
+  },
+  // Europe
+  WVW: {
+    manufacturer: "Volkswagen AG",
+    make: "Volkswagen",
+    country: "Germany",
+  },
+  WBA: { manufacturer: "BMW AG", make: "BMW", country: "Germany" },
+  WDD: {
+    manufacturer: "Mercedes-Benz AG",
+    make: "Mercedes-Benz",
+    country: "Germany",
+  },
+  // North America
+  "1HG": {
+    manufacturer: "Honda of America",
+    make: "Honda",
+    country: "United States",
+    plants: { A: "Marysville, Ohio", L: "East Liberty, Ohio" },
+  },
+  "1FA": {
+    manufacturer: "Ford Motor Company",
+    make: "Ford",
+    country: "United States",
+  },
+  "1G1": {
+    manufacturer: "General Motors",
+    make: "Chevrolet",
+    country: "United States",
+  },
+};
+
+// Region of manufacture by the first VIN character, for unlisted WMIs
+const REGIONS = [
+  { from: "A", to: "H", region: "Africa" },
+  { from: "J", to: "R", region: "Asia" },
+  { from: "S", to: "Z", region: "Europe" },
+  { from: "1", to: "5", region: "North America" },
+  { from: "6", to: "7", region: "Oceania" },
+  { from: "8", to: "9", region: "South America" },
+];
+
+module.exports = { WMI, REGIONS };
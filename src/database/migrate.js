@@ -0,0 +1,218 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("../config/database");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const HISTORY_TABLE = "schema_migrations";
+
+// Migration files are named NNN_description.js and export { up: [], down: [] }
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const loadMigrations = () => {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => FILE_PATTERN.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const checksum = crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(filePath))
+        .digest("hex");
+      const { up, down } = require(filePath);
+
+      if (!Array.isArray(up) || !Array.isArray(down)) {
+        throw new Error(`Migration ${file} must export "up" and "down" arrays`);
+      }
+
+      return { version: parseInt(version), name, file, checksum, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureHistoryTable = async () => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+      version INT UNSIGNED PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const getApplied = async () => {
+  const [rows] = await db.query(
+    `SELECT version, name, checksum, applied_at FROM ${HISTORY_TABLE} ORDER BY version`
+  );
+  return rows;
+};
+
+// Compare migration files against the history table
+const getStatus = async () => {
+  await ensureHistoryTable();
+  const migrations = loadMigrations();
+  const applied = await getApplied();
+  const appliedByVersion = new Map(applied.map((a) => [a.version, a]));
+
+  const rows = migrations.map((m) => {
+    const record = appliedByVersion.get(m.version);
+    let state = "pending";
+    if (record) {
+      state = record.checksum === m.checksum ? "applied" : "modified";
+    }
+    return { ...m, state, appliedAt: record ? record.applied_at : null };
+  });
+
+  // Applied migrations whose file has been removed
+  const known = new Set(migrations.map((m) => m.version));
+  applied
+    .filter((a) => !known.has(a.version))
+    .forEach((a) => {
+      rows.push({
+        version: a.version,
+        name: a.name,
+        file: null,
+        state: "missing",
+        appliedAt: a.applied_at,
+      });
+    });
+
+  return rows.sort((a, b) => a.version - b.version);
+};
+
+const assertHistoryIntact = (rows) => {
+  const broken = rows.filter(
+    (r) => r.state === "modified" || r.state === "missing"
+  );
+  if (broken.length > 0) {
+    const list = broken.map((r) => `${r.version}_${r.name} (${r.state})`);
+    throw new Error(
+      `Migration history does not match files: ${list.join(", ")}`
+    );
+  }
+};
+
+// Apply pending migrations in order. MySQL commits DDL implicitly, so a
+// migration that fails halfway has to be cleaned up by hand before re-running.
+const migrateUp = async ({ steps } = {}) => {
+  const rows = await getStatus();
+  assertHistoryIntact(rows);
+
+  let pending = rows.filter((r) => r.state === "pending");
+  if (steps) pending = pending.slice(0, steps);
+
+  if (pending.length === 0) {
+    console.log("✅ Database is up to date");
+    return [];
+  }
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${migration.file}`);
+    for (const statement of migration.up) {
+      await db.query(statement);
+    }
+    await db.execute(
+      `INSERT INTO ${HISTORY_TABLE} (version, name, checksum) VALUES (?, ?, ?)`,
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s)`);
+  return pending;
+};
+
+// Roll back the most recently applied migrations (one by default)
+const migrateDown = async ({ steps = 1 } = {}) => {
+  const rows = await getStatus();
+  assertHistoryIntact(rows);
+
+  const toRollback = rows
+    .filter((r) => r.state === "applied")
+    .reverse()
+    .slice(0, steps);
+
+  if (toRollback.length === 0) {
+    console.log("✅ Nothing to roll back");
+    return [];
+  }
+
+  for (const migration of toRollback) {
+    console.log(`⬇️  Reverting ${migration.file}`);
+    for (const statement of migration.down) {
+      await db.query(statement);
+    }
+    await db.execute(`DELETE FROM ${HISTORY_TABLE} WHERE version = ?`, [
+      migration.version,
+    ]);
+  }
+
+  console.log(`✅ Reverted ${toRollback.length} migration(s)`);
+  return toRollback;
+};
+
+const printStatus = async () => {
+  const rows = await getStatus();
+  if (rows.length === 0) {
+    console.log("No migrations found");
+    return rows;
+  }
+
+  rows.forEach((r) => {
+    const appliedAt = r.appliedAt ? new Date(r.appliedAt).toISOString() : "";
+    console.log(
+      `${r.state.padEnd(8)} ${String(r.version).padStart(3, "0")}_${r.name} ${appliedAt}`
+    );
+  });
+  return rows;
+};
+
+const parseArgs = (argv) => {
+  const [command = "up", ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const [flag, inlineValue] = rest[i].split("=");
+    if (flag === "--steps") {
+      const value = inlineValue !== undefined ? inlineValue : rest[++i];
+      options.steps = parseInt(value);
+      if (!options.steps || options.steps < 1) {
+        throw new Error("--steps must be a positive integer");
+      }
+    }
+  }
+  return { command, options };
+};
+
+const run = async () => {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case "up":
+      await migrateUp(options);
+      break;
+    case "down":
+      await migrateDown(options);
+      break;
+    case "status":
+      await printStatus();
+      break;
+    default:
+      throw new Error(
+        `Unknown command "${command}". Usage: migrate [up|down|status] [--steps N]`
+      );
+  }
+};
+
+if (require.main === module) {
+  run()
+    .then(() => db.end())
+    .catch(async (err) => {
+      console.error("❌ Migration failed:", err.message);
+      await db.end();
+      process.exit(1);
+    });
+}
+
+module.exports = { loadMigrations, getStatus, migrateUp, migrateDown };
@@ -0,0 +1,242 @@
+// Baseline schema matching the queries in src/routes
+const TABLE_OPTIONS =
+  "ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci";
+
+module.exports = {
+  up: [
+    `CREATE TABLE users (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(191) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      phone VARCHAR(30) NULL,
+      role VARCHAR(30) NOT NULL DEFAULT 'user',
+      profile_image VARCHAR(500) NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_users_uuid (uuid),
+      UNIQUE KEY uq_users_email (email)
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE devices (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_id VARCHAR(191) NOT NULL,
+      device_name VARCHAR(100) NULL,
+      device_model VARCHAR(100) NULL,
+      os_version VARCHAR(50) NULL,
+      app_version VARCHAR(30) NULL,
+      fcm_token VARCHAR(255) NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      last_active_at TIMESTAMP NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_devices_user_device (user_id, device_id),
+      CONSTRAINT fk_devices_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE user_activities (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_id VARCHAR(191) NULL,
+      activity_type VARCHAR(50) NOT NULL,
+      reference_id INT UNSIGNED NULL,
+      reference_type VARCHAR(50) NULL,
+      metadata JSON NULL,
+      duration_seconds INT UNSIGNED NULL,
+      ip_address VARCHAR(45) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_user_activities_user (user_id, created_at),
+      KEY idx_user_activities_type (activity_type, created_at),
+      CONSTRAINT fk_user_activities_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE module_categories (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT NULL,
+      icon VARCHAR(100) NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE modules (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      category_id INT UNSIGNED NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      content LONGTEXT NOT NULL,
+      thumbnail_url VARCHAR(500) NULL,
+      is_downloadable BOOLEAN NOT NULL DEFAULT TRUE,
+      priority INT NOT NULL DEFAULT 0,
+      version INT UNSIGNED NOT NULL DEFAULT 1,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_modules_uuid (uuid),
+      KEY idx_modules_active_updated (is_active, updated_at),
+      CONSTRAINT fk_modules_category FOREIGN KEY (category_id) REFERENCES module_categories (id) ON DELETE SET NULL
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE module_attachments (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      module_id INT UNSIGNED NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_url VARCHAR(500) NOT NULL,
+      file_type VARCHAR(100) NULL,
+      file_size INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_module_attachments_module FOREIGN KEY (module_id) REFERENCES modules (id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE downloaded_modules (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      module_id INT UNSIGNED NOT NULL,
+      device_id VARCHAR(191) NOT NULL,
+      downloaded_version INT UNSIGNED NOT NULL,
+      downloaded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_downloaded_modules (user_id, module_id, device_id),
+      CONSTRAINT fk_downloaded_modules_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      CONSTRAINT fk_downloaded_modules_module FOREIGN KEY (module_id) REFERENCES modules (id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE meca_aid_categories (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT NULL,
+      icon VARCHAR(100) NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE meca_aids (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      category_id INT UNSIGNED NULL,
+      title VARCHAR(255) NOT NULL,
+      problem_description TEXT NOT NULL,
+      symptoms TEXT NULL,
+      causes TEXT NULL,
+      solutions TEXT NOT NULL,
+      tools_required TEXT NULL,
+      difficulty_level ENUM('easy', 'medium', 'hard') NOT NULL DEFAULT 'medium',
+      estimated_time VARCHAR(50) NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_meca_aids_uuid (uuid),
+      KEY idx_meca_aids_active_updated (is_active, updated_at),
+      CONSTRAINT fk_meca_aids_category FOREIGN KEY (category_id) REFERENCES meca_aid_categories (id) ON DELETE SET NULL
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE meca_aid_steps (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      meca_aid_id INT UNSIGNED NOT NULL,
+      step_number INT UNSIGNED NOT NULL,
+      title VARCHAR(255) NULL,
+      instruction TEXT NOT NULL,
+      image_url VARCHAR(500) NULL,
+      warning_text TEXT NULL,
+      tip_text TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_meca_aid_steps_number (meca_aid_id, step_number),
+      CONSTRAINT fk_meca_aid_steps_meca_aid FOREIGN KEY (meca_aid_id) REFERENCES meca_aids (id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE learning_animations (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      animation_type ENUM('2d', '3d', 'video', 'interactive') NOT NULL DEFAULT '2d',
+      file_url VARCHAR(500) NOT NULL,
+      thumbnail_url VARCHAR(500) NULL,
+      duration_seconds INT UNSIGNED NULL,
+      category VARCHAR(100) NULL,
+      tags JSON NULL,
+      view_count INT UNSIGNED NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_learning_animations_uuid (uuid),
+      KEY idx_learning_animations_category (category)
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE error_code_categories (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      code_prefix VARCHAR(5) NOT NULL,
+      vehicle_system VARCHAR(100) NULL,
+      description TEXT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_error_code_categories_prefix (code_prefix)
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE error_codes (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      category_id INT UNSIGNED NULL,
+      code VARCHAR(20) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NOT NULL,
+      possible_causes TEXT NULL,
+      symptoms TEXT NULL,
+      diagnostic_steps TEXT NULL,
+      repair_solutions TEXT NULL,
+      severity ENUM('low', 'medium', 'high', 'critical') NOT NULL DEFAULT 'medium',
+      affected_vehicles TEXT NULL,
+      search_count INT UNSIGNED NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_error_codes_code (code),
+      FULLTEXT KEY ft_error_codes (code, title, description, possible_causes),
+      CONSTRAINT fk_error_codes_category FOREIGN KEY (category_id) REFERENCES error_code_categories (id) ON DELETE SET NULL
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE sync_logs (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      device_id VARCHAR(191) NULL,
+      sync_type VARCHAR(20) NOT NULL,
+      items_synced INT UNSIGNED NOT NULL DEFAULT 0,
+      last_sync_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_sync_logs_device (user_id, device_id, last_sync_at),
+      CONSTRAINT fk_sync_logs_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ${TABLE_OPTIONS}`,
+
+    `CREATE TABLE app_settings (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      setting_key VARCHAR(100) NOT NULL,
+      setting_value TEXT NULL,
+      description VARCHAR(255) NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_app_settings_key (setting_key)
+    ) ${TABLE_OPTIONS}`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS app_settings",
+    "DROP TABLE IF EXISTS sync_logs",
+    "DROP TABLE IF EXISTS error_codes",
+    "DROP TABLE IF EXISTS error_code_categories",
+    "DROP TABLE IF EXISTS learning_animations",
+    "DROP TABLE IF EXISTS meca_aid_steps",
+    "DROP TABLE IF EXISTS meca_aids",
+    "DROP TABLE IF EXISTS meca_aid_categories",
+    "DROP TABLE IF EXISTS downloaded_modules",
+    "DROP TABLE IF EXISTS module_attachments",
+    "DROP TABLE IF EXISTS modules",
+    "DROP TABLE IF EXISTS module_categories",
+    "DROP TABLE IF EXISTS user_activities",
+    "DROP TABLE IF EXISTS devices",
+    "DROP TABLE IF EXISTS users",
+  ],
+};
@@ -0,0 +1,14 @@
+// Full-text indexes used by the unified /api/search endpoint
+module.exports = {
+  up: [
+    "ALTER TABLE modules ADD FULLTEXT KEY ft_modules (title, description, content)",
+    "ALTER TABLE meca_aids ADD FULLTEXT KEY ft_meca_aids (title, problem_description, symptoms, causes)",
+    "ALTER TABLE learning_animations ADD FULLTEXT KEY ft_learning_animations (title, description)",
+  ],
+
+  down: [
+    "ALTER TABLE learning_animations DROP INDEX ft_learning_animations",
+    "ALTER TABLE meca_aids DROP INDEX ft_meca_aids",
+    "ALTER TABLE modules DROP INDEX ft_modules",
+  ],
+};
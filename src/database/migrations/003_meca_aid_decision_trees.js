@@ -0,0 +1,23 @@
+// Branching Meca Aid steps. Existing rows stay linear: an instruction step
+// with no next_step falls through to step_number + 1.
+module.exports = {
+  up: [
+    `ALTER TABLE meca_aid_steps
+      ADD COLUMN step_type ENUM('instruction', 'question') NOT NULL DEFAULT 'instruction' AFTER step_number,
+      ADD COLUMN question VARCHAR(500) NULL AFTER instruction,
+      ADD COLUMN answer_type ENUM('yes_no', 'multiple_choice') NULL AFTER question,
+      ADD COLUMN options JSON NULL AFTER answer_type,
+      ADD COLUMN next_step INT UNSIGNED NULL AFTER options,
+      ADD COLUMN is_terminal BOOLEAN NOT NULL DEFAULT FALSE AFTER next_step`,
+  ],
+
+  down: [
+    `ALTER TABLE meca_aid_steps
+      DROP COLUMN is_terminal,
+      DROP COLUMN next_step,
+      DROP COLUMN options,
+      DROP COLUMN answer_type,
+      DROP COLUMN question,
+      DROP COLUMN step_type`,
+  ],
+};
@@ -0,0 +1,32 @@
+// Full module snapshots, one row per version
+module.exports = {
+  up: [
+    `CREATE TABLE module_revisions (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      module_id INT UNSIGNED NOT NULL,
+      version INT UNSIGNED NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      content LONGTEXT NOT NULL,
+      category_id INT UNSIGNED NULL,
+      thumbnail_url VARCHAR(500) NULL,
+      is_downloadable BOOLEAN NOT NULL,
+      priority INT NOT NULL,
+      is_active BOOLEAN NOT NULL,
+      change_note VARCHAR(255) NULL,
+      restored_from INT UNSIGNED NULL,
+      created_by INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_module_revisions_version (module_id, version),
+      CONSTRAINT fk_module_revisions_module FOREIGN KEY (module_id) REFERENCES modules (id) ON DELETE CASCADE,
+      CONSTRAINT fk_module_revisions_user FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    // Existing modules start their history at their current version
+    `INSERT INTO module_revisions (module_id, version, title, description, content, category_id, thumbnail_url, is_downloadable, priority, is_active, change_note)
+      SELECT id, version, title, description, content, category_id, thumbnail_url, is_downloadable, priority, is_active, 'Initial snapshot'
+      FROM modules`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS module_revisions"],
+};
@@ -0,0 +1,33 @@
+// Append-only change log. Its auto-increment id is the sync cursor handed to
+// devices, so ordering never depends on device or server wall clocks.
+const backfill = (entityType, table, keyColumn) =>
+  `INSERT INTO change_log (entity_type, entity_key, operation, changed_at)
+    SELECT '${entityType}', ${keyColumn}, IF(is_active, 'upsert', 'delete'), updated_at
+    FROM ${table}
+    ORDER BY updated_at, id`;
+
+module.exports = {
+  up: [
+    `CREATE TABLE change_log (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_key VARCHAR(64) NOT NULL,
+      operation ENUM('upsert', 'delete') NOT NULL,
+      changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_change_log_entity (entity_type, entity_key, id),
+      KEY idx_change_log_changed_at (changed_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    backfill("module", "modules", "uuid"),
+    backfill("meca_aid", "meca_aids", "uuid"),
+    backfill("error_code", "error_codes", "code"),
+    backfill("animation", "learning_animations", "uuid"),
+
+    "ALTER TABLE sync_logs ADD COLUMN sync_cursor BIGINT UNSIGNED NULL AFTER items_synced",
+  ],
+
+  down: [
+    "ALTER TABLE sync_logs DROP COLUMN sync_cursor",
+    "DROP TABLE IF EXISTS change_log",
+  ],
+};
@@ -0,0 +1,25 @@
+// Content-addressed uploads, deduplicated by SHA-256 per upload kind
+module.exports = {
+  up: [
+    `CREATE TABLE uploaded_files (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      kind VARCHAR(20) NOT NULL,
+      sha256 CHAR(64) NOT NULL,
+      file_url VARCHAR(500) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      file_size INT UNSIGNED NOT NULL,
+      original_name VARCHAR(255) NULL,
+      uploaded_by INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_uploaded_files_hash (kind, sha256),
+      CONSTRAINT fk_uploaded_files_user FOREIGN KEY (uploaded_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    "ALTER TABLE module_attachments ADD COLUMN content_hash CHAR(64) NULL AFTER file_size",
+  ],
+
+  down: [
+    "ALTER TABLE module_attachments DROP COLUMN content_hash",
+    "DROP TABLE IF EXISTS uploaded_files",
+  ],
+};
@@ -0,0 +1,38 @@
+// One session per signed-in device. Every refresh token issued for a session
+// belongs to the same family, so revoking the session cuts off all of them.
+module.exports = {
+  up: [
+    `CREATE TABLE auth_sessions (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      device_id VARCHAR(191) NULL,
+      ip_address VARCHAR(45) NULL,
+      expires_at TIMESTAMP NOT NULL,
+      last_used_at TIMESTAMP NULL,
+      revoked_at TIMESTAMP NULL,
+      revoked_reason VARCHAR(50) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_auth_sessions_uuid (uuid),
+      KEY idx_auth_sessions_user_device (user_id, device_id),
+      CONSTRAINT fk_auth_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE refresh_tokens (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      session_id INT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+      KEY idx_refresh_tokens_session (session_id),
+      CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS refresh_tokens",
+    "DROP TABLE IF EXISTS auth_sessions",
+  ],
+};
@@ -0,0 +1,28 @@
+// Single-use tokens for password resets and email verification. Only a hash
+// of each token is stored.
+module.exports = {
+  up: [
+    "ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP NULL AFTER is_active",
+
+    // Accounts created before verification existed are treated as verified
+    "UPDATE users SET email_verified_at = created_at",
+
+    `CREATE TABLE user_tokens (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      purpose ENUM('password_reset', 'email_verification') NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_user_tokens_hash (token_hash),
+      KEY idx_user_tokens_user (user_id, purpose),
+      CONSTRAINT fk_user_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS user_tokens",
+    "ALTER TABLE users DROP COLUMN email_verified_at",
+  ],
+};
@@ -0,0 +1,16 @@
+// Failed sign-in counters per account (normalized email) and per client IP
+module.exports = {
+  up: [
+    `CREATE TABLE login_throttles (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('account', 'ip') NOT NULL,
+      identifier VARCHAR(191) NOT NULL,
+      failed_count INT UNSIGNED NOT NULL DEFAULT 0,
+      last_failed_at TIMESTAMP NULL,
+      locked_until TIMESTAMP NULL,
+      UNIQUE KEY uq_login_throttles_scope (scope, identifier)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS login_throttles"],
+};
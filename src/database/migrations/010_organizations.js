@@ -0,0 +1,40 @@
+// Workshops and dealer partners. Content with a NULL organization_id is the
+// shared public catalog; otherwise it is private to that organization, and
+// the organization cannot be deleted while it still owns content.
+module.exports = {
+  up: [
+    `CREATE TABLE organizations (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      slug VARCHAR(100) NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_organizations_uuid (uuid),
+      UNIQUE KEY uq_organizations_slug (slug)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `ALTER TABLE users
+      ADD COLUMN organization_id INT UNSIGNED NULL AFTER role,
+      ADD COLUMN org_role ENUM('member', 'admin') NOT NULL DEFAULT 'member' AFTER organization_id,
+      ADD CONSTRAINT fk_users_organization FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE SET NULL`,
+
+    `ALTER TABLE modules
+      ADD COLUMN organization_id INT UNSIGNED NULL AFTER category_id,
+      ADD KEY idx_modules_organization (organization_id),
+      ADD CONSTRAINT fk_modules_organization FOREIGN KEY (organization_id) REFERENCES organizations (id)`,
+
+    `ALTER TABLE meca_aids
+      ADD COLUMN organization_id INT UNSIGNED NULL AFTER category_id,
+      ADD KEY idx_meca_aids_organization (organization_id),
+      ADD CONSTRAINT fk_meca_aids_organization FOREIGN KEY (organization_id) REFERENCES organizations (id)`,
+  ],
+
+  down: [
+    "ALTER TABLE meca_aids DROP FOREIGN KEY fk_meca_aids_organization, DROP KEY idx_meca_aids_organization, DROP COLUMN organization_id",
+    "ALTER TABLE modules DROP FOREIGN KEY fk_modules_organization, DROP KEY idx_modules_organization, DROP COLUMN organization_id",
+    "ALTER TABLE users DROP FOREIGN KEY fk_users_organization, DROP COLUMN org_role, DROP COLUMN organization_id",
+    "DROP TABLE IF EXISTS organizations",
+  ],
+};
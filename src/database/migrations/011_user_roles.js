@@ -0,0 +1,16 @@
+// Roles granted on top of users.role, e.g. editor or reviewer
+module.exports = {
+  up: [
+    `CREATE TABLE user_roles (
+      user_id INT UNSIGNED NOT NULL,
+      role VARCHAR(30) NOT NULL,
+      granted_by INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, role),
+      CONSTRAINT fk_user_roles_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      CONSTRAINT fk_user_roles_granted_by FOREIGN KEY (granted_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS user_roles"],
+};
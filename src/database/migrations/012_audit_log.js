@@ -0,0 +1,20 @@
+// Who changed what in user administration
+module.exports = {
+  up: [
+    `CREATE TABLE audit_log (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT UNSIGNED NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(30) NOT NULL,
+      target_id INT UNSIGNED NULL,
+      changes JSON NULL,
+      ip_address VARCHAR(45) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_audit_log_target (target_type, target_id, created_at),
+      KEY idx_audit_log_actor (actor_id, created_at),
+      CONSTRAINT fk_audit_log_actor FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS audit_log"],
+};
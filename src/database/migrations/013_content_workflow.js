@@ -0,0 +1,43 @@
+// Editorial status and publish window for synced content. Rows that already
+// exist are live, so they start out published; new rows default to draft.
+const CONTENT_TABLES = [
+  "modules",
+  "meca_aids",
+  "error_codes",
+  "learning_animations",
+];
+
+module.exports = {
+  up: [
+    ...CONTENT_TABLES.flatMap((table) => [
+      `ALTER TABLE ${table}
+        ADD COLUMN status ENUM('draft', 'in_review', 'published', 'archived') NOT NULL DEFAULT 'published' AFTER is_active,
+        ADD COLUMN publish_at DATETIME NULL AFTER status,
+        ADD COLUMN unpublish_at DATETIME NULL AFTER publish_at,
+        ADD KEY idx_${table}_status (status)`,
+      `ALTER TABLE ${table} ALTER COLUMN status SET DEFAULT 'draft'`,
+    ]),
+
+    `CREATE TABLE content_workflow_events (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_key VARCHAR(64) NOT NULL,
+      action VARCHAR(30) NOT NULL,
+      from_status VARCHAR(20) NULL,
+      to_status VARCHAR(20) NOT NULL,
+      note TEXT NULL,
+      user_id INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_content_workflow_events_entity (entity_type, entity_key, id),
+      CONSTRAINT fk_content_workflow_events_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS content_workflow_events",
+    ...CONTENT_TABLES.map(
+      (table) =>
+        `ALTER TABLE ${table} DROP KEY idx_${table}_status, DROP COLUMN unpublish_at, DROP COLUMN publish_at, DROP COLUMN status`
+    ),
+  ],
+};
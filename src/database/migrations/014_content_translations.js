@@ -0,0 +1,23 @@
+// Per-field translations of content and category text. `field` is a column
+// name, or a path such as "steps.3.instruction" for Meca Aid steps, so
+// translations survive the steps being rewritten.
+module.exports = {
+  up: [
+    `CREATE TABLE content_translations (
+      id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id INT UNSIGNED NOT NULL,
+      locale VARCHAR(10) NOT NULL,
+      field VARCHAR(100) NOT NULL,
+      value LONGTEXT NOT NULL,
+      updated_by INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_content_translations (entity_type, entity_id, locale, field),
+      KEY idx_content_translations_locale (entity_type, locale),
+      CONSTRAINT fk_content_translations_user FOREIGN KEY (updated_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS content_translations"],
+};
@@ -0,0 +1,37 @@
+// Vehicle catalog and the vehicles each module, Meca Aid or error code
+// applies to. A NULL year_to is a model still in production; a NULL
+// engine_code covers every engine of that model.
+module.exports = {
+  up: [
+    `CREATE TABLE vehicles (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      make VARCHAR(50) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      year_from SMALLINT UNSIGNED NOT NULL,
+      year_to SMALLINT UNSIGNED NULL,
+      engine_code VARCHAR(50) NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_vehicles_uuid (uuid),
+      KEY idx_vehicles_make_model (make, model, year_from)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE content_vehicles (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id INT UNSIGNED NOT NULL,
+      vehicle_id INT UNSIGNED NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_content_vehicles (entity_type, entity_id, vehicle_id),
+      KEY idx_content_vehicles_vehicle (vehicle_id),
+      CONSTRAINT fk_content_vehicles_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS content_vehicles",
+    "DROP TABLE IF EXISTS vehicles",
+  ],
+};
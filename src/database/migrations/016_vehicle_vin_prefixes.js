@@ -0,0 +1,13 @@
+// VIN prefix (WMI plus some or all of the VDS, positions 1-8) that
+// identifies a catalog vehicle when decoding a VIN
+module.exports = {
+  up: [
+    `ALTER TABLE vehicles
+      ADD COLUMN vin_prefix VARCHAR(8) NULL AFTER engine_code,
+      ADD KEY idx_vehicles_vin_prefix (vin_prefix)`,
+  ],
+
+  down: [
+    "ALTER TABLE vehicles DROP KEY idx_vehicles_vin_prefix, DROP COLUMN vin_prefix",
+  ],
+};
@@ -0,0 +1,29 @@
+// Per-user learning progress on modules, Meca Aids and animations.
+// `last_position` is where to resume (a module reading position, the current
+// Meca Aid step or an animation timestamp); `completed_steps` holds Meca Aid
+// step checkpoints. `last_activity_at` is the client time of the latest
+// update, so offline uploads arriving late do not move the resume point back.
+module.exports = {
+  up: [
+    `CREATE TABLE learning_progress (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id INT UNSIGNED NOT NULL,
+      progress_percent TINYINT UNSIGNED NOT NULL DEFAULT 0,
+      last_position JSON NULL,
+      completed_steps JSON NULL,
+      time_spent_seconds INT UNSIGNED NOT NULL DEFAULT 0,
+      started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_activity_at DATETIME NOT NULL,
+      completed_at DATETIME NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_learning_progress (user_id, entity_type, entity_id),
+      KEY idx_learning_progress_user (user_id, last_activity_at),
+      KEY idx_learning_progress_entity (entity_type, entity_id),
+      CONSTRAINT fk_learning_progress_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS learning_progress"],
+};
@@ -0,0 +1,70 @@
+// Module quizzes: one quiz per module drawing from its question bank, and the
+// attempts users make. An attempt stores the questions it drew (ids and
+// option order) so it can be scored after the bank has changed.
+module.exports = {
+  up: [
+    `CREATE TABLE module_quizzes (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      module_id INT UNSIGNED NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      question_count SMALLINT UNSIGNED NULL,
+      pass_mark TINYINT UNSIGNED NOT NULL DEFAULT 70,
+      max_attempts SMALLINT UNSIGNED NULL,
+      time_limit_seconds INT UNSIGNED NULL,
+      shuffle_options BOOLEAN NOT NULL DEFAULT TRUE,
+      required_for_completion BOOLEAN NOT NULL DEFAULT FALSE,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_module_quizzes_uuid (uuid),
+      UNIQUE KEY uq_module_quizzes_module (module_id),
+      CONSTRAINT fk_module_quizzes_module FOREIGN KEY (module_id) REFERENCES modules (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE quiz_questions (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      quiz_id INT UNSIGNED NOT NULL,
+      question_type ENUM('single_choice', 'multiple_choice', 'true_false') NOT NULL,
+      prompt TEXT NOT NULL,
+      image_url VARCHAR(500) NULL,
+      options JSON NOT NULL,
+      correct_options JSON NOT NULL,
+      explanation TEXT NULL,
+      points TINYINT UNSIGNED NOT NULL DEFAULT 1,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_quiz_questions_quiz (quiz_id, is_active, sort_order),
+      CONSTRAINT fk_quiz_questions_quiz FOREIGN KEY (quiz_id) REFERENCES module_quizzes (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE quiz_attempts (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      quiz_id INT UNSIGNED NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      device_id VARCHAR(191) NULL,
+      questions JSON NOT NULL,
+      answers JSON NULL,
+      points_earned SMALLINT UNSIGNED NULL,
+      points_possible SMALLINT UNSIGNED NULL,
+      score DECIMAL(5,2) NULL,
+      passed BOOLEAN NULL,
+      started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NULL,
+      submitted_at DATETIME NULL,
+      UNIQUE KEY uq_quiz_attempts_uuid (uuid),
+      KEY idx_quiz_attempts_user (user_id, quiz_id, started_at),
+      CONSTRAINT fk_quiz_attempts_quiz FOREIGN KEY (quiz_id) REFERENCES module_quizzes (id) ON DELETE CASCADE,
+      CONSTRAINT fk_quiz_attempts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS quiz_attempts",
+    "DROP TABLE IF EXISTS quiz_questions",
+    "DROP TABLE IF EXISTS module_quizzes",
+  ],
+};
@@ -0,0 +1,80 @@
+// Learning paths: an ordered curriculum of modules, animations and module
+// quizzes. Path items may require earlier items to be completed first.
+// Users enroll in a path and get a certificate, verifiable by its code, once
+// every required item is done. Certificates keep the recipient name and path
+// title as issued.
+module.exports = {
+  up: [
+    `CREATE TABLE learning_paths (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      uuid CHAR(36) NOT NULL,
+      organization_id INT UNSIGNED NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      is_published BOOLEAN NOT NULL DEFAULT FALSE,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_learning_paths_uuid (uuid),
+      KEY idx_learning_paths_organization (organization_id),
+      CONSTRAINT fk_learning_paths_organization FOREIGN KEY (organization_id) REFERENCES organizations (id),
+      CONSTRAINT fk_learning_paths_creator FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE learning_path_items (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      path_id INT UNSIGNED NOT NULL,
+      position SMALLINT UNSIGNED NOT NULL,
+      item_type ENUM('module', 'animation', 'quiz') NOT NULL,
+      entity_id INT UNSIGNED NOT NULL,
+      is_required BOOLEAN NOT NULL DEFAULT TRUE,
+      UNIQUE KEY uq_learning_path_items (path_id, item_type, entity_id),
+      KEY idx_learning_path_items_entity (item_type, entity_id),
+      CONSTRAINT fk_learning_path_items_path FOREIGN KEY (path_id) REFERENCES learning_paths (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE learning_path_prerequisites (
+      item_id INT UNSIGNED NOT NULL,
+      required_item_id INT UNSIGNED NOT NULL,
+      PRIMARY KEY (item_id, required_item_id),
+      CONSTRAINT fk_path_prerequisites_item FOREIGN KEY (item_id) REFERENCES learning_path_items (id) ON DELETE CASCADE,
+      CONSTRAINT fk_path_prerequisites_required FOREIGN KEY (required_item_id) REFERENCES learning_path_items (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE learning_path_enrollments (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      path_id INT UNSIGNED NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      enrolled_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME NULL,
+      UNIQUE KEY uq_learning_path_enrollments (path_id, user_id),
+      KEY idx_learning_path_enrollments_user (user_id, completed_at),
+      CONSTRAINT fk_path_enrollments_path FOREIGN KEY (path_id) REFERENCES learning_paths (id) ON DELETE CASCADE,
+      CONSTRAINT fk_path_enrollments_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE certificates (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(20) NOT NULL,
+      path_id INT UNSIGNED NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      recipient_name VARCHAR(100) NOT NULL,
+      path_title VARCHAR(255) NOT NULL,
+      issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME NULL,
+      UNIQUE KEY uq_certificates_code (code),
+      UNIQUE KEY uq_certificates_path_user (path_id, user_id),
+      CONSTRAINT fk_certificates_path FOREIGN KEY (path_id) REFERENCES learning_paths (id) ON DELETE CASCADE,
+      CONSTRAINT fk_certificates_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS certificates",
+    "DROP TABLE IF EXISTS learning_path_enrollments",
+    "DROP TABLE IF EXISTS learning_path_prerequisites",
+    "DROP TABLE IF EXISTS learning_path_items",
+    "DROP TABLE IF EXISTS learning_paths",
+  ],
+};
@@ -0,0 +1,65 @@
+// Daily rollups of user_activities for the analytics API, so reports read a
+// few rows per day instead of every event. `organization_id` is the user's
+// organization. Days listed in analytics_stale_days are recomputed by the
+// rollup job; every day with activity is queued here to backfill existing
+// history.
+module.exports = {
+  up: [
+    `CREATE TABLE analytics_daily_users (
+      day DATE NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      organization_id INT UNSIGNED NULL,
+      events INT UNSIGNED NOT NULL,
+      duration_seconds INT UNSIGNED NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, user_id),
+      KEY idx_analytics_daily_users_org (organization_id, day)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE analytics_daily_activity (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      day DATE NOT NULL,
+      organization_id INT UNSIGNED NULL,
+      activity_type VARCHAR(50) NOT NULL,
+      events INT UNSIGNED NOT NULL,
+      users INT UNSIGNED NOT NULL,
+      timed_events INT UNSIGNED NOT NULL,
+      duration_seconds BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      KEY idx_analytics_daily_activity_day (day, activity_type),
+      KEY idx_analytics_daily_activity_org (organization_id, day)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE analytics_daily_content (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      day DATE NOT NULL,
+      organization_id INT UNSIGNED NULL,
+      reference_type VARCHAR(50) NOT NULL,
+      reference_id INT UNSIGNED NOT NULL,
+      activity_type VARCHAR(50) NOT NULL,
+      events INT UNSIGNED NOT NULL,
+      users INT UNSIGNED NOT NULL,
+      timed_events INT UNSIGNED NOT NULL,
+      duration_seconds BIGINT UNSIGNED NOT NULL DEFAULT 0,
+      KEY idx_analytics_daily_content_day (day, reference_type, activity_type),
+      KEY idx_analytics_daily_content_ref (reference_type, reference_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE analytics_stale_days (
+      day DATE NOT NULL PRIMARY KEY
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    // The rollup job reads user_activities one day at a time
+    `ALTER TABLE user_activities
+      ADD KEY idx_user_activities_created (created_at)`,
+
+    `INSERT INTO analytics_stale_days (day)
+      SELECT DISTINCT DATE(created_at) FROM user_activities`,
+  ],
+
+  down: [
+    "ALTER TABLE user_activities DROP KEY idx_user_activities_created",
+    "DROP TABLE IF EXISTS analytics_stale_days",
+    "DROP TABLE IF EXISTS analytics_daily_content",
+    "DROP TABLE IF EXISTS analytics_daily_activity",
+    "DROP TABLE IF EXISTS analytics_daily_users",
+  ],
+};
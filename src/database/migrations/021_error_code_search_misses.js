@@ -0,0 +1,52 @@
+// Error code searches that found nothing or little, rolled up per day and
+// normalized query, and how the content team resolved them: a new draft
+// error code, a synonym on an existing one, or dismissed. Synonyms are
+// stored normalized and matched by error code search. Normalized keys are
+// compared byte for byte, as they are grouped in JS: "cafe" and "café" stay
+// two keys. Days with searches are queued for the rollup job to backfill.
+module.exports = {
+  up: [
+    `CREATE TABLE analytics_daily_search_misses (
+      day DATE NOT NULL,
+      normalized_query VARCHAR(100) COLLATE utf8mb4_bin NOT NULL,
+      example_query VARCHAR(255) NOT NULL,
+      searches INT UNSIGNED NOT NULL,
+      zero_results INT UNSIGNED NOT NULL,
+      few_results INT UNSIGNED NOT NULL,
+      users INT UNSIGNED NOT NULL,
+      PRIMARY KEY (day, normalized_query),
+      KEY idx_search_misses_query (normalized_query)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE error_code_synonyms (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      error_code_id INT UNSIGNED NOT NULL,
+      term VARCHAR(100) COLLATE utf8mb4_bin NOT NULL,
+      created_by INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_error_code_synonyms (term, error_code_id),
+      CONSTRAINT fk_error_code_synonyms_code FOREIGN KEY (error_code_id) REFERENCES error_codes (id) ON DELETE CASCADE,
+      CONSTRAINT fk_error_code_synonyms_creator FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `CREATE TABLE error_code_search_resolutions (
+      normalized_query VARCHAR(100) COLLATE utf8mb4_bin NOT NULL PRIMARY KEY,
+      action ENUM('draft', 'synonym', 'dismissed') NOT NULL,
+      error_code_id INT UNSIGNED NULL,
+      resolved_by INT UNSIGNED NULL,
+      resolved_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_search_resolutions_code FOREIGN KEY (error_code_id) REFERENCES error_codes (id) ON DELETE SET NULL,
+      CONSTRAINT fk_search_resolutions_user FOREIGN KEY (resolved_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+    `INSERT IGNORE INTO analytics_stale_days (day)
+      SELECT DISTINCT DATE(created_at) FROM user_activities
+      WHERE activity_type = 'error_code_search' AND reference_id IS NULL`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS error_code_search_resolutions",
+    "DROP TABLE IF EXISTS error_code_synonyms",
+    "DROP TABLE IF EXISTS analytics_daily_search_misses",
+  ],
+};
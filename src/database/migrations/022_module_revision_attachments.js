@@ -0,0 +1,11 @@
+// Attachment list in module revision snapshots, so diffs show attachment
+// changes and rollbacks restore them. Revisions taken before this stay NULL:
+// their attachments are unknown and left alone.
+module.exports = {
+  up: [
+    `ALTER TABLE module_revisions
+      ADD COLUMN attachments JSON NULL AFTER is_active`,
+  ],
+
+  down: ["ALTER TABLE module_revisions DROP COLUMN attachments"],
+};
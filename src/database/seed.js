@@ -0,0 +1,388 @@
+require("dotenv").config();
+const bcrypt = require("bcryptjs");
+const db = require("../config/database");
+const data = require("./seedData");
+const { recordChange } = require("../utils/changeLog");
+
+// Tables owned by the migration runner are never truncated
+const PRESERVED_TABLES = ["schema_migrations"];
+
+// Truncate every application table so the dataset starts from scratch
+const resetDatabase = async (connection) => {
+  const [tables] = await connection.query("SHOW TABLES");
+  const tableNames = tables
+    .map((row) => Object.values(row)[0])
+    .filter((name) => !PRESERVED_TABLES.includes(name));
+
+  await connection.query("SET FOREIGN_KEY_CHECKS = 0");
+  try {
+    for (const table of tableNames) {
+      await connection.query(`TRUNCATE TABLE \`${table}\``);
+    }
+  } finally {
+    await connection.query("SET FOREIGN_KEY_CHECKS = 1");
+  }
+  console.log(`🧹 Truncated ${tableNames.length} table(s)`);
+};
+
+// Categories have no natural unique key, so match on name
+const upsertCategory = async (connection, table, category) => {
+  const [existing] = await connection.execute(
+    `SELECT id FROM ${table} WHERE name = ?`,
+    [category.name]
+  );
+
+  if (existing.length > 0) {
+    await connection.execute(
+      `UPDATE ${table} SET description = ?, icon = ?, sort_order = ?, is_active = true WHERE id = ?`,
+      [category.description, category.icon, category.sortOrder, existing[0].id]
+    );
+    return existing[0].id;
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO ${table} (name, description, icon, sort_order) VALUES (?, ?, ?, ?)`,
+    [category.name, category.description, category.icon, category.sortOrder]
+  );
+  return result.insertId;
+};
+
+const seedAdmin = async (connection) => {
+  const { uuid, name, email, password, role } = data.adminUser;
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  // Existing admins keep their current password on re-runs
+  await connection.execute(
+    `
+    INSERT INTO users (uuid, name, email, password_hash, role, email_verified_at)
+    VALUES (?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      name = VALUES(name),
+      role = VALUES(role),
+      is_active = true,
+      email_verified_at = COALESCE(email_verified_at, NOW())
+  `,
+    [uuid, name, email, passwordHash, role]
+  );
+};
+
+const seedModules = async (connection) => {
+  const categoryIds = {};
+  for (const category of data.moduleCategories) {
+    categoryIds[category.name] = await upsertCategory(
+      connection,
+      "module_categories",
+      category
+    );
+  }
+
+  for (const module of data.modules) {
+    await connection.execute(
+      `
+      INSERT INTO modules (uuid, category_id, title, description, content, priority, status)
+      VALUES (?, ?, ?, ?, ?, ?, 'published')
+      ON DUPLICATE KEY UPDATE
+        category_id = VALUES(category_id),
+        title = VALUES(title),
+        description = VALUES(description),
+        content = VALUES(content),
+        priority = VALUES(priority),
+        is_active = true,
+        status = 'published'
+    `,
+      [
+        module.uuid,
+        categoryIds[module.category],
+        module.title,
+        module.description,
+        module.content,
+        module.priority,
+      ]
+    );
+
+    const [[{ id: moduleId }]] = await connection.execute(
+      "SELECT id FROM modules WHERE uuid = ?",
+      [module.uuid]
+    );
+
+    // Give newly seeded modules their first revision snapshot
+    await connection.execute(
+      `
+      INSERT IGNORE INTO module_revisions (module_id, version, title, description, content, category_id, thumbnail_url, is_downloadable, priority, is_active, change_note)
+      SELECT id, version, title, description, content, category_id, thumbnail_url, is_downloadable, priority, is_active, 'Seeded'
+      FROM modules WHERE id = ?
+    `,
+      [moduleId]
+    );
+
+    // Attachments have no unique key, so replace them wholesale
+    await connection.execute(
+      "DELETE FROM module_attachments WHERE module_id = ?",
+      [moduleId]
+    );
+    for (const attachment of module.attachments) {
+      await connection.execute(
+        "INSERT INTO module_attachments (module_id, file_name, file_url, file_type, file_size) VALUES (?, ?, ?, ?, ?)",
+        [
+          moduleId,
+          attachment.fileName,
+          attachment.fileUrl,
+          attachment.fileType,
+          attachment.fileSize,
+        ]
+      );
+    }
+
+    await recordChange(connection, "module", module.uuid);
+  }
+
+  return data.modules.length;
+};
+
+const seedMecaAids = async (connection) => {
+  const categoryIds = {};
+  for (const category of data.mecaAidCategories) {
+    categoryIds[category.name] = await upsertCategory(
+      connection,
+      "meca_aid_categories",
+      category
+    );
+  }
+
+  for (const mecaAid of data.mecaAids) {
+    await connection.execute(
+      `
+      INSERT INTO meca_aids (uuid, category_id, title, problem_description, symptoms, causes, solutions, tools_required, difficulty_level, estimated_time, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'published')
+      ON DUPLICATE KEY UPDATE
+        category_id = VALUES(category_id),
+        title = VALUES(title),
+        problem_description = VALUES(problem_description),
+        symptoms = VALUES(symptoms),
+        causes = VALUES(causes),
+        solutions = VALUES(solutions),
+        tools_required = VALUES(tools_required),
+        difficulty_level = VALUES(difficulty_level),
+        estimated_time = VALUES(estimated_time),
+        is_active = true,
+        status = 'published'
+    `,
+      [
+        mecaAid.uuid,
+        categoryIds[mecaAid.category],
+        mecaAid.title,
+        mecaAid.problemDescription,
+        mecaAid.symptoms,
+        mecaAid.causes,
+        mecaAid.solutions,
+        mecaAid.toolsRequired,
+        mecaAid.difficultyLevel,
+        mecaAid.estimatedTime,
+      ]
+    );
+
+    const [[{ id: mecaAidId }]] = await connection.execute(
+      "SELECT id FROM meca_aids WHERE uuid = ?",
+      [mecaAid.uuid]
+    );
+
+    for (let i = 0; i < mecaAid.steps.length; i++) {
+      const step = mecaAid.steps[i];
+      await connection.execute(
+        `
+        INSERT INTO meca_aid_steps (meca_aid_id, step_number, title, instruction, warning_text, tip_text)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          title = VALUES(title),
+          instruction = VALUES(instruction),
+          warning_text = VALUES(warning_text),
+          tip_text = VALUES(tip_text)
+      `,
+        [
+          mecaAidId,
+          i + 1,
+          step.title,
+          step.instruction,
+          step.warningText || null,
+          step.tipText || null,
+        ]
+      );
+    }
+
+    // Drop steps left over from a longer earlier version of the seed
+    await connection.execute(
+      "DELETE FROM meca_aid_steps WHERE meca_aid_id = ? AND step_number > ?",
+      [mecaAidId, mecaAid.steps.length]
+    );
+
+    await recordChange(connection, "meca_aid", mecaAid.uuid);
+  }
+
+  return data.mecaAids.length;
+};
+
+const seedErrorCodes = async (connection) => {
+  for (const category of data.errorCodeCategories) {
+    await connection.execute(
+      `
+      INSERT INTO error_code_categories (name, code_prefix, vehicle_system, description)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        name = VALUES(name),
+        vehicle_system = VALUES(vehicle_system),
+        description = VALUES(description)
+    `,
+      [
+        category.name,
+        category.codePrefix,
+        category.vehicleSystem,
+        category.description,
+      ]
+    );
+  }
+
+  const [categories] = await connection.execute(
+    "SELECT id, code_prefix FROM error_code_categories"
+  );
+  const categoryIds = {};
+  categories.forEach((c) => {
+    categoryIds[c.code_prefix] = c.id;
+  });
+
+  for (const errorCode of data.errorCodes) {
+    await connection.execute(
+      `
+      INSERT INTO error_codes (category_id, code, title, description, possible_causes, symptoms, diagnostic_steps, repair_solutions, severity, affected_vehicles, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'published')
+      ON DUPLICATE KEY UPDATE
+        category_id = VALUES(category_id),
+        title = VALUES(title),
+        description = VALUES(description),
+        possible_causes = VALUES(possible_causes),
+        symptoms = VALUES(symptoms),
+        diagnostic_steps = VALUES(diagnostic_steps),
+        repair_solutions = VALUES(repair_solutions),
+        severity = VALUES(severity),
+        affected_vehicles = VALUES(affected_vehicles),
+        is_active = true,
+        status = 'published'
+    `,
+      [
+        categoryIds[errorCode.prefix],
+        errorCode.code,
+        errorCode.title,
+        errorCode.description,
+        errorCode.possibleCauses,
+        errorCode.symptoms,
+        errorCode.diagnosticSteps,
+        errorCode.repairSolutions,
+        errorCode.severity,
+        errorCode.affectedVehicles,
+      ]
+    );
+    await recordChange(connection, "error_code", errorCode.code);
+  }
+
+  return data.errorCodes.length;
+};
+
+const seedAnimations = async (connection) => {
+  for (const animation of data.animations) {
+    await connection.execute(
+      `
+      INSERT INTO learning_animations (uuid, title, description, animation_type, file_url, thumbnail_url, duration_seconds, category, tags, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'published')
+      ON DUPLICATE KEY UPDATE
+        title = VALUES(title),
+        description = VALUES(description),
+        animation_type = VALUES(animation_type),
+        file_url = VALUES(file_url),
+        thumbnail_url = VALUES(thumbnail_url),
+        duration_seconds = VALUES(duration_seconds),
+        category = VALUES(category),
+        tags = VALUES(tags),
+        is_active = true,
+        status = 'published'
+    `,
+      [
+        animation.uuid,
+        animation.title,
+        animation.description,
+        animation.animationType,
+        animation.fileUrl,
+        animation.thumbnailUrl,
+        animation.durationSeconds,
+        animation.category,
+        JSON.stringify(animation.tags),
+      ]
+    );
+    await recordChange(connection, "animation", animation.uuid);
+  }
+
+  return data.animations.length;
+};
+
+const seedSettings = async (connection) => {
+  for (const setting of data.appSettings) {
+    await connection.execute(
+      `
+      INSERT INTO app_settings (setting_key, setting_value, description)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE description = VALUES(description)
+    `,
+      [setting.key, setting.value, setting.description]
+    );
+  }
+
+  return data.appSettings.length;
+};
+
+const seed = async ({ reset = false } = {}) => {
+  if (reset && process.env.NODE_ENV === "production") {
+    throw new Error("Refusing to reset a production database");
+  }
+
+  const connection = await db.getConnection();
+  try {
+    if (reset) {
+      await resetDatabase(connection);
+    }
+
+    await connection.beginTransaction();
+    try {
+      await seedAdmin(connection);
+      const counts = {
+        modules: await seedModules(connection),
+        mecaAids: await seedMecaAids(connection),
+        errorCodes: await seedErrorCodes(connection),
+        animations: await seedAnimations(connection),
+        settings: await seedSettings(connection),
+      };
+      await connection.commit();
+      return counts;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+if (require.main === module) {
+  const reset = process.argv.includes("--reset");
+
+  seed({ reset })
+    .then(async (counts) => {
+      console.log("🌱 Seed complete:", counts);
+      console.log(`👤 Admin login: ${data.adminUser.email}`);
+      await db.end();
+    })
+    .catch(async (err) => {
+      console.error("❌ Seed failed:", err.message);
+      await db.end();
+      process.exit(1);
+    });
+}
+
+module.exports = { seed };
@@ -0,0 +1,343 @@
+// Workshop demo dataset used by `npm run seed`.
+// UUIDs are fixed so re-running the seeder updates rows instead of duplicating them.
+const seedUuid = (prefix, n) =>
+  `${prefix}-0000-4000-8000-${String(n).padStart(12, "0")}`;
+
+const adminUser = {
+  uuid: seedUuid("5eed0000", 1),
+  name: "Workshop Admin",
+  email: process.env.SEED_ADMIN_EMAIL || "admin@mechanic-manual.local",
+  password: process.env.SEED_ADMIN_PASSWORD || "admin12345",
+  role: "admin",
+};
+
+const moduleCategories = [
+  { name: "Engine", description: "Engine mechanical and fuel systems", icon: "engine", sortOrder: 1 },
+  { name: "Electrical", description: "Charging, starting and wiring", icon: "bolt", sortOrder: 2 },
+  { name: "Brakes", description: "Hydraulic and ABS brake systems", icon: "brake", sortOrder: 3 },
+  { name: "Transmission", description: "Manual and automatic gearboxes", icon: "gear", sortOrder: 4 },
+  { name: "Cooling System", description: "Radiator, thermostat and water pump", icon: "thermometer", sortOrder: 5 },
+];
+
+const modules = [
+  {
+    uuid: seedUuid("10d00000", 1),
+    category: "Engine",
+    title: "Four-Stroke Engine Fundamentals",
+    description: "Intake, compression, power and exhaust strokes explained.",
+    content:
+      "# Four-Stroke Engine Fundamentals\n\n## Intake\nThe intake valve opens and the piston moves down, drawing in the air-fuel mixture.\n\n## Compression\nBoth valves close and the piston rises, compressing the mixture.\n\n## Power\nThe spark plug ignites the mixture, forcing the piston down.\n\n## Exhaust\nThe exhaust valve opens and the piston pushes burnt gases out.",
+    priority: 10,
+    attachments: [
+      { fileName: "four-stroke-cycle.pdf", fileUrl: "/uploads/seed/four-stroke-cycle.pdf", fileType: "application/pdf", fileSize: 482133 },
+    ],
+  },
+  {
+    uuid: seedUuid("10d00000", 2),
+    category: "Engine",
+    title: "Ignition System Diagnosis",
+    description: "Testing coils, plugs and crank sensors on modern engines.",
+    content:
+      "# Ignition System Diagnosis\n\n1. Read stored codes with an OBD-II scanner.\n2. Inspect spark plugs for fouling, gap and electrode wear.\n3. Swap ignition coils between cylinders to confirm a coil fault.\n4. Check the crankshaft position sensor signal with an oscilloscope.",
+    priority: 8,
+    attachments: [
+      { fileName: "coil-resistance-table.pdf", fileUrl: "/uploads/seed/coil-resistance-table.pdf", fileType: "application/pdf", fileSize: 128904 },
+      { fileName: "spark-plug-wear.jpg", fileUrl: "/uploads/seed/spark-plug-wear.jpg", fileType: "image/jpeg", fileSize: 240512 },
+    ],
+  },
+  {
+    uuid: seedUuid("10d00000", 3),
+    category: "Electrical",
+    title: "Battery and Charging System",
+    description: "Load testing batteries and checking alternator output.",
+    content:
+      "# Battery and Charging System\n\nA healthy battery reads 12.6 V at rest. With the engine running, charging voltage should be 13.8-14.7 V.\n\n## Load Test\nApply half the CCA rating for 15 seconds; voltage must stay above 9.6 V.",
+    priority: 6,
+    attachments: [
+      { fileName: "charging-circuit.png", fileUrl: "/uploads/seed/charging-circuit.png", fileType: "image/png", fileSize: 198220 },
+    ],
+  },
+  {
+    uuid: seedUuid("10d00000", 4),
+    category: "Brakes",
+    title: "Disc Brake Service",
+    description: "Pad replacement, rotor measurement and caliper inspection.",
+    content:
+      "# Disc Brake Service\n\n1. Measure rotor thickness and runout against the minimum specification.\n2. Clean and lubricate caliper slide pins.\n3. Fit new pads and shims, then torque caliper bolts to specification.\n4. Bed in the pads with ten moderate stops from 50 km/h.",
+    priority: 7,
+    attachments: [],
+  },
+  {
+    uuid: seedUuid("10d00000", 5),
+    category: "Transmission",
+    title: "Automatic Transmission Fluid Check",
+    description: "Checking level and condition of ATF on dipstick and sealed units.",
+    content:
+      "# Automatic Transmission Fluid Check\n\nWarm the transmission to operating temperature and cycle through all gear positions. Check the level in Park on level ground. Fluid should be red and not smell burnt.",
+    priority: 4,
+    attachments: [],
+  },
+  {
+    uuid: seedUuid("10d00000", 6),
+    category: "Cooling System",
+    title: "Cooling System Pressure Test",
+    description: "Finding leaks with a pressure tester and dye.",
+    content:
+      "# Cooling System Pressure Test\n\nWith the engine cold, fit the tester to the radiator neck and pump to the cap rating. Pressure should hold for 10 minutes. Inspect hoses, water pump weep hole and heater core for leaks.",
+    priority: 5,
+    attachments: [
+      { fileName: "pressure-tester-adapters.pdf", fileUrl: "/uploads/seed/pressure-tester-adapters.pdf", fileType: "application/pdf", fileSize: 356771 },
+    ],
+  },
+];
+
+const mecaAidCategories = [
+  { name: "Engine Problems", description: "Starting, idle and performance faults", icon: "engine", sortOrder: 1 },
+  { name: "Electrical Issues", description: "Battery, lighting and wiring faults", icon: "bolt", sortOrder: 2 },
+  { name: "Brake System", description: "Noise, vibration and pedal feel", icon: "brake", sortOrder: 3 },
+  { name: "Cooling System", description: "Overheating and coolant loss", icon: "thermometer", sortOrder: 4 },
+];
+
+const mecaAids = [
+  {
+    uuid: seedUuid("a1d00000", 1),
+    category: "Engine Problems",
+    title: "Engine Misfire at Idle",
+    problemDescription: "Engine shakes at idle and the check engine light flashes.",
+    symptoms: "Rough idle, flashing MIL, loss of power, fuel smell from exhaust",
+    causes: "Worn spark plugs, failed ignition coil, vacuum leak, clogged injector",
+    solutions: "Identify the misfiring cylinder, then replace the faulty plug, coil or injector.",
+    toolsRequired: "OBD-II scanner, spark plug socket, multimeter, smoke tester",
+    difficultyLevel: "medium",
+    estimatedTime: "45 minutes",
+    steps: [
+      { title: "Read fault codes", instruction: "Connect the scanner and note any P030X codes to identify the cylinder.", tipText: "P0300 means random misfire across several cylinders." },
+      { title: "Swap ignition coils", instruction: "Swap the coil from the misfiring cylinder with a neighbour and clear codes.", tipText: "If the misfire follows the coil, replace the coil." },
+      { title: "Inspect spark plug", instruction: "Remove the plug and check gap, colour and electrode wear.", warningText: "Let the engine cool before removing plugs from an aluminium head." },
+      { title: "Check for vacuum leaks", instruction: "Run a smoke test on the intake manifold and hoses." },
+    ],
+  },
+  {
+    uuid: seedUuid("a1d00000", 2),
+    category: "Electrical Issues",
+    title: "Engine Cranks Slowly",
+    problemDescription: "Starter turns the engine slowly or only clicks.",
+    symptoms: "Slow crank, clicking, dim dash lights while cranking",
+    causes: "Discharged battery, corroded terminals, worn starter motor",
+    solutions: "Test and charge the battery, clean terminals, then test the starter draw.",
+    toolsRequired: "Multimeter, battery load tester, terminal brush",
+    difficultyLevel: "easy",
+    estimatedTime: "30 minutes",
+    steps: [
+      { title: "Measure battery voltage", instruction: "With everything off, measure across the battery posts. Expect 12.4 V or higher." },
+      { title: "Clean terminals", instruction: "Disconnect negative first, clean posts and clamps, then reconnect positive first.", warningText: "Wear eye protection; battery acid causes burns." },
+      { title: "Voltage drop test", instruction: "Measure voltage drop on the positive and ground cables while cranking. More than 0.5 V indicates a bad cable." },
+    ],
+  },
+  {
+    uuid: seedUuid("a1d00000", 3),
+    category: "Brake System",
+    title: "Brake Squeal When Stopping",
+    problemDescription: "High-pitched squeal from the wheels under light braking.",
+    symptoms: "Squealing noise, brake dust build-up",
+    causes: "Worn pad wear indicator, glazed pads, missing anti-squeal shims",
+    solutions: "Inspect pad thickness, replace pads and shims, and lubricate contact points.",
+    toolsRequired: "Jack, axle stands, brake caliper tool, brake grease",
+    difficultyLevel: "medium",
+    estimatedTime: "1 hour",
+    steps: [
+      { title: "Lift and secure vehicle", instruction: "Raise the vehicle and support it on axle stands.", warningText: "Never work under a vehicle supported only by a jack." },
+      { title: "Inspect pads", instruction: "Remove the wheel and check pad thickness and wear indicators." },
+      { title: "Service contact points", instruction: "Clean the caliper bracket and apply brake grease to the pad ears and slide pins.", tipText: "Keep grease off the pad friction surface." },
+    ],
+  },
+  {
+    uuid: seedUuid("a1d00000", 4),
+    category: "Cooling System",
+    title: "Engine Overheating in Traffic",
+    problemDescription: "Temperature gauge climbs when idling but drops at speed.",
+    symptoms: "High temperature at idle, fan not audible",
+    causes: "Failed cooling fan, faulty fan relay, low coolant",
+    solutions: "Check coolant level, then test the fan motor, relay and temperature switch.",
+    toolsRequired: "Multimeter, jumper wires, coolant tester",
+    difficultyLevel: "medium",
+    estimatedTime: "40 minutes",
+    steps: [
+      { title: "Check coolant level", instruction: "With the engine cold, check the reservoir and radiator level.", warningText: "Never open a hot radiator cap." },
+      { title: "Test cooling fan", instruction: "Apply 12 V directly to the fan connector and confirm it spins." },
+      { title: "Test fan relay", instruction: "Swap the fan relay with an identical one and retest." },
+    ],
+  },
+];
+
+const errorCodeCategories = [
+  { name: "Powertrain", codePrefix: "P", vehicleSystem: "Engine and transmission", description: "Engine, fuel, ignition, emissions and transmission codes" },
+  { name: "Body", codePrefix: "B", vehicleSystem: "Body electronics", description: "Airbags, seats, lighting and climate control codes" },
+  { name: "Chassis", codePrefix: "C", vehicleSystem: "Chassis", description: "ABS, traction control and steering codes" },
+  { name: "Network", codePrefix: "U", vehicleSystem: "Communication network", description: "CAN bus and module communication codes" },
+];
+
+const errorCodes = [
+  {
+    code: "P0300",
+    prefix: "P",
+    title: "Random/Multiple Cylinder Misfire Detected",
+    description: "The engine control module detected misfires on more than one cylinder.",
+    possibleCauses: "Worn spark plugs, faulty ignition coils, vacuum leaks, low fuel pressure",
+    symptoms: "Rough idle, hesitation, flashing check engine light",
+    diagnosticSteps: "Check for additional codes, inspect plugs and coils, test fuel pressure, smoke test intake",
+    repairSolutions: "Replace worn plugs or coils, repair vacuum leaks, replace fuel filter or pump",
+    severity: "high",
+    affectedVehicles: "All OBD-II vehicles",
+  },
+  {
+    code: "P0301",
+    prefix: "P",
+    title: "Cylinder 1 Misfire Detected",
+    description: "A misfire was detected on cylinder 1.",
+    possibleCauses: "Faulty spark plug, ignition coil or injector on cylinder 1, low compression",
+    symptoms: "Rough idle, loss of power",
+    diagnosticSteps: "Swap coil and plug with another cylinder, check injector pulse, run compression test",
+    repairSolutions: "Replace the failed component on cylinder 1",
+    severity: "high",
+    affectedVehicles: "All OBD-II vehicles",
+  },
+  {
+    code: "P0171",
+    prefix: "P",
+    title: "System Too Lean (Bank 1)",
+    description: "The oxygen sensor reports a lean air-fuel mixture on bank 1.",
+    possibleCauses: "Vacuum leak, dirty MAF sensor, weak fuel pump, clogged injectors",
+    symptoms: "Hesitation, rough idle, poor fuel economy",
+    diagnosticSteps: "Check fuel trims, smoke test intake, clean MAF sensor, test fuel pressure",
+    repairSolutions: "Repair vacuum leaks, clean or replace MAF, replace fuel pump",
+    severity: "medium",
+    affectedVehicles: "All OBD-II vehicles",
+  },
+  {
+    code: "P0420",
+    prefix: "P",
+    title: "Catalyst System Efficiency Below Threshold (Bank 1)",
+    description: "The downstream oxygen sensor shows the catalytic converter is not storing oxygen efficiently.",
+    possibleCauses: "Failed catalytic converter, faulty oxygen sensor, exhaust leak",
+    symptoms: "Check engine light, possible rotten egg smell",
+    diagnosticSteps: "Compare upstream and downstream O2 sensor signals, check for exhaust leaks",
+    repairSolutions: "Repair exhaust leaks, replace O2 sensor or catalytic converter",
+    severity: "medium",
+    affectedVehicles: "All OBD-II vehicles",
+  },
+  {
+    code: "P0128",
+    prefix: "P",
+    title: "Coolant Thermostat Below Regulating Temperature",
+    description: "The engine takes too long to reach operating temperature.",
+    possibleCauses: "Thermostat stuck open, faulty coolant temperature sensor",
+    symptoms: "Low temperature gauge reading, poor heater output",
+    diagnosticSteps: "Monitor coolant temperature during warm-up, test the sensor resistance",
+    repairSolutions: "Replace thermostat or coolant temperature sensor",
+    severity: "low",
+    affectedVehicles: "All OBD-II vehicles",
+  },
+  {
+    code: "B0001",
+    prefix: "B",
+    title: "Driver Frontal Stage 1 Deployment Control",
+    description: "Fault detected in the driver airbag stage 1 deployment circuit.",
+    possibleCauses: "Damaged clock spring, open circuit in airbag wiring, faulty airbag module",
+    symptoms: "Airbag warning light on",
+    diagnosticSteps: "Check clock spring continuity and airbag connectors with the battery disconnected",
+    repairSolutions: "Replace clock spring or repair wiring",
+    severity: "critical",
+    affectedVehicles: "Vehicles with dual-stage airbags",
+  },
+  {
+    code: "C0035",
+    prefix: "C",
+    title: "Left Front Wheel Speed Sensor Circuit",
+    description: "The ABS module detected a fault in the left front wheel speed sensor circuit.",
+    possibleCauses: "Damaged sensor, broken wiring, dirty tone ring",
+    symptoms: "ABS and traction control warning lights on",
+    diagnosticSteps: "Measure sensor resistance, inspect wiring and tone ring",
+    repairSolutions: "Replace sensor or repair wiring, clean tone ring",
+    severity: "high",
+    affectedVehicles: "Vehicles with ABS",
+  },
+  {
+    code: "U0100",
+    prefix: "U",
+    title: "Lost Communication With ECM/PCM",
+    description: "A module on the CAN bus lost communication with the engine control module.",
+    possibleCauses: "Open or shorted CAN wiring, low battery voltage, failed ECM",
+    symptoms: "Multiple warning lights, no start, erratic gauges",
+    diagnosticSteps: "Check battery voltage, measure CAN bus resistance (about 60 ohms), inspect ECM power and ground",
+    repairSolutions: "Repair CAN wiring or connectors, restore ECM power, replace ECM",
+    severity: "critical",
+    affectedVehicles: "CAN bus equipped vehicles",
+  },
+];
+
+const animations = [
+  {
+    uuid: seedUuid("a4100000", 1),
+    title: "Four-Stroke Cycle",
+    description: "Cutaway animation of the intake, compression, power and exhaust strokes.",
+    animationType: "3d",
+    fileUrl: "/uploads/seed/four-stroke-cycle.glb",
+    thumbnailUrl: "/uploads/seed/four-stroke-cycle.jpg",
+    durationSeconds: 95,
+    category: "Engine",
+    tags: ["engine", "basics", "combustion"],
+  },
+  {
+    uuid: seedUuid("a4100000", 2),
+    title: "How a Misfire Happens",
+    description: "Shows how a weak spark or lean mixture causes incomplete combustion.",
+    animationType: "2d",
+    fileUrl: "/uploads/seed/misfire.json",
+    thumbnailUrl: "/uploads/seed/misfire.jpg",
+    durationSeconds: 60,
+    category: "Engine",
+    tags: ["misfire", "ignition", "diagnosis"],
+  },
+  {
+    uuid: seedUuid("a4100000", 3),
+    title: "ABS Wheel Speed Sensing",
+    description: "How the tone ring and sensor generate the wheel speed signal.",
+    animationType: "2d",
+    fileUrl: "/uploads/seed/abs-wheel-speed.json",
+    thumbnailUrl: "/uploads/seed/abs-wheel-speed.jpg",
+    durationSeconds: 75,
+    category: "Brakes",
+    tags: ["abs", "sensor", "brakes"],
+  },
+  {
+    uuid: seedUuid("a4100000", 4),
+    title: "Disc Brake Pad Replacement",
+    description: "Step-by-step video of replacing front disc brake pads.",
+    animationType: "video",
+    fileUrl: "/uploads/seed/disc-brake-pads.mp4",
+    thumbnailUrl: "/uploads/seed/disc-brake-pads.jpg",
+    durationSeconds: 310,
+    category: "Brakes",
+    tags: ["brakes", "pads", "service"],
+  },
+];
+
+const appSettings = [
+  { key: "min_app_version", value: "1.0.0", description: "Oldest app version allowed to sync" },
+  { key: "sync_interval_minutes", value: "60", description: "Recommended background sync interval" },
+  { key: "support_email", value: "support@mechanic-manual.local", description: "Contact address shown in the app" },
+  { key: "maintenance_mode", value: "false", description: "Show maintenance banner in the app" },
+];
+
+module.exports = {
+  adminUser,
+  moduleCategories,
+  modules,
+  mecaAidCategories,
+  mecaAids,
+  errorCodeCategories,
+  errorCodes,
+  animations,
+  appSettings,
+};
@@ -1,5 +1,10 @@
 const jwt = require("jsonwebtoken");
 const db = require("../config/database");
+const {
+  ORG_ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+} = require("../config/permissions");
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -15,9 +20,16 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Verify user still exists and is active
+    // Verify user still exists and is active. Members of a deactivated
+    // organization keep access to the public catalog only.
     const [users] = await db.execute(
-      "SELECT id, uuid, name, email, role, is_active FROM users WHERE id = ?",
+      `
+      SELECT u.id, u.uuid, u.name, u.email, u.role, u.is_active,
+        IF(o.is_active, u.organization_id, NULL) as organization_id, u.org_role
+      FROM users u
+      LEFT JOIN organizations o ON u.organization_id = o.id
+      WHERE u.id = ?
+    `,
       [decoded.userId]
     );
 
@@ -28,7 +40,33 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = users[0];
+    // Reject tokens whose session was revoked (logout, reuse, lost device)
+    const [sessions] = await db.execute(
+      "SELECT id, revoked_at FROM auth_sessions WHERE uuid = ? AND user_id = ?",
+      [decoded.sid || "", decoded.userId]
+    );
+
+    if (sessions.length === 0 || sessions[0].revoked_at) {
+      return res.status(401).json({
+        success: false,
+        message: "Session revoked",
+      });
+    }
+
+    // Resolve permissions from the base role plus any assigned roles
+    const user = users[0];
+    const [roles] = await db.execute(
+      "SELECT role FROM user_roles WHERE user_id = ?",
+      [user.id]
+    );
+    user.roles = [user.role, ...roles.map((r) => r.role)];
+    user.permissions = permissionsFor(user.roles);
+    user.orgPermissions = user.organization_id
+      ? ORG_ROLE_PERMISSIONS[user.org_role] || []
+      : [];
+
+    req.user = user;
+    req.sessionId = sessions[0].id;
     req.deviceId = req.headers["x-device-id"] || null;
     req.appVersion = req.headers["x-app-version"] || null;
 
@@ -59,4 +97,23 @@ const requireRole = (...roles) => {
   };
 };
 
-module.exports = { authenticateToken, requireRole };
+// Require a permission from the user's roles. With `orgScoped`, an
+// organization role granting it also passes; the route must then limit the
+// change to that organization (see canManage in utils/tenancy).
+const requirePermission = (permission, { orgScoped = false } = {}) => {
+  return (req, res, next) => {
+    const allowed =
+      hasPermission(req.user, permission) ||
+      (orgScoped && req.user.orgPermissions.includes(permission));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Insufficient permissions",
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { authenticateToken, requireRole, requirePermission };
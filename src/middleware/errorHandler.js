@@ -9,6 +9,14 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload type validation errors
+  if (err.code === "INVALID_FILE_TYPE") {
+    return res.status(400).json({
+      success: false,
+      message: err.message,
+    });
+  }
+
   // Validation errors
   if (err.name === "ValidationError") {
     return res.status(400).json({
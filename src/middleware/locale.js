@@ -0,0 +1,34 @@
+const { DEFAULT_LOCALE, isSupportedLocale } = require("../config/locales");
+
+// Language tags from an Accept-Language header, best first, reduced to their
+// primary subtag ("id-ID;q=0.9" -> "id")
+const parseAcceptLanguage = (header) =>
+  header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((p) => p.trim().startsWith("q="));
+      return {
+        locale: tag.trim().split("-")[0].toLowerCase(),
+        q: q ? parseFloat(q.trim().slice(2)) || 0 : 1,
+      };
+    })
+    .filter((entry) => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map((entry) => entry.locale);
+
+// Choose the content language: ?lang= wins over Accept-Language, and anything
+// unsupported falls back to the default locale. Responses vary by the header,
+// so caches must key on it.
+const negotiateLocale = (req, res, next) => {
+  const requested = req.query.lang
+    ? [String(req.query.lang).split("-")[0].toLowerCase()]
+    : parseAcceptLanguage(req.headers["accept-language"] || "");
+
+  req.locale = requested.find(isSupportedLocale) || DEFAULT_LOCALE;
+  res.set("Content-Language", req.locale);
+  res.vary("Accept-Language");
+  next();
+};
+
+module.exports = { negotiateLocale, parseAcceptLanguage };
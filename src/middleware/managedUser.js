@@ -0,0 +1,54 @@
+const db = require("../config/database");
+const { isGlobalAdmin, canManage } = require("../utils/tenancy");
+
+// Load the user named by :uuid into req.targetUser, provided the caller may
+// manage them with users.manage. Only global admins may manage other admins.
+const loadManagedUser = async (req, res, next) => {
+  try {
+    const [users] = await db.execute(
+      `
+      SELECT id, uuid, name, email, phone, role, organization_id, org_role,
+        is_active, email_verified_at, created_at, updated_at
+      FROM users WHERE uuid = ?
+    `,
+      [req.params.uuid]
+    );
+
+    if (users.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const user = users[0];
+    if (
+      !canManage(req.user, user.organization_id, "users.manage") ||
+      (isGlobalAdmin(user) && !isGlobalAdmin(req.user))
+    ) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    const [roles] = await db.execute(
+      "SELECT role FROM user_roles WHERE user_id = ? ORDER BY role",
+      [user.id]
+    );
+    user.assignedRoles = roles.map((r) => r.role);
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject actions on the caller's own account
+const forbidSelf = (message) => (req, res, next) => {
+  if (req.params.uuid === req.user.uuid) {
+    return res.status(400).json({ success: false, message });
+  }
+  next();
+};
+
+module.exports = { loadManagedUser, forbidSelf };
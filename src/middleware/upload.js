@@ -0,0 +1,39 @@
+const fs = require("fs");
+const multer = require("multer");
+const { UPLOAD_KINDS, TEMP_DIR, isAllowedType } = require("../utils/uploads");
+
+fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+// Accept a single "file" field of the given upload kind into the temp dir.
+// Size and type errors are passed on to errorHandler.
+const uploadFile = (kind) => {
+  const { maxSize } = UPLOAD_KINDS[kind];
+
+  const upload = multer({
+    dest: TEMP_DIR,
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!isAllowedType(kind, file.mimetype, file.originalname)) {
+        const error = new Error(
+          `Unsupported ${kind} type. Allowed: ${Object.keys(
+            UPLOAD_KINDS[kind].types
+          ).join(", ")}`
+        );
+        error.code = "INVALID_FILE_TYPE";
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).single("file");
+
+  const requireFile = (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "File required" });
+    }
+    next();
+  };
+
+  return [upload, requireFile];
+};
+
+module.exports = { uploadFile };
@@ -0,0 +1,65 @@
+const db = require("../config/database");
+
+const MIN_YEAR = 1900;
+
+// Parse the `vehicle` query filter into req.vehicle (null when absent). It is
+// either the uuid of a catalog vehicle, or the car at hand as vehicle[make],
+// vehicle[model], vehicle[year] and vehicle[engine], of which only make is
+// required.
+const parseVehicleFilter = async (req, res, next) => {
+  try {
+    const { vehicle } = req.query;
+    req.vehicle = null;
+
+    if (vehicle === undefined || vehicle === "") return next();
+
+    if (typeof vehicle === "string") {
+      const [vehicles] = await db.execute(
+        "SELECT * FROM vehicles WHERE uuid = ? AND is_active = true",
+        [vehicle]
+      );
+
+      if (vehicles.length === 0) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Unknown vehicle" });
+      }
+
+      const v = vehicles[0];
+      req.vehicle = {
+        make: v.make,
+        model: v.model,
+        yearFrom: v.year_from,
+        yearTo: v.year_to,
+        engine: v.engine_code,
+      };
+      return next();
+    }
+
+    const year = vehicle.year ? parseInt(vehicle.year) : null;
+    if (
+      Array.isArray(vehicle) ||
+      typeof vehicle.make !== "string" ||
+      !vehicle.make.trim() ||
+      (year !== null && !(year >= MIN_YEAR))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Vehicle filter needs a make, and a valid year if given",
+      });
+    }
+
+    req.vehicle = {
+      make: vehicle.make.trim(),
+      model: vehicle.model ? String(vehicle.model).trim() : null,
+      yearFrom: year,
+      yearTo: year,
+      engine: vehicle.engine ? String(vehicle.engine).trim() : null,
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { parseVehicleFilter };
@@ -1,5 +1,6 @@
 const express = require("express");
 const db = require("../config/database");
+const { markStaleDays } = require("../utils/analyticsRollup");
 
 const router = express.Router();
 
@@ -38,6 +39,10 @@ router.post("/log", async (req, res, next) => {
     `,
       flatValues
     );
+    await markStaleDays(
+      db,
+      activities.filter((a) => a.createdAt).map((a) => new Date(a.createdAt))
+    );
 
     res.json({
       success: true,
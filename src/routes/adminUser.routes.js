@@ -0,0 +1,392 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const { loadManagedUser, forbidSelf } = require("../middleware/managedUser");
+const {
+  ROLE_PERMISSIONS,
+  ORG_ROLE_PERMISSIONS,
+  ungrantablePermissions,
+} = require("../config/permissions");
+const { manageableBy, canManage } = require("../utils/tenancy");
+const { revokeUserSessions } = require("../utils/sessions");
+const {
+  createAccountToken,
+  sendPasswordResetEmail,
+} = require("../utils/accountTokens");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(requirePermission("users.manage", { orgScoped: true }));
+
+const MAX_PAGE_SIZE = 100;
+
+// Sign a user out everywhere: revoke sessions and mark devices inactive
+const signOutEverywhere = async (executor, userId, reason) => {
+  const sessions = await revokeUserSessions(executor, userId, reason);
+  await executor.execute(
+    "UPDATE devices SET is_active = false WHERE user_id = ?",
+    [userId]
+  );
+  return sessions;
+};
+
+// List users with search and pagination
+router.get("/", async (req, res, next) => {
+  try {
+    const { q, role, isActive, organization, page = 1, limit = 20 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 20, MAX_PAGE_SIZE);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+    const scope = manageableBy(req.user, "u.organization_id", "users.manage");
+
+    let where = `WHERE ${scope.clause}`;
+    const params = [...scope.params];
+
+    if (q) {
+      where += " AND (u.name LIKE ? OR u.email LIKE ?)";
+      params.push(`%${q}%`, `%${q}%`);
+    }
+    if (role) {
+      where +=
+        " AND (u.role = ? OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role = ?))";
+      params.push(role, role);
+    }
+    if (isActive !== undefined) {
+      where += " AND u.is_active = ?";
+      params.push(isActive === "true");
+    }
+    if (organization) {
+      where += " AND o.uuid = ?";
+      params.push(organization);
+    }
+
+    const [users] = await db.execute(
+      `
+      SELECT u.uuid, u.name, u.email, u.phone, u.role, u.org_role, u.is_active,
+        u.email_verified_at, u.created_at,
+        o.uuid as organization_uuid, o.name as organization_name,
+        (SELECT GROUP_CONCAT(ur.role ORDER BY ur.role) FROM user_roles ur WHERE ur.user_id = u.id) as assigned_roles,
+        (SELECT MAX(ua.created_at) FROM user_activities ua WHERE ua.user_id = u.id AND ua.activity_type = 'login') as last_login_at
+      FROM users u
+      LEFT JOIN organizations o ON u.organization_id = o.id
+      ${where}
+      ORDER BY u.created_at DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, pageSize, offset]
+    );
+
+    const [[{ total }]] = await db.execute(
+      `
+      SELECT COUNT(*) as total
+      FROM users u
+      LEFT JOIN organizations o ON u.organization_id = o.id
+      ${where}
+    `,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map((u) => ({
+          ...u,
+          assigned_roles: u.assigned_roles ? u.assigned_roles.split(",") : [],
+        })),
+        pagination: {
+          page: parseInt(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Audit trail of user administration, newest first. Pass `user` (uuid) to
+// see the changes made to one account.
+router.get("/audit", async (req, res, next) => {
+  try {
+    const { user, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+    const scope = manageableBy(req.user, "t.organization_id", "users.manage");
+
+    let query = `
+      SELECT al.id, al.action, al.changes, al.ip_address, al.created_at,
+        a.uuid as actor_uuid, a.name as actor_name,
+        t.uuid as target_uuid, t.name as target_name, t.email as target_email
+      FROM audit_log al
+      JOIN users t ON al.target_type = 'user' AND al.target_id = t.id
+      LEFT JOIN users a ON al.actor_id = a.id
+      WHERE ${scope.clause}
+    `;
+    const params = [...scope.params];
+
+    if (user) {
+      query += " AND t.uuid = ?";
+      params.push(user);
+    }
+
+    query += " ORDER BY al.id DESC LIMIT ? OFFSET ?";
+    params.push(pageSize, offset);
+
+    const [entries] = await db.execute(query, params);
+
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user with their sessions and devices
+router.get("/:uuid", loadManagedUser, async (req, res, next) => {
+  try {
+    const user = req.targetUser;
+
+    const [sessions] = await db.execute(
+      `
+      SELECT uuid, device_id, ip_address, last_used_at, expires_at, created_at
+      FROM auth_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `,
+      [user.id]
+    );
+    const [devices] = await db.execute(
+      "SELECT device_id, device_name, device_model, os_version, app_version, is_active, last_active_at FROM devices WHERE user_id = ? ORDER BY last_active_at DESC",
+      [user.id]
+    );
+
+    const { id, ...details } = user;
+    res.json({ success: true, data: { ...details, sessions, devices } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a user's base role
+router.put(
+  "/:uuid/role",
+  forbidSelf("You cannot change your own role"),
+  loadManagedUser,
+  [body("role").isIn(Object.keys(ROLE_PERMISSIONS))],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const user = req.targetUser;
+      const { role } = req.body;
+
+      const missing = ungrantablePermissions(req.user, [role]);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Cannot grant permissions you do not hold: ${missing.join(
+            ", "
+          )}`,
+        });
+      }
+
+      if (role !== user.role) {
+        await db.execute("UPDATE users SET role = ? WHERE id = ?", [
+          role,
+          user.id,
+        ]);
+        await recordAudit(db, req, {
+          action: "role_changed",
+          targetType: "user",
+          targetId: user.id,
+          changes: { role: { from: user.role, to: role } },
+        });
+      }
+
+      res.json({ success: true, message: "Role updated", data: { role } });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Activate or deactivate a user. Deactivation also signs them out.
+router.put(
+  "/:uuid/status",
+  forbidSelf("You cannot change your own status"),
+  loadManagedUser,
+  [body("isActive").isBoolean()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const user = req.targetUser;
+      const isActive = Boolean(req.body.isActive);
+
+      if (isActive === Boolean(user.is_active)) {
+        return res.json({ success: true, message: "Status unchanged" });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+          "UPDATE users SET is_active = ? WHERE id = ?",
+          [isActive, user.id]
+        );
+        if (!isActive) {
+          await signOutEverywhere(connection, user.id, "deactivated");
+        }
+        await recordAudit(connection, req, {
+          action: isActive ? "user_activated" : "user_deactivated",
+          targetType: "user",
+          targetId: user.id,
+          changes: {
+            isActive: { from: Boolean(user.is_active), to: isActive },
+          },
+        });
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({
+        success: true,
+        message: isActive ? "User activated" : "User deactivated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sign a user out of every device
+router.post("/:uuid/logout", loadManagedUser, async (req, res, next) => {
+  try {
+    const user = req.targetUser;
+    const sessions = await signOutEverywhere(db, user.id, "forced_logout");
+
+    await recordAudit(db, req, {
+      action: "forced_logout",
+      targetType: "user",
+      targetId: user.id,
+      changes: { sessionsRevoked: sessions },
+    });
+
+    res.json({
+      success: true,
+      message: "User signed out of all devices",
+      data: { sessionsRevoked: sessions },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset a user's password. With `password` it is set directly and all
+// devices are signed out; without, the user is emailed a reset link.
+router.post(
+  "/:uuid/password-reset",
+  loadManagedUser,
+  [
+    body("password")
+      .optional()
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const user = req.targetUser;
+
+      if (!req.body.password) {
+        const token = await createAccountToken(db, user.id, "password_reset");
+        await sendPasswordResetEmail(user, token);
+        await recordAudit(db, req, {
+          action: "password_reset_sent",
+          targetType: "user",
+          targetId: user.id,
+        });
+
+        return res.json({
+          success: true,
+          message: "Password reset email sent",
+        });
+      }
+
+      // Setting the password directly takes over the account, so it is only
+      // allowed over accounts holding nothing beyond the caller's own
+      // permissions. The emailed link goes to the account owner instead.
+      const missing = [
+        ...new Set([
+          ...ungrantablePermissions(req.user, [
+            user.role,
+            ...user.assignedRoles,
+          ]),
+          ...(user.organization_id
+            ? (ORG_ROLE_PERMISSIONS[user.org_role] || []).filter(
+                (p) => !canManage(req.user, user.organization_id, p)
+              )
+            : []),
+        ]),
+      ];
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `User holds permissions you do not hold (${missing.join(
+            ", "
+          )}); send a reset email instead`,
+        });
+      }
+
+      const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+          "UPDATE users SET password_hash = ? WHERE id = ?",
+          [passwordHash, user.id]
+        );
+        await signOutEverywhere(connection, user.id, "password_reset");
+        await recordAudit(connection, req, {
+          action: "password_reset",
+          targetType: "user",
+          targetId: user.id,
+        });
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({ success: true, message: "Password has been reset" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const { REPORTS, toCsv } = require("../utils/analytics");
+
+const router = express.Router();
+
+router.use(requirePermission("analytics.read"));
+
+// List the available reports
+router.get("/", (req, res) => {
+  res.json({ success: true, data: Object.keys(REPORTS) });
+});
+
+// Run a report over the rollups. Each report takes `from`/`to` dates where
+// it applies, and `organizationId` to narrow to one organization;
+// ?format=csv downloads it as CSV.
+router.get("/:report", async (req, res, next) => {
+  try {
+    const report = REPORTS[req.params.report];
+
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Unknown report" });
+    }
+
+    const result = await report(db, req.user, req.query);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    if (req.query.format === "csv") {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${req.params.report}-${date}.csv"`,
+      });
+      return res.send(toCsv(result.rows));
+    }
+
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
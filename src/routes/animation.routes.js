@@ -1,6 +1,81 @@
 const express = require("express");
 const db = require("../config/database");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { recordChange } = require("../utils/changeLog");
+const { localize } = require("../utils/translations");
+const {
+  liveClause,
+  isEditLocked,
+  EDIT_LOCKED_MESSAGE,
+} = require("../utils/workflow");
+const { uploadFile } = require("../middleware/upload");
+const { storeUpload, discardUpload } = require("../utils/uploads");
+
+const requireContentWrite = requirePermission("content.write");
+
+// Stop writers changing an animation that is in review or published
+const rejectIfLocked = async (req, res, next) => {
+  try {
+    const [animations] = await db.execute(
+      "SELECT status FROM learning_animations WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (animations.length > 0 && isEditLocked(req.user, animations[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireEditable = [requireContentWrite, rejectIfLocked];
+
+// Upload the animation file or thumbnail into the given column
+const uploadAnimationAsset = (kind, column, message) => [
+  requireEditable,
+  uploadFile(kind),
+  async (req, res, next) => {
+    try {
+      const [animations] = await db.execute(
+        "SELECT id FROM learning_animations WHERE uuid = ?",
+        [req.params.uuid]
+      );
+
+      if (animations.length === 0) {
+        await discardUpload(req.file);
+        return res
+          .status(404)
+          .json({ success: false, message: "Animation not found" });
+      }
+
+      const stored = await storeUpload(req.file, kind, req.user.id);
+
+      await db.execute(
+        `UPDATE learning_animations SET ${column} = ? WHERE id = ?`,
+        [stored.file_url, animations[0].id]
+      );
+      await recordChange(db, "animation", req.params.uuid);
+
+      res.json({
+        success: true,
+        message,
+        data: {
+          fileUrl: stored.file_url,
+          fileSize: stored.file_size,
+          contentHash: stored.sha256,
+          deduplicated: stored.deduplicated,
+        },
+      });
+    } catch (error) {
+      await discardUpload(req.file);
+      next(error);
+    }
+  },
+];
 
 const router = express.Router();
 
@@ -10,7 +85,7 @@ router.get("/", async (req, res, next) => {
     const { type, category, search, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
-    let query = "SELECT * FROM learning_animations WHERE is_active = true";
+    let query = `SELECT * FROM learning_animations WHERE ${liveClause()}`;
     const params = [];
 
     if (type) {
@@ -33,10 +108,10 @@ router.get("/", async (req, res, next) => {
     params.push(parseInt(limit), parseInt(offset));
 
     const [animations] = await db.execute(query, params);
+    await localize(db, "animation", animations, req.locale);
 
     // Get total count
-    let countQuery =
-      "SELECT COUNT(*) as total FROM learning_animations WHERE is_active = true";
+    let countQuery = `SELECT COUNT(*) as total FROM learning_animations WHERE ${liveClause()}`;
     const countParams = [];
     if (type) {
       countQuery += " AND animation_type = ?";
@@ -70,7 +145,7 @@ router.get("/", async (req, res, next) => {
 router.get("/categories", async (req, res, next) => {
   try {
     const [categories] = await db.execute(
-      "SELECT DISTINCT category FROM learning_animations WHERE is_active = true AND category IS NOT NULL ORDER BY category"
+      `SELECT DISTINCT category FROM learning_animations WHERE ${liveClause()} AND category IS NOT NULL ORDER BY category`
     );
     res.json({ success: true, data: categories.map((c) => c.category) });
   } catch (error) {
@@ -82,7 +157,7 @@ router.get("/categories", async (req, res, next) => {
 router.get("/:uuid", async (req, res, next) => {
   try {
     const [animations] = await db.execute(
-      "SELECT * FROM learning_animations WHERE uuid = ? AND is_active = true",
+      `SELECT * FROM learning_animations WHERE uuid = ? AND ${liveClause()}`,
       [req.params.uuid]
     );
 
@@ -91,6 +166,7 @@ router.get("/:uuid", async (req, res, next) => {
         .status(404)
         .json({ success: false, message: "Animation not found" });
     }
+    await localize(db, "animation", animations, req.locale);
 
     // Increment view count
     await db.execute(
@@ -111,7 +187,7 @@ router.get("/:uuid", async (req, res, next) => {
 });
 
 // Admin: Create animation
-router.post("/", requireRole("admin"), async (req, res, next) => {
+router.post("/", requireContentWrite, async (req, res, next) => {
   try {
     const {
       title,
@@ -143,6 +219,8 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
       ]
     );
 
+    await recordChange(db, "animation", uuid);
+
     res.status(201).json({
       success: true,
       message: "Animation created",
@@ -154,7 +232,7 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
 });
 
 // Admin: Update animation
-router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
+router.put("/:uuid", requireEditable, async (req, res, next) => {
   try {
     const {
       title,
@@ -196,19 +274,34 @@ router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
       ]
     );
 
+    await recordChange(db, "animation", req.params.uuid);
+
     res.json({ success: true, message: "Animation updated" });
   } catch (error) {
     next(error);
   }
 });
 
+// Admin: Upload animation file
+router.post(
+  "/:uuid/file",
+  uploadAnimationAsset("animation", "file_url", "Animation file uploaded")
+);
+
+// Admin: Upload animation thumbnail
+router.post(
+  "/:uuid/thumbnail",
+  uploadAnimationAsset("image", "thumbnail_url", "Thumbnail uploaded")
+);
+
 // Admin: Delete animation
-router.delete("/:uuid", requireRole("admin"), async (req, res, next) => {
+router.delete("/:uuid", requireEditable, async (req, res, next) => {
   try {
     await db.execute(
       "UPDATE learning_animations SET is_active = false WHERE uuid = ?",
       [req.params.uuid]
     );
+    await recordChange(db, "animation", req.params.uuid);
     res.json({ success: true, message: "Animation deleted" });
   } catch (error) {
     next(error);
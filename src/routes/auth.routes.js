@@ -1,13 +1,46 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
 const { body, validationResult } = require("express-validator");
 const db = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = require("../utils/sessions");
+const {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("../utils/accountTokens");
+const {
+  sleep,
+  getLoginThrottle,
+  recordLoginFailure,
+  clearAccountFailures,
+  clearIpFailures,
+} = require("../utils/loginThrottle");
 
 const router = express.Router();
 
+// When enabled, accounts cannot sign in until their email is verified
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Email a fresh verification link. Mail failures are logged rather than
+// failing the request; the user can ask for the link again.
+const sendVerification = async (user) => {
+  try {
+    const token = await createAccountToken(db, user.id, "email_verification");
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error("Failed to send verification email:", error);
+  }
+};
+
 // Register
 router.post(
   "/register",
@@ -51,19 +84,31 @@ router.post(
         [userUuid, name, email, passwordHash, phone || null]
       );
 
-      // Generate token
-      const token = jwt.sign(
-        { userId: result.insertId, uuid: userUuid },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+      await sendVerification({ id: result.insertId, name, email });
+
+      const user = { uuid: userUuid, name, email, emailVerified: false };
+
+      if (REQUIRE_EMAIL_VERIFICATION) {
+        return res.status(201).json({
+          success: true,
+          message:
+            "Registration successful. Check your email to verify your address.",
+          data: { user },
+        });
+      }
+
+      // Start a session
+      const tokens = await createSession(
+        { id: result.insertId, uuid: userUuid },
+        { deviceId: req.headers["x-device-id"], ipAddress: req.ip }
       );
 
       res.status(201).json({
         success: true,
         message: "Registration successful",
         data: {
-          token,
-          user: { uuid: userUuid, name, email },
+          ...tokens,
+          user,
         },
       });
     } catch (error) {
@@ -87,28 +132,62 @@ router.post(
       const deviceId = req.headers["x-device-id"];
       const deviceInfo = req.body.deviceInfo;
 
+      // Refuse locked accounts/IPs and slow down repeated failures
+      const throttle = await getLoginThrottle(email, req.ip);
+      if (throttle.lockedUntil) {
+        const retryAfter = Math.ceil(
+          (throttle.lockedUntil.getTime() - Date.now()) / 1000
+        );
+        res.set("Retry-After", String(Math.max(retryAfter, 1)));
+        return res.status(429).json({
+          success: false,
+          message: "Too many failed login attempts, please try again later.",
+          lockedUntil: throttle.lockedUntil,
+        });
+      }
+      await sleep(throttle.delayMs);
+
       // Find user
       const [users] = await db.execute(
         "SELECT * FROM users WHERE email = ? AND is_active = true",
         [email]
       );
 
-      if (users.length === 0) {
-        return res
-          .status(401)
-          .json({ success: false, message: "Invalid credentials" });
-      }
-
       const user = users[0];
 
       // Verify password
-      const validPassword = await bcrypt.compare(password, user.password_hash);
+      const validPassword =
+        user && (await bcrypt.compare(password, user.password_hash));
       if (!validPassword) {
+        const locked = await recordLoginFailure(email, req.ip);
+
+        if (user) {
+          await db.execute(
+            `INSERT INTO user_activities (user_id, device_id, activity_type, metadata, ip_address) VALUES (?, ?, 'login_failed', ?, ?)`,
+            [
+              user.id,
+              deviceId || null,
+              JSON.stringify({ reason: "invalid_password", locked }),
+              req.ip,
+            ]
+          );
+        }
+
         return res
           .status(401)
           .json({ success: false, message: "Invalid credentials" });
       }
 
+      await clearAccountFailures(email);
+
+      if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+        return res.status(403).json({
+          success: false,
+          code: "EMAIL_NOT_VERIFIED",
+          message: "Email address not verified",
+        });
+      }
+
       // Update or insert device info
       if (deviceId && deviceInfo) {
         await db.execute(
@@ -140,24 +219,21 @@ router.post(
         [user.id, deviceId || null, req.ip]
       );
 
-      // Generate token
-      const token = jwt.sign(
-        { userId: user.id, uuid: user.uuid },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-      );
+      // Start a session for this device
+      const tokens = await createSession(user, { deviceId, ipAddress: req.ip });
 
       res.json({
         success: true,
         message: "Login successful",
         data: {
-          token,
+          ...tokens,
           user: {
             uuid: user.uuid,
             name: user.name,
             email: user.email,
             role: user.role,
             profileImage: user.profile_image,
+            emailVerified: Boolean(user.email_verified_at),
           },
         },
       });
@@ -167,6 +243,203 @@ router.post(
   }
 );
 
+// Lift a login lockout for an account and/or IP address
+router.post(
+  "/unlock",
+  authenticateToken,
+  requirePermission("users.manage"),
+  [
+    body("email").optional().isEmail().normalizeEmail(),
+    body("ip").optional().isIP(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { email, ip } = req.body;
+      if (!email && !ip) {
+        return res
+          .status(400)
+          .json({ success: false, message: "email or ip required" });
+      }
+
+      if (email) await clearAccountFailures(email);
+      if (ip) await clearIpFailures(ip);
+
+      res.json({ success: true, message: "Login lockout cleared" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Verify email address
+router.post(
+  "/verify-email",
+  [body("token").isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const userId = await consumeAccountToken(
+        db,
+        req.body.token,
+        "email_verification"
+      );
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid or expired token" });
+      }
+
+      await db.execute(
+        "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+        [userId]
+      );
+
+      res.json({ success: true, message: "Email verified" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Resend verification email. The response never reveals whether the
+// address is registered.
+router.post(
+  "/resend-verification",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const [users] = await db.execute(
+        "SELECT id, name, email FROM users WHERE email = ? AND is_active = true AND email_verified_at IS NULL",
+        [req.body.email]
+      );
+      if (users.length > 0) {
+        await sendVerification(users[0]);
+      }
+
+      res.json({
+        success: true,
+        message:
+          "If the address needs verifying, a new link has been sent to it",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Forgot password: email a reset link. The response never reveals whether
+// the address is registered.
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const [users] = await db.execute(
+        "SELECT id, name, email FROM users WHERE email = ? AND is_active = true",
+        [req.body.email]
+      );
+
+      if (users.length > 0) {
+        const token = await createAccountToken(
+          db,
+          users[0].id,
+          "password_reset"
+        );
+        // Logged rather than returned so failures don't reveal the account
+        await sendPasswordResetEmail(users[0], token).catch((error) =>
+          console.error("Failed to send password reset email:", error)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "If the address is registered, a reset link has been sent",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Reset password with a token from the reset email
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().notEmpty(),
+    body("password")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    let connection;
+    try {
+      const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+      connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      const userId = await consumeAccountToken(
+        connection,
+        req.body.token,
+        "password_reset"
+      );
+      if (!userId) {
+        await connection.rollback();
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid or expired token" });
+      }
+
+      // The reset link proves control of the mailbox, so it also verifies it
+      await connection.execute(
+        "UPDATE users SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+        [passwordHash, userId]
+      );
+
+      // Sign out every device that used the old password
+      await revokeUserSessions(connection, userId, "password_reset");
+
+      await connection.execute(
+        `INSERT INTO user_activities (user_id, activity_type, ip_address) VALUES (?, 'password_reset', ?)`,
+        [userId, req.ip]
+      );
+
+      await connection.commit();
+
+      res.json({ success: true, message: "Password has been reset" });
+    } catch (error) {
+      if (connection) await connection.rollback();
+      next(error);
+    } finally {
+      if (connection) connection.release();
+    }
+  }
+);
+
 // Get Profile
 router.get("/profile", authenticateToken, async (req, res) => {
   res.json({
@@ -176,6 +449,8 @@ router.get("/profile", authenticateToken, async (req, res) => {
       name: req.user.name,
       email: req.user.email,
       role: req.user.role,
+      roles: req.user.roles,
+      permissions: req.user.permissions,
     },
   });
 });
@@ -201,16 +476,28 @@ router.put(
   }
 );
 
-// Refresh Token
-router.post("/refresh-token", authenticateToken, (req, res) => {
-  const token = jwt.sign(
-    { userId: req.user.id, uuid: req.user.uuid },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-  );
+// Refresh Token: exchange a refresh token for a new access/refresh pair
+router.post(
+  "/refresh-token",
+  [body("refreshToken").isString().notEmpty()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const result = await rotateRefreshToken(req.body.refreshToken);
+      if (result.error) {
+        return res.status(401).json({ success: false, message: result.error });
+      }
 
-  res.json({ success: true, data: { token } });
-});
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 // Logout
 router.post("/logout", authenticateToken, async (req, res, next) => {
@@ -221,6 +508,9 @@ router.post("/logout", authenticateToken, async (req, res, next) => {
       [req.user.id, req.deviceId, req.ip]
     );
 
+    // Revoke the session so its tokens stop working immediately
+    await revokeSession(db, req.sessionId, "logout");
+
     // Deactivate device
     if (req.deviceId) {
       await db.execute(
@@ -235,4 +525,60 @@ router.post("/logout", authenticateToken, async (req, res, next) => {
   }
 });
 
+// List signed-in sessions
+router.get("/sessions", authenticateToken, async (req, res, next) => {
+  try {
+    const [sessions] = await db.execute(
+      `
+      SELECT s.id, s.uuid, s.device_id, s.ip_address, s.last_used_at, s.expires_at, s.created_at,
+        d.device_name, d.device_model
+      FROM auth_sessions s
+      LEFT JOIN devices d ON d.user_id = s.user_id AND d.device_id = s.device_id
+      WHERE s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+      ORDER BY s.last_used_at DESC
+    `,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: sessions.map(({ id, ...session }) => ({
+        ...session,
+        current: id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a session, e.g. to cut off a lost device
+router.delete("/sessions/:uuid", authenticateToken, async (req, res, next) => {
+  try {
+    const [sessions] = await db.execute(
+      "SELECT id, device_id FROM auth_sessions WHERE uuid = ? AND user_id = ? AND revoked_at IS NULL",
+      [req.params.uuid, req.user.id]
+    );
+
+    if (sessions.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    await revokeSession(db, sessions[0].id, "revoked_by_user");
+
+    if (sessions[0].device_id) {
+      await db.execute(
+        "UPDATE devices SET is_active = false WHERE user_id = ? AND device_id = ?",
+        [req.user.id, sessions[0].device_id]
+      );
+    }
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
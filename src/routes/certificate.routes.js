@@ -0,0 +1,95 @@
+const express = require("express");
+const db = require("../config/database");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { canManage } = require("../utils/tenancy");
+const { toCertificate } = require("../utils/learningPaths");
+
+const router = express.Router();
+
+// Verify a certificate by its code. Public, so employers can check a
+// certificate without an account.
+router.get("/verify/:code", async (req, res, next) => {
+  try {
+    const [certificates] = await db.execute(
+      "SELECT * FROM certificates WHERE code = ?",
+      [req.params.code.trim().toUpperCase()]
+    );
+
+    if (certificates.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Certificate not found" });
+    }
+
+    res.json({ success: true, data: toCertificate(certificates[0]) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the current user's certificates
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const [certificates] = await db.execute(
+      `
+      SELECT c.*, p.uuid as path_uuid FROM certificates c
+      JOIN learning_paths p ON c.path_id = p.id
+      WHERE c.user_id = ?
+      ORDER BY c.issued_at DESC
+    `,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: certificates.map((c) => ({
+        ...toCertificate(c),
+        pathUuid: c.path_uuid,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Revoke a certificate issued for a path the user manages
+router.post(
+  "/:code/revoke",
+  authenticateToken,
+  requirePermission("content.write", { orgScoped: true }),
+  async (req, res, next) => {
+    try {
+      const [certificates] = await db.execute(
+        `
+        SELECT c.id, p.organization_id FROM certificates c
+        JOIN learning_paths p ON c.path_id = p.id
+        WHERE c.code = ?
+      `,
+        [req.params.code.trim().toUpperCase()]
+      );
+
+      if (certificates.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Certificate not found" });
+      }
+
+      if (!canManage(req.user, certificates[0].organization_id)) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      await db.execute(
+        "UPDATE certificates SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = ?",
+        [certificates[0].id]
+      );
+
+      res.json({ success: true, message: "Certificate revoked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,403 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { hasPermission } = require("../config/permissions");
+const { canManage, manageableBy } = require("../utils/tenancy");
+const { ENTITY_TABLES, recordChange } = require("../utils/changeLog");
+const {
+  STATUSES,
+  TRANSITIONS,
+  EDITORIAL_TYPES,
+  recordWorkflowEvent,
+} = require("../utils/workflow");
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Resolve a transition's "write" placeholder to the type's permission
+const permissionFor = (type, permission) =>
+  permission === "write" ? EDITORIAL_TYPES[type].writePermission : permission;
+
+// Whether the user may act with `permission` on a row of `type`
+const canActOn = (user, type, row, permission) =>
+  canManage(
+    user,
+    EDITORIAL_TYPES[type].orgScoped ? row.organization_id : null,
+    permission
+  );
+
+// SQL condition on rows of `type` the user may either write or review
+const editableBy = (user, type) => {
+  const { writePermission, orgScoped } = EDITORIAL_TYPES[type];
+  const scopes = [writePermission, "content.review"].map((permission) =>
+    orgScoped
+      ? manageableBy(user, "organization_id", permission)
+      : {
+          clause: hasPermission(user, permission) ? "1 = 1" : "1 = 0",
+          params: [],
+        }
+  );
+  return {
+    clause: `(${scopes.map((s) => s.clause).join(" OR ")})`,
+    params: scopes.flatMap((s) => s.params),
+  };
+};
+
+const toItem = (type, row) => ({
+  type,
+  key: row.entity_key,
+  title: row.title,
+  status: row.status,
+  publishAt: row.publish_at,
+  unpublishAt: row.unpublish_at,
+  updatedAt: row.updated_at,
+});
+
+// Load :type/:key into req.content if the caller may write or review it.
+// Deleted content is not part of the workflow.
+const loadContent = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    if (!EDITORIAL_TYPES[type]) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Unknown content type" });
+    }
+
+    const { table, keyColumn } = ENTITY_TABLES[type];
+    const key =
+      type === "error_code" ? req.params.key.toUpperCase() : req.params.key;
+    const [rows] = await db.execute(
+      `SELECT * FROM ${table} WHERE ${keyColumn} = ? AND is_active = true`,
+      [key]
+    );
+
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Content not found" });
+    }
+
+    const row = rows[0];
+    const permissions = [
+      EDITORIAL_TYPES[type].writePermission,
+      "content.review",
+    ];
+    if (!permissions.some((p) => canActOn(req.user, type, row, p))) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    req.content = { type, key, table, row };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const scheduleRules = [
+  body("publishAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("publishAt must be an ISO 8601 date"),
+  body("unpublishAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("unpublishAt must be an ISO 8601 date"),
+];
+
+// Read the publish window from the body; the unpublish time must come after
+// the publish time, or after now when publishing immediately
+const readSchedule = ({ publishAt, unpublishAt }) => {
+  const schedule = {
+    publishAt: publishAt ? new Date(publishAt) : null,
+    unpublishAt: unpublishAt ? new Date(unpublishAt) : null,
+  };
+  if (
+    schedule.unpublishAt &&
+    schedule.unpublishAt <= (schedule.publishAt || new Date())
+  ) {
+    schedule.error = "unpublishAt must be later than publishAt";
+  }
+  return schedule;
+};
+
+// Editorial queue: content in a status (default: awaiting review) that the
+// caller may write or review, most recently changed first
+router.get("/", async (req, res, next) => {
+  try {
+    const { type, status = "in_review", limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${STATUSES.join(", ")}`,
+      });
+    }
+    if (type && !EDITORIAL_TYPES[type]) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unknown content type" });
+    }
+
+    const items = [];
+    for (const entityType of type ? [type] : Object.keys(EDITORIAL_TYPES)) {
+      const { table, keyColumn } = ENTITY_TABLES[entityType];
+      const scope = editableBy(req.user, entityType);
+      const [rows] = await db.execute(
+        `
+        SELECT ${keyColumn} as entity_key, title, status, publish_at, unpublish_at, updated_at
+        FROM ${table}
+        WHERE is_active = true AND status = ? AND ${scope.clause}
+        ORDER BY updated_at DESC
+        LIMIT ?
+      `,
+        [status, ...scope.params, pageSize]
+      );
+      items.push(...rows.map((row) => toItem(entityType, row)));
+    }
+
+    items.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    res.json({ success: true, data: items.slice(0, pageSize) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get content in any status, with its workflow history
+router.get("/:type/:key", loadContent, async (req, res, next) => {
+  try {
+    const { type, key, row } = req.content;
+
+    const [history] = await db.execute(
+      `
+      SELECT cwe.action, cwe.from_status, cwe.to_status, cwe.note, cwe.created_at,
+        u.uuid as user_uuid, u.name as user_name
+      FROM content_workflow_events cwe
+      LEFT JOIN users u ON cwe.user_id = u.id
+      WHERE cwe.entity_type = ? AND cwe.entity_key = ?
+      ORDER BY cwe.id DESC
+    `,
+      [type, key]
+    );
+
+    res.json({ success: true, data: { type, item: row, history } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the publish window of published content
+router.put(
+  "/:type/:key/schedule",
+  loadContent,
+  scheduleRules,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { type, key, table, row } = req.content;
+
+      if (!canActOn(req.user, type, row, "content.review")) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      if (row.status !== "published") {
+        return res.status(409).json({
+          success: false,
+          message: "Only published content can be scheduled",
+        });
+      }
+
+      const schedule = readSchedule(req.body);
+      if (schedule.error) {
+        return res
+          .status(400)
+          .json({ success: false, message: schedule.error });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+          `UPDATE ${table} SET publish_at = ?, unpublish_at = ? WHERE id = ?`,
+          [schedule.publishAt, schedule.unpublishAt, row.id]
+        );
+        await recordWorkflowEvent(connection, {
+          entityType: type,
+          entityKey: key,
+          action: "schedule",
+          fromStatus: row.status,
+          toStatus: row.status,
+          note: req.body.note,
+          userId: req.user.id,
+        });
+        await recordChange(connection, type, key);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({
+        success: true,
+        message: "Schedule updated",
+        data: {
+          publishAt: schedule.publishAt,
+          unpublishAt: schedule.unpublishAt,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Move content through the workflow: submit, withdraw, approve, reject,
+// unpublish, archive or restore. Approval takes an optional publish window.
+router.post(
+  "/:type/:key/:action",
+  loadContent,
+  scheduleRules,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { type, key, table, row } = req.content;
+      const { action } = req.params;
+      const transition = TRANSITIONS[action];
+
+      if (!transition) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Unknown workflow action" });
+      }
+
+      if (
+        !canActOn(
+          req.user,
+          type,
+          row,
+          permissionFor(type, transition.permission)
+        )
+      ) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      if (!transition.from.includes(row.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot ${action} content that is ${row.status}`,
+        });
+      }
+
+      // Approval needs a second pair of eyes: whoever submitted the content
+      // for review cannot also publish it
+      if (action === "approve") {
+        const [submits] = await db.execute(
+          `
+          SELECT user_id FROM content_workflow_events
+          WHERE entity_type = ? AND entity_key = ? AND action = 'submit'
+          ORDER BY id DESC
+          LIMIT 1
+        `,
+          [type, key]
+        );
+        if (submits.length > 0 && submits[0].user_id === req.user.id) {
+          return res.status(403).json({
+            success: false,
+            message: "You cannot approve content you submitted",
+          });
+        }
+      }
+
+      const schedule =
+        action === "approve"
+          ? readSchedule(req.body)
+          : { publishAt: row.publish_at, unpublishAt: row.unpublish_at };
+      if (schedule.error) {
+        return res
+          .status(400)
+          .json({ success: false, message: schedule.error });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        // Guard on the status read above so concurrent moves cannot both win
+        const [result] = await connection.execute(
+          `UPDATE ${table} SET status = ?, publish_at = ?, unpublish_at = ? WHERE id = ? AND status = ?`,
+          [
+            transition.to,
+            schedule.publishAt,
+            schedule.unpublishAt,
+            row.id,
+            row.status,
+          ]
+        );
+        if (result.affectedRows === 0) {
+          await connection.rollback();
+          return res.status(409).json({
+            success: false,
+            message: "Content status changed, please reload",
+          });
+        }
+
+        await recordWorkflowEvent(connection, {
+          entityType: type,
+          entityKey: key,
+          action,
+          fromStatus: row.status,
+          toStatus: transition.to,
+          note: req.body.note,
+          userId: req.user.id,
+        });
+
+        // Only moves into or out of published change what devices see
+        if (row.status === "published" || transition.to === "published") {
+          await recordChange(connection, type, key);
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({
+        success: true,
+        message: `Content moved to ${transition.to}`,
+        data: {
+          status: transition.to,
+          publishAt: schedule.publishAt,
+          unpublishAt: schedule.unpublishAt,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
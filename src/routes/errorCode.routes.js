@@ -1,14 +1,52 @@
 const express = require("express");
 const db = require("../config/database");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { recordChange } = require("../utils/changeLog");
+const { localize } = require("../utils/translations");
+const { fitsVehicle, attachVehicles } = require("../utils/fitment");
+const { parseVehicleFilter } = require("../middleware/vehicleFilter");
+const {
+  normalizeSearchQuery,
+  looksLikeCode,
+} = require("../utils/searchMisses");
+const { readRange } = require("../utils/analytics");
+const {
+  liveClause,
+  isEditLocked,
+  EDIT_LOCKED_MESSAGE,
+} = require("../utils/workflow");
 
 const router = express.Router();
 
-// Search error codes (main feature)
-router.get("/search", async (req, res, next) => {
+const requirePublish = requirePermission("error_codes.publish");
+
+// Stop writers changing an error code that is in review or published
+const rejectIfLocked = async (req, res, next) => {
+  try {
+    const [errorCodes] = await db.execute(
+      "SELECT status FROM error_codes WHERE code = ?",
+      [req.params.code.toUpperCase()]
+    );
+
+    if (errorCodes.length > 0 && isEditLocked(req.user, errorCodes[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireEditable = [requirePublish, rejectIfLocked];
+
+// Search error codes (main feature), optionally only those fitting a vehicle
+router.get("/search", parseVehicleFilter, async (req, res, next) => {
   try {
     const { q, category, severity, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
+    const fitment = fitsVehicle(req.vehicle, "error_code", "ec.id");
 
     if (!q) {
       return res
@@ -20,14 +58,19 @@ router.get("/search", async (req, res, next) => {
       SELECT ec.*, ecc.name as category_name, ecc.code_prefix
       FROM error_codes ec
       LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
-      WHERE ec.is_active = true
+      WHERE ${liveClause("ec")}
       AND (
         ec.code LIKE ? 
         OR MATCH(ec.code, ec.title, ec.description, ec.possible_causes) AGAINST(? IN NATURAL LANGUAGE MODE)
+        OR EXISTS (
+          SELECT 1 FROM error_code_synonyms s
+          WHERE s.error_code_id = ec.id AND s.term = ?
+        )
       )
+      AND ${fitment.clause}
     `;
     const searchTerm = `%${q}%`;
-    const params = [searchTerm, q];
+    const params = [searchTerm, q, normalizeSearchQuery(q), ...fitment.params];
 
     if (category) {
       query += " AND ec.category_id = ?";
@@ -43,6 +86,7 @@ router.get("/search", async (req, res, next) => {
     params.push(parseInt(limit), parseInt(offset));
 
     const [errorCodes] = await db.execute(query, params);
+    await localize(db, "error_code", errorCodes, req.locale);
 
     // Increment search count for found codes
     if (errorCodes.length > 0) {
@@ -60,7 +104,11 @@ router.get("/search", async (req, res, next) => {
       [
         req.user.id,
         req.deviceId,
-        JSON.stringify({ query: q, resultsCount: errorCodes.length }),
+        JSON.stringify({
+          query: q,
+          resultsCount: errorCodes.length,
+          page: parseInt(page),
+        }),
       ]
     );
 
@@ -76,19 +124,20 @@ router.get("/search", async (req, res, next) => {
   }
 });
 
-// Get all error codes
-router.get("/", async (req, res, next) => {
+// Get all error codes, optionally only those fitting a vehicle
+router.get("/", parseVehicleFilter, async (req, res, next) => {
   try {
     const { category, severity, page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
+    const fitment = fitsVehicle(req.vehicle, "error_code", "ec.id");
 
     let query = `
       SELECT ec.*, ecc.name as category_name, ecc.code_prefix
       FROM error_codes ec
       LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
-      WHERE ec.is_active = true
+      WHERE ${liveClause("ec")} AND ${fitment.clause}
     `;
-    const params = [];
+    const params = [...fitment.params];
 
     if (category) {
       query += " AND ec.category_id = ?";
@@ -104,11 +153,14 @@ router.get("/", async (req, res, next) => {
     params.push(parseInt(limit), parseInt(offset));
 
     const [errorCodes] = await db.execute(query, params);
+    await localize(db, "error_code", errorCodes, req.locale);
 
     // Get total count
-    let countQuery =
-      "SELECT COUNT(*) as total FROM error_codes WHERE is_active = true";
-    const countParams = [];
+    let countQuery = `
+      SELECT COUNT(*) as total FROM error_codes ec
+      WHERE ${liveClause("ec")} AND ${fitment.clause}
+    `;
+    const countParams = [...fitment.params];
     if (category) {
       countQuery += " AND category_id = ?";
       countParams.push(category);
@@ -143,6 +195,7 @@ router.get("/categories", async (req, res, next) => {
     const [categories] = await db.execute(
       "SELECT * FROM error_code_categories ORDER BY code_prefix"
     );
+    await localize(db, "error_code_category", categories, req.locale);
     res.json({ success: true, data: categories });
   } catch (error) {
     next(error);
@@ -157,7 +210,7 @@ router.get("/code/:code", async (req, res, next) => {
       SELECT ec.*, ecc.name as category_name, ecc.code_prefix, ecc.vehicle_system
       FROM error_codes ec
       LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
-      WHERE ec.code = ? AND ec.is_active = true
+      WHERE ec.code = ? AND ${liveClause("ec")}
     `,
       [req.params.code.toUpperCase()]
     );
@@ -167,6 +220,8 @@ router.get("/code/:code", async (req, res, next) => {
         .status(404)
         .json({ success: false, message: "Error code not found" });
     }
+    await localize(db, "error_code", errorCodes, req.locale);
+    await attachVehicles(db, "error_code", errorCodes);
 
     // Increment search count
     await db.execute(
@@ -186,22 +241,24 @@ router.get("/code/:code", async (req, res, next) => {
   }
 });
 
-// Get popular error codes
-router.get("/popular", async (req, res, next) => {
+// Get popular error codes, optionally only those fitting a vehicle
+router.get("/popular", parseVehicleFilter, async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
+    const fitment = fitsVehicle(req.vehicle, "error_code", "ec.id");
 
     const [errorCodes] = await db.execute(
       `
-      SELECT ec.code, ec.title, ec.severity, ec.search_count, ecc.name as category_name
+      SELECT ec.id, ec.category_id, ec.code, ec.title, ec.severity, ec.search_count, ecc.name as category_name
       FROM error_codes ec
       LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
-      WHERE ec.is_active = true
+      WHERE ${liveClause("ec")} AND ${fitment.clause}
       ORDER BY ec.search_count DESC
       LIMIT ?
     `,
-      [parseInt(limit)]
+      [...fitment.params, parseInt(limit)]
     );
+    await localize(db, "error_code", errorCodes, req.locale);
 
     res.json({ success: true, data: errorCodes });
   } catch (error) {
@@ -209,8 +266,304 @@ router.get("/popular", async (req, res, next) => {
   }
 });
 
+// Content team: most frequent searches that found nothing (type=zero), only
+// a few results (type=few) or either (default), grouped by normalized query.
+// The example is the most typed spelling on the day the query was searched
+// most. Resolved queries are left out unless includeResolved=true.
+router.get("/search-misses", requirePublish, async (req, res, next) => {
+  try {
+    const { type = "all", includeResolved, limit = 50 } = req.query;
+    const range = readRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const missColumns = {
+      zero: "m.zero_results",
+      few: "m.few_results",
+      all: "m.zero_results + m.few_results",
+    };
+    if (!missColumns[type]) {
+      return res.status(400).json({
+        success: false,
+        message: "type must be one of: zero, few, all",
+      });
+    }
+
+    const [misses] = await db.execute(
+      `
+      SELECT m.normalized_query as query,
+        (
+          SELECT e.example_query FROM analytics_daily_search_misses e
+          WHERE e.normalized_query = m.normalized_query AND e.day BETWEEN ? AND ?
+          ORDER BY e.searches DESC, e.day DESC
+          LIMIT 1
+        ) as example_query,
+        CAST(SUM(m.searches) AS UNSIGNED) as searches,
+        CAST(SUM(m.zero_results) AS UNSIGNED) as zero_results,
+        CAST(SUM(m.few_results) AS UNSIGNED) as few_results,
+        CAST(SUM(m.users) AS UNSIGNED) as user_days,
+        MAX(m.day) as last_searched_on,
+        r.action as resolution, ec.code as resolved_code
+      FROM analytics_daily_search_misses m
+      LEFT JOIN error_code_search_resolutions r ON r.normalized_query = m.normalized_query
+      LEFT JOIN error_codes ec ON r.error_code_id = ec.id
+      WHERE m.day BETWEEN ? AND ?
+        ${includeResolved === "true" ? "" : "AND r.normalized_query IS NULL"}
+      GROUP BY m.normalized_query, r.action, ec.code
+      HAVING SUM(${missColumns[type]}) > 0
+      ORDER BY SUM(${missColumns[type]}) DESC, searches DESC
+      LIMIT ?
+    `,
+      [
+        range.from,
+        range.to,
+        range.from,
+        range.to,
+        Math.min(parseInt(limit) || 50, 200),
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: misses.map((miss) => ({
+        ...miss,
+        looks_like_code: looksLikeCode(miss.query),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record how a missed query was handled
+const resolveSearchMiss = (executor, query, action, errorCodeId, userId) =>
+  executor.execute(
+    `
+    INSERT INTO error_code_search_resolutions (normalized_query, action, error_code_id, resolved_by)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      action = VALUES(action),
+      error_code_id = VALUES(error_code_id),
+      resolved_by = VALUES(resolved_by)
+  `,
+    [query, action, errorCodeId, userId]
+  );
+
+// Content team: Create a draft error code from a missed query. The code is
+// the query itself when it looks like one, otherwise `code` must be given;
+// without a categoryId the category is picked by code prefix.
+router.post("/search-misses/draft", requirePublish, async (req, res, next) => {
+  try {
+    const { query, title, categoryId, severity } = req.body;
+
+    if (!query) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Query required" });
+    }
+
+    const normalized = normalizeSearchQuery(query);
+    const code = req.body.code
+      ? normalizeSearchQuery(req.body.code).toUpperCase()
+      : normalized;
+    if (!looksLikeCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: "The query is not an error code; send the code to create",
+      });
+    }
+
+    const [existing] = await db.execute(
+      "SELECT id FROM error_codes WHERE code = ?",
+      [code]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Error code already exists; add the query as a synonym",
+      });
+    }
+
+    let category = categoryId || null;
+    if (!category) {
+      const [categories] = await db.execute(
+        `
+        SELECT id FROM error_code_categories
+        WHERE ? LIKE CONCAT(code_prefix, '%')
+        ORDER BY LENGTH(code_prefix) DESC
+        LIMIT 1
+      `,
+        [code]
+      );
+      category = categories.length > 0 ? categories[0].id : null;
+    }
+
+    let errorCodeId;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        `
+        INSERT INTO error_codes (category_id, code, title, description, severity, status)
+        VALUES (?, ?, ?, '', ?, 'draft')
+      `,
+        [category, code, title || code, severity || "medium"]
+      );
+      errorCodeId = result.insertId;
+
+      await resolveSearchMiss(
+        connection,
+        normalized,
+        "draft",
+        errorCodeId,
+        req.user.id
+      );
+      await recordChange(connection, "error_code", code);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Draft error code created",
+      data: { id: errorCodeId, code, status: "draft" },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Content team: Make a missed query find an existing error code
+router.post(
+  "/search-misses/synonym",
+  requirePublish,
+  async (req, res, next) => {
+    try {
+      const { query, code } = req.body;
+
+      if (!query || !code) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Query and code required" });
+      }
+
+      const [errorCodes] = await db.execute(
+        "SELECT id, code FROM error_codes WHERE code = ? AND is_active = true",
+        [code.toUpperCase()]
+      );
+
+      if (errorCodes.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Error code not found" });
+      }
+
+      const normalized = normalizeSearchQuery(query);
+      if (normalized === errorCodes[0].code) {
+        return res.status(400).json({
+          success: false,
+          message: "The query already is this error code",
+        });
+      }
+
+      await db.execute(
+        "INSERT IGNORE INTO error_code_synonyms (error_code_id, term, created_by) VALUES (?, ?, ?)",
+        [errorCodes[0].id, normalized, req.user.id]
+      );
+      await resolveSearchMiss(
+        db,
+        normalized,
+        "synonym",
+        errorCodes[0].id,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Synonym added",
+        data: { code: errorCodes[0].code, term: normalized },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Content team: Dismiss a missed query that needs no content
+router.post(
+  "/search-misses/dismiss",
+  requirePublish,
+  async (req, res, next) => {
+    try {
+      const { query } = req.body;
+
+      if (!query) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Query required" });
+      }
+
+      await resolveSearchMiss(
+        db,
+        normalizeSearchQuery(query),
+        "dismissed",
+        null,
+        req.user.id
+      );
+
+      res.json({ success: true, message: "Query dismissed" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Content team: List the synonyms of an error code
+router.get("/:code/synonyms", requirePublish, async (req, res, next) => {
+  try {
+    const [synonyms] = await db.execute(
+      `
+      SELECT s.id, s.term, s.created_at FROM error_code_synonyms s
+      JOIN error_codes ec ON s.error_code_id = ec.id
+      WHERE ec.code = ?
+      ORDER BY s.term
+    `,
+      [req.params.code.toUpperCase()]
+    );
+
+    res.json({ success: true, data: synonyms });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Content team: Remove a synonym
+router.delete("/synonyms/:id", requirePublish, async (req, res, next) => {
+  try {
+    const [result] = await db.execute(
+      "DELETE FROM error_code_synonyms WHERE id = ?",
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Synonym not found" });
+    }
+
+    res.json({ success: true, message: "Synonym removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Admin: Create error code
-router.post("/", requireRole("admin"), async (req, res, next) => {
+router.post("/", requirePublish, async (req, res, next) => {
   try {
     const {
       code,
@@ -244,6 +597,8 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
       ]
     );
 
+    await recordChange(db, "error_code", code.toUpperCase());
+
     res.status(201).json({
       success: true,
       message: "Error code created",
@@ -255,7 +610,7 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
 });
 
 // Admin: Update error code
-router.put("/:code", requireRole("admin"), async (req, res, next) => {
+router.put("/:code", requireEditable, async (req, res, next) => {
   try {
     const {
       title,
@@ -300,6 +655,8 @@ router.put("/:code", requireRole("admin"), async (req, res, next) => {
       ]
     );
 
+    await recordChange(db, "error_code", req.params.code.toUpperCase());
+
     res.json({ success: true, message: "Error code updated" });
   } catch (error) {
     next(error);
@@ -307,12 +664,13 @@ router.put("/:code", requireRole("admin"), async (req, res, next) => {
 });
 
 // Admin: Delete error code
-router.delete("/:code", requireRole("admin"), async (req, res, next) => {
+router.delete("/:code", requireEditable, async (req, res, next) => {
   try {
     await db.execute(
       "UPDATE error_codes SET is_active = false WHERE code = ?",
       [req.params.code.toUpperCase()]
     );
+    await recordChange(db, "error_code", req.params.code.toUpperCase());
     res.json({ success: true, message: "Error code deleted" });
   } catch (error) {
     next(error);
@@ -0,0 +1,460 @@
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const {
+  visibleTo,
+  canManage,
+  manageableBy,
+  ownerFor,
+} = require("../utils/tenancy");
+const {
+  PATH_ITEM_TYPES,
+  findPathItem,
+  loadPathItems,
+  summarizePath,
+  checkEnrollment,
+  checkPathEnrollments,
+  toCertificate,
+} = require("../utils/learningPaths");
+
+const router = express.Router();
+
+// Writers of the public catalog, or org admins for their own content
+const requireContentWrite = requirePermission("content.write", {
+  orgScoped: true,
+});
+
+const MAX_PATH_ITEMS = 200;
+
+const pathRules = [
+  body("title").trim().notEmpty().withMessage("Title is required"),
+  body("description").optional({ nullable: true }).trim(),
+  body("isPublished")
+    .optional()
+    .isBoolean()
+    .withMessage("isPublished must be true or false"),
+];
+
+// A path the user may open: published ones they can see, and any they manage
+const findPath = async (user, uuid) => {
+  const visibility = visibleTo(user, "organization_id");
+  const manageable = manageableBy(user, "organization_id", "content.write");
+  const [rows] = await db.execute(
+    `
+    SELECT * FROM learning_paths
+    WHERE uuid = ? AND is_active = true AND ${visibility.clause}
+      AND (is_published = true OR ${manageable.clause})
+  `,
+    [uuid, ...visibility.params, ...manageable.params]
+  );
+  return rows[0] || null;
+};
+
+const findEnrollment = async (pathId, userId) => {
+  const [rows] = await db.execute(
+    "SELECT * FROM learning_path_enrollments WHERE path_id = ? AND user_id = ?",
+    [pathId, userId]
+  );
+  return rows[0] || null;
+};
+
+// Load the path for management into req.learningPath, after checking the user may
+// edit it
+const loadManagedPath = async (req, res, next) => {
+  try {
+    const [paths] = await db.execute(
+      "SELECT * FROM learning_paths WHERE uuid = ? AND is_active = true",
+      [req.params.uuid]
+    );
+
+    if (paths.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Learning path not found" });
+    }
+
+    if (!canManage(req.user, paths[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    req.learningPath = paths[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List learning paths, with the user's enrollment and progress
+router.get("/", async (req, res, next) => {
+  try {
+    const { enrolled } = req.query;
+    const visibility = visibleTo(req.user, "p.organization_id");
+    const manageable = manageableBy(
+      req.user,
+      "p.organization_id",
+      "content.write"
+    );
+
+    let query = `
+      SELECT p.id, p.uuid, p.organization_id, p.title, p.description, p.is_published,
+        (SELECT COUNT(*) FROM learning_path_items i WHERE i.path_id = p.id) as item_count,
+        e.enrolled_at, e.completed_at
+      FROM learning_paths p
+      LEFT JOIN learning_path_enrollments e ON e.path_id = p.id AND e.user_id = ?
+      WHERE p.is_active = true AND ${visibility.clause}
+        AND (p.is_published = true OR ${manageable.clause})
+    `;
+    const params = [req.user.id, ...visibility.params, ...manageable.params];
+
+    if (enrolled === "true") query += " AND e.id IS NOT NULL";
+    query += " ORDER BY p.title";
+
+    const [paths] = await db.execute(query, params);
+
+    for (const path of paths) {
+      path.progress = path.enrolled_at
+        ? summarizePath(await loadPathItems(db, path.id, req.user.id)).percent
+        : null;
+    }
+
+    res.json({ success: true, data: paths });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a learning path with its items and, once enrolled, the user's progress
+router.get("/:uuid", async (req, res, next) => {
+  try {
+    const path = await findPath(req.user, req.params.uuid);
+
+    if (!path) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Learning path not found" });
+    }
+
+    const enrollment = await findEnrollment(path.id, req.user.id);
+    const summary = summarizePath(
+      await loadPathItems(db, path.id, enrollment ? req.user.id : null)
+    );
+
+    const [certificates] = await db.execute(
+      "SELECT * FROM certificates WHERE path_id = ? AND user_id = ?",
+      [path.id, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...path,
+        items: summary.items,
+        enrollment: enrollment && {
+          enrolledAt: enrollment.enrolled_at,
+          completedAt: enrollment.completed_at,
+          requiredItems: summary.requiredItems,
+          completedItems: summary.completedItems,
+          percent: summary.percent,
+        },
+        certificate: certificates[0] ? toCertificate(certificates[0]) : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enroll the current user. Work already done counts, so the path may be
+// completed, and the certificate issued, straight away.
+router.post("/:uuid/enroll", async (req, res, next) => {
+  try {
+    const path = await findPath(req.user, req.params.uuid);
+
+    if (!path || !path.is_published) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Learning path not found" });
+    }
+
+    const [result] = await db.execute(
+      "INSERT IGNORE INTO learning_path_enrollments (path_id, user_id) VALUES (?, ?)",
+      [path.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Already enrolled" });
+    }
+
+    const certificate = await checkEnrollment(db, req.user.id, path.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Enrolled",
+      data: { certificate: certificate ? toCertificate(certificate) : null },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Leave a learning path. Certificates already issued are kept.
+router.delete("/:uuid/enroll", async (req, res, next) => {
+  try {
+    const path = await findPath(req.user, req.params.uuid);
+
+    if (!path) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Learning path not found" });
+    }
+
+    await db.execute(
+      "DELETE FROM learning_path_enrollments WHERE path_id = ? AND user_id = ?",
+      [path.id, req.user.id]
+    );
+
+    res.json({ success: true, message: "Enrollment removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: List the users enrolled in a path
+router.get(
+  "/:uuid/enrollments",
+  requireContentWrite,
+  loadManagedPath,
+  async (req, res, next) => {
+    try {
+      const [enrollments] = await db.execute(
+        `
+        SELECT u.uuid as user_uuid, u.name, u.email, e.enrolled_at, e.completed_at,
+          c.code as certificate_code
+        FROM learning_path_enrollments e
+        JOIN users u ON e.user_id = u.id
+        LEFT JOIN certificates c ON c.path_id = e.path_id AND c.user_id = e.user_id
+        WHERE e.path_id = ?
+        ORDER BY e.enrolled_at DESC
+      `,
+        [req.learningPath.id]
+      );
+
+      res.json({ success: true, data: enrollments });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Create learning path
+router.post("/", requireContentWrite, pathRules, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { title, description, organizationId, isPublished } = req.body;
+    const uuid = uuidv4();
+
+    const [result] = await db.execute(
+      `
+      INSERT INTO learning_paths (uuid, organization_id, title, description, is_published, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [
+        uuid,
+        ownerFor(req.user, organizationId),
+        title,
+        description || null,
+        isPublished === true,
+        req.user.id,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Learning path created",
+      data: { id: result.insertId, uuid },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Update learning path
+router.put(
+  "/:uuid",
+  requireContentWrite,
+  loadManagedPath,
+  pathRules,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { title, description, isPublished } = req.body;
+
+      await db.execute(
+        "UPDATE learning_paths SET title = ?, description = ?, is_published = ? WHERE id = ?",
+        [title, description || null, isPublished === true, req.learningPath.id]
+      );
+
+      res.json({ success: true, message: "Learning path updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Replace the items of a path. `items` is the curriculum in order,
+// each { type, key, required, prerequisites } where prerequisites are the
+// positions (0-based) of earlier items that must be completed first.
+router.put(
+  "/:uuid/items",
+  requireContentWrite,
+  loadManagedPath,
+  async (req, res, next) => {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length > MAX_PATH_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `Items must be an array of at most ${MAX_PATH_ITEMS} entries`,
+        });
+      }
+
+      const resolved = [];
+      for (const [position, entry] of items.entries()) {
+        if (
+          !entry ||
+          typeof entry !== "object" ||
+          Array.isArray(entry) ||
+          typeof entry.type !== "string" ||
+          !Object.hasOwn(PATH_ITEM_TYPES, entry.type) ||
+          typeof entry.key !== "string"
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: `Item ${position}: must be an object with a known type and a key`,
+          });
+        }
+
+        const { type, key, prerequisites = [] } = entry;
+        const item = await findPathItem(db, type, key);
+
+        // Org paths may use the public catalog; public paths only public content
+        if (
+          !item ||
+          (item.organization_id !== null &&
+            item.organization_id !== req.learningPath.organization_id)
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: `Item ${position}: content not found`,
+          });
+        }
+
+        if (resolved.some((r) => r.type === type && r.id === item.id)) {
+          return res.status(400).json({
+            success: false,
+            message: `Item ${position}: listed twice`,
+          });
+        }
+
+        if (
+          !Array.isArray(prerequisites) ||
+          prerequisites.some(
+            (p) => !Number.isInteger(p) || p < 0 || p >= position
+          )
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: `Item ${position}: prerequisites must be positions of earlier items`,
+          });
+        }
+
+        resolved.push({
+          type,
+          id: item.id,
+          required: entry.required !== false,
+          prerequisites,
+        });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        await connection.execute(
+          "DELETE FROM learning_path_items WHERE path_id = ?",
+          [req.learningPath.id]
+        );
+
+        const itemIds = [];
+        for (const [position, item] of resolved.entries()) {
+          const [result] = await connection.execute(
+            `
+            INSERT INTO learning_path_items (path_id, position, item_type, entity_id, is_required)
+            VALUES (?, ?, ?, ?, ?)
+          `,
+            [req.learningPath.id, position, item.type, item.id, item.required]
+          );
+          itemIds.push(result.insertId);
+
+          for (const required of new Set(item.prerequisites)) {
+            await connection.execute(
+              "INSERT INTO learning_path_prerequisites (item_id, required_item_id) VALUES (?, ?)",
+              [result.insertId, itemIds[required]]
+            );
+          }
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      const issued = await checkPathEnrollments(db, req.learningPath.id);
+
+      res.json({
+        success: true,
+        message: "Learning path items saved",
+        data: { certificatesIssued: issued.length },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Delete learning path. Issued certificates stay verifiable.
+router.delete(
+  "/:uuid",
+  requireContentWrite,
+  loadManagedPath,
+  async (req, res, next) => {
+    try {
+      await db.execute(
+        "UPDATE learning_paths SET is_active = false WHERE id = ?",
+        [req.learningPath.id]
+      );
+      res.json({ success: true, message: "Learning path deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
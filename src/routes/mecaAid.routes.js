@@ -1,22 +1,75 @@
 const express = require("express");
 const db = require("../config/database");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { visibleTo, canManage, ownerFor } = require("../utils/tenancy");
+const { recordChange } = require("../utils/changeLog");
+const { localize } = require("../utils/translations");
+const { fitsVehicle, attachVehicles } = require("../utils/fitment");
+const {
+  liveClause,
+  isEditLocked,
+  EDIT_LOCKED_MESSAGE,
+} = require("../utils/workflow");
+const { uploadFile } = require("../middleware/upload");
+const { parseVehicleFilter } = require("../middleware/vehicleFilter");
+const { storeUpload, discardUpload } = require("../utils/uploads");
+const {
+  stepsShapeError,
+  normalizeSteps,
+  fromRow,
+  validateDecisionTree,
+  traverse,
+} = require("../utils/decisionTree");
 
 const router = express.Router();
 
-// Get all Meca Aids
-router.get("/", async (req, res, next) => {
+// Writers of the public catalog, or org admins for their own content
+const requireContentWrite = requirePermission("content.write", {
+  orgScoped: true,
+});
+
+// Insert normalized steps for a Meca Aid (db pool or transaction connection)
+const insertSteps = async (executor, mecaAidId, steps) => {
+  for (const step of steps) {
+    await executor.execute(
+      `
+      INSERT INTO meca_aid_steps (meca_aid_id, step_number, step_type, title, instruction, question, answer_type, options, next_step, is_terminal, image_url, warning_text, tip_text)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        mecaAidId,
+        step.stepNumber,
+        step.stepType,
+        step.title,
+        step.instruction,
+        step.question,
+        step.answerType,
+        step.options ? JSON.stringify(step.options) : null,
+        step.nextStep,
+        step.isTerminal,
+        step.imageUrl,
+        step.warningText,
+        step.tipText,
+      ]
+    );
+  }
+};
+
+// Get all Meca Aids, optionally only those fitting a vehicle
+router.get("/", parseVehicleFilter, async (req, res, next) => {
   try {
     const { category, difficulty, search, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
+    const visibility = visibleTo(req.user, "ma.organization_id");
+    const fitment = fitsVehicle(req.vehicle, "meca_aid", "ma.id");
 
     let query = `
       SELECT ma.*, mac.name as category_name
       FROM meca_aids ma
       LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
-      WHERE ma.is_active = true
+      WHERE ${liveClause("ma")} AND ${visibility.clause} AND ${fitment.clause}
     `;
-    const params = [];
+    const params = [...visibility.params, ...fitment.params];
 
     if (category) {
       query += " AND ma.category_id = ?";
@@ -39,11 +92,14 @@ router.get("/", async (req, res, next) => {
     params.push(parseInt(limit), parseInt(offset));
 
     const [mecaAids] = await db.execute(query, params);
+    await localize(db, "meca_aid", mecaAids, req.locale);
 
     // Get total count
-    let countQuery =
-      "SELECT COUNT(*) as total FROM meca_aids WHERE is_active = true";
-    const countParams = [];
+    let countQuery = `
+      SELECT COUNT(*) as total FROM meca_aids ma
+      WHERE ${liveClause("ma")} AND ${visibility.clause} AND ${fitment.clause}
+    `;
+    const countParams = [...visibility.params, ...fitment.params];
 
     if (category) {
       countQuery += " AND category_id = ?";
@@ -89,6 +145,7 @@ router.get("/categories", async (req, res, next) => {
     const [categories] = await db.execute(
       "SELECT * FROM meca_aid_categories WHERE is_active = true ORDER BY sort_order"
     );
+    await localize(db, "meca_aid_category", categories, req.locale);
     res.json({ success: true, data: categories });
   } catch (error) {
     next(error);
@@ -98,14 +155,15 @@ router.get("/categories", async (req, res, next) => {
 // Get single Meca Aid with steps
 router.get("/:uuid", async (req, res, next) => {
   try {
+    const visibility = visibleTo(req.user, "ma.organization_id");
     const [mecaAids] = await db.execute(
       `
       SELECT ma.*, mac.name as category_name
       FROM meca_aids ma
       LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
-      WHERE ma.uuid = ? AND ma.is_active = true
+      WHERE ma.uuid = ? AND ${liveClause("ma")} AND ${visibility.clause}
     `,
-      [req.params.uuid]
+      [req.params.uuid, ...visibility.params]
     );
 
     if (mecaAids.length === 0) {
@@ -122,6 +180,8 @@ router.get("/:uuid", async (req, res, next) => {
       [mecaAid.id]
     );
     mecaAid.steps = steps;
+    await localize(db, "meca_aid", mecaAids, req.locale);
+    await attachVehicles(db, "meca_aid", mecaAids);
 
     // Log activity
     await db.execute(
@@ -135,25 +195,36 @@ router.get("/:uuid", async (req, res, next) => {
   }
 });
 
-// Download all Meca Aids for offline (bulk download)
-router.get("/download/all", async (req, res, next) => {
+// Download all Meca Aids for offline (bulk download). Pass `limit` to page
+// through large catalogs, then resend `nextAfter` as `after`.
+router.get("/download/all", parseVehicleFilter, async (req, res, next) => {
   try {
-    const { since } = req.query;
+    const { since, after, limit } = req.query;
+    const visibility = visibleTo(req.user, "ma.organization_id");
+    const fitment = fitsVehicle(req.vehicle, "meca_aid", "ma.id");
 
     let query = `
       SELECT ma.*, mac.name as category_name
       FROM meca_aids ma
       LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
-      WHERE ma.is_active = true
+      WHERE ${liveClause("ma")} AND ${visibility.clause} AND ${fitment.clause}
     `;
-    const params = [];
+    const params = [...visibility.params, ...fitment.params];
 
     if (since) {
       query += " AND ma.updated_at > ?";
       params.push(new Date(since));
     }
 
-    const [mecaAids] = await db.execute(query, params);
+    const pageSize = limit ? Math.min(parseInt(limit), 500) : null;
+    if (pageSize) {
+      query += " AND ma.id > ? ORDER BY ma.id LIMIT ?";
+      params.push(parseInt(after) || 0, pageSize + 1);
+    }
+
+    const [rows] = await db.execute(query, params);
+    const hasMore = pageSize !== null && rows.length > pageSize;
+    const mecaAids = hasMore ? rows.slice(0, pageSize) : rows;
 
     // Get all steps for these meca aids
     if (mecaAids.length > 0) {
@@ -169,17 +240,21 @@ router.get("/download/all", async (req, res, next) => {
         ma.steps = allSteps.filter((s) => s.meca_aid_id === ma.id);
       });
     }
+    await localize(db, "meca_aid", mecaAids, req.locale);
+    await attachVehicles(db, "meca_aid", mecaAids);
 
     // Get categories
     const [categories] = await db.execute(
       "SELECT * FROM meca_aid_categories WHERE is_active = true ORDER BY sort_order"
     );
+    await localize(db, "meca_aid_category", categories, req.locale);
 
     res.json({
       success: true,
       data: {
         mecaAids,
         categories,
+        nextAfter: hasMore ? mecaAids[mecaAids.length - 1].id : null,
         downloadedAt: new Date().toISOString(),
       },
     });
@@ -188,8 +263,71 @@ router.get("/download/all", async (req, res, next) => {
   }
 });
 
+// Walk a branching Meca Aid with the answers given so far
+router.post("/:uuid/traverse", async (req, res, next) => {
+  try {
+    const { answers = {} } = req.body;
+
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: "Answers must be an object keyed by step number",
+      });
+    }
+
+    const visibility = visibleTo(req.user, "organization_id");
+    const [mecaAids] = await db.execute(
+      `
+      SELECT id FROM meca_aids
+      WHERE uuid = ? AND ${liveClause()} AND ${visibility.clause}
+    `,
+      [req.params.uuid, ...visibility.params]
+    );
+
+    if (mecaAids.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Meca Aid not found" });
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM meca_aid_steps WHERE meca_aid_id = ? ORDER BY step_number",
+      [mecaAids[0].id]
+    );
+    // Steps are translated through their Meca Aid
+    await localize(
+      db,
+      "meca_aid",
+      [{ id: mecaAids[0].id, steps: rows }],
+      req.locale
+    );
+
+    const result = traverse(rows.map(fromRow), answers);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const rowsByNumber = new Map(rows.map((r) => [r.step_number, r]));
+
+    res.json({
+      success: true,
+      data: {
+        path: result.path.map((p) => ({
+          ...p,
+          step: rowsByNumber.get(p.stepNumber),
+        })),
+        nextStep:
+          result.nextStep !== null ? rowsByNumber.get(result.nextStep) : null,
+        completed: result.completed,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Admin: Create Meca Aid
-router.post("/", requireRole("admin"), async (req, res, next) => {
+router.post("/", requireContentWrite, async (req, res, next) => {
   try {
     const {
       title,
@@ -201,56 +339,69 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
       difficultyLevel,
       estimatedTime,
       categoryId,
+      organizationId,
       steps,
     } = req.body;
 
-    const uuid = require("uuid").v4();
+    const shapeError = steps !== undefined && stepsShapeError(steps);
+    if (shapeError) {
+      return res.status(400).json({ success: false, message: shapeError });
+    }
 
-    const [result] = await db.execute(
-      `
-      INSERT INTO meca_aids (uuid, category_id, title, problem_description, symptoms, causes, solutions, tools_required, difficulty_level, estimated_time)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-      [
-        uuid,
-        categoryId || null,
-        title,
-        problemDescription,
-        symptoms || null,
-        causes || null,
-        solutions,
-        toolsRequired || null,
-        difficultyLevel || "medium",
-        estimatedTime || null,
-      ]
-    );
+    const normalizedSteps = normalizeSteps(steps || []);
+    const treeErrors = validateDecisionTree(normalizedSteps);
+    if (treeErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid steps",
+        errors: treeErrors,
+      });
+    }
 
-    // Insert steps
-    if (steps && steps.length > 0) {
-      for (let i = 0; i < steps.length; i++) {
-        const step = steps[i];
-        await db.execute(
-          `
-          INSERT INTO meca_aid_steps (meca_aid_id, step_number, title, instruction, image_url, warning_text, tip_text)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `,
-          [
-            result.insertId,
-            i + 1,
-            step.title || null,
-            step.instruction,
-            step.imageUrl || null,
-            step.warningText || null,
-            step.tipText || null,
-          ]
-        );
-      }
+    const uuid = require("uuid").v4();
+
+    let mecaAidId;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `
+        INSERT INTO meca_aids (uuid, category_id, organization_id, title, problem_description, symptoms, causes, solutions, tools_required, difficulty_level, estimated_time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          uuid,
+          categoryId || null,
+          ownerFor(req.user, organizationId),
+          title,
+          problemDescription,
+          symptoms || null,
+          causes || null,
+          solutions,
+          toolsRequired || null,
+          difficultyLevel || "medium",
+          estimatedTime || null,
+        ]
+      );
+      mecaAidId = result.insertId;
+
+      // Insert steps
+      await insertSteps(connection, mecaAidId, normalizedSteps);
+      await recordChange(connection, "meca_aid", uuid);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
 
     res.status(201).json({
       success: true,
       message: "Meca Aid created",
-      data: { id: result.insertId, uuid },
+      data: { id: mecaAidId, uuid },
     });
   } catch (error) {
     next(error);
@@ -258,7 +409,7 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
 });
 
 // Admin: Update Meca Aid
-router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
+router.put("/:uuid", requireContentWrite, async (req, res, next) => {
   try {
     const {
       title,
@@ -271,10 +422,55 @@ router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
       estimatedTime,
       categoryId,
       isActive,
+      steps,
     } = req.body;
 
-    await db.execute(
-      `
+    const [mecaAids] = await db.execute(
+      "SELECT id, organization_id, status FROM meca_aids WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (mecaAids.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Meca Aid not found" });
+    }
+
+    if (!canManage(req.user, mecaAids[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    if (isEditLocked(req.user, mecaAids[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    let normalizedSteps = null;
+    if (steps !== undefined) {
+      const shapeError = stepsShapeError(steps);
+      if (shapeError) {
+        return res.status(400).json({ success: false, message: shapeError });
+      }
+      normalizedSteps = normalizeSteps(steps);
+      const treeErrors = validateDecisionTree(normalizedSteps);
+      if (treeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid steps",
+          errors: treeErrors,
+        });
+      }
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `
       UPDATE meca_aids SET
         title = COALESCE(?, title),
         problem_description = COALESCE(?, problem_description),
@@ -286,22 +482,44 @@ router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
         estimated_time = COALESCE(?, estimated_time),
         category_id = COALESCE(?, category_id),
         is_active = COALESCE(?, is_active)
-      WHERE uuid = ?
+      WHERE id = ?
     `,
-      [
-        title,
-        problemDescription,
-        symptoms,
-        causes,
-        solutions,
-        toolsRequired,
-        difficultyLevel,
-        estimatedTime,
-        categoryId,
-        isActive,
-        req.params.uuid,
-      ]
-    );
+        [
+          title,
+          problemDescription,
+          symptoms,
+          causes,
+          solutions,
+          toolsRequired,
+          difficultyLevel,
+          estimatedTime,
+          categoryId,
+          isActive,
+          mecaAids[0].id,
+        ]
+      );
+
+      // Replace the step graph and touch the Meca Aid so sync picks it up
+      if (normalizedSteps) {
+        await connection.execute(
+          "DELETE FROM meca_aid_steps WHERE meca_aid_id = ?",
+          [mecaAids[0].id]
+        );
+        await insertSteps(connection, mecaAids[0].id, normalizedSteps);
+        await connection.execute(
+          "UPDATE meca_aids SET updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [mecaAids[0].id]
+        );
+      }
+
+      await recordChange(connection, "meca_aid", req.params.uuid);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     res.json({ success: true, message: "Meca Aid updated" });
   } catch (error) {
@@ -309,12 +527,98 @@ router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
   }
 });
 
+// Admin: Upload the image for a Meca Aid step
+router.post(
+  "/:uuid/steps/:stepNumber/image",
+  requireContentWrite,
+  uploadFile("image"),
+  async (req, res, next) => {
+    try {
+      const [steps] = await db.execute(
+        `
+        SELECT mas.id, mas.meca_aid_id, ma.organization_id, ma.status
+        FROM meca_aid_steps mas
+        JOIN meca_aids ma ON mas.meca_aid_id = ma.id
+        WHERE ma.uuid = ? AND mas.step_number = ?
+      `,
+        [req.params.uuid, parseInt(req.params.stepNumber)]
+      );
+
+      if (steps.length === 0) {
+        await discardUpload(req.file);
+        return res
+          .status(404)
+          .json({ success: false, message: "Meca Aid step not found" });
+      }
+
+      if (!canManage(req.user, steps[0].organization_id)) {
+        await discardUpload(req.file);
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      if (isEditLocked(req.user, steps[0])) {
+        await discardUpload(req.file);
+        return res
+          .status(409)
+          .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+      }
+
+      const stored = await storeUpload(req.file, "image", req.user.id);
+
+      await db.execute("UPDATE meca_aid_steps SET image_url = ? WHERE id = ?", [
+        stored.file_url,
+        steps[0].id,
+      ]);
+      await db.execute(
+        "UPDATE meca_aids SET updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [steps[0].meca_aid_id]
+      );
+      await recordChange(db, "meca_aid", req.params.uuid);
+
+      res.json({
+        success: true,
+        message: "Step image uploaded",
+        data: { imageUrl: stored.file_url },
+      });
+    } catch (error) {
+      await discardUpload(req.file);
+      next(error);
+    }
+  }
+);
+
 // Admin: Delete Meca Aid
-router.delete("/:uuid", requireRole("admin"), async (req, res, next) => {
+router.delete("/:uuid", requireContentWrite, async (req, res, next) => {
   try {
-    await db.execute("UPDATE meca_aids SET is_active = false WHERE uuid = ?", [
-      req.params.uuid,
+    const [mecaAids] = await db.execute(
+      "SELECT id, organization_id, status FROM meca_aids WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (mecaAids.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Meca Aid not found" });
+    }
+
+    if (!canManage(req.user, mecaAids[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    if (isEditLocked(req.user, mecaAids[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    await db.execute("UPDATE meca_aids SET is_active = false WHERE id = ?", [
+      mecaAids[0].id,
     ]);
+    await recordChange(db, "meca_aid", req.params.uuid);
     res.json({ success: true, message: "Meca Aid deleted" });
   } catch (error) {
     next(error);
@@ -1,22 +1,170 @@
 const express = require("express");
+const { pipeline } = require("stream");
 const db = require("../config/database");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const {
+  visibleTo,
+  canManage,
+  ownerFor,
+  audienceOf,
+} = require("../utils/tenancy");
+const { recordChange } = require("../utils/changeLog");
+const {
+  liveClause,
+  isEditLocked,
+  EDIT_LOCKED_MESSAGE,
+} = require("../utils/workflow");
+const { localize } = require("../utils/translations");
+const {
+  REVISION_FIELDS,
+  saveRevision,
+  saveNewVersion,
+  restoreAttachments,
+} = require("../utils/revisions");
+const { fitsVehicle, attachVehicles } = require("../utils/fitment");
+const { readProgressUpdate, saveProgress } = require("../utils/progress");
+const { isCompletionBlocked, QUIZ_REQUIRED_MESSAGE } = require("../utils/quiz");
+const { advancePaths } = require("../utils/learningPaths");
+const { bundleScopeKey, computeEtag, openBundle } = require("../utils/bundle");
+const { uploadFile } = require("../middleware/upload");
+const { parseVehicleFilter } = require("../middleware/vehicleFilter");
+const { storeUpload, discardUpload } = require("../utils/uploads");
+const quizRoutes = require("./quiz.routes");
 
 const router = express.Router();
 
-// Get all modules (for online sync)
-router.get("/", async (req, res, next) => {
+// Quizzes and attempts of a module
+router.use("/:uuid/quiz", quizRoutes);
+
+// Writers of the public catalog, or org admins for their own content
+const requireContentWrite = requirePermission("content.write", {
+  orgScoped: true,
+});
+
+// Fields restored by a rollback; activation is managed separately
+const ROLLBACK_FIELDS = REVISION_FIELDS.filter((f) => f !== "is_active");
+
+// Field-level comparison of two revision snapshots. Attachments are compared
+// when both revisions captured them.
+const diffRevisions = (from, to) => {
+  const changes = REVISION_FIELDS.filter(
+    (field) => String(from[field]) !== String(to[field])
+  ).map((field) => ({ field, from: from[field], to: to[field] }));
+
+  if (
+    Array.isArray(from.attachments) &&
+    Array.isArray(to.attachments) &&
+    JSON.stringify(from.attachments) !== JSON.stringify(to.attachments)
+  ) {
+    changes.push({
+      field: "attachments",
+      from: from.attachments,
+      to: to.attachments,
+    });
+  }
+  return changes;
+};
+
+// Load downloadable modules visible to the user, with their attachments and
+// in the requested locale, for an offline bundle
+const loadBundleModules = async (user, locale, where, params) => {
+  const visibility = visibleTo(user, "m.organization_id");
+  const [modules] = await db.execute(
+    `
+    SELECT m.*, mc.name as category_name
+    FROM modules m
+    LEFT JOIN module_categories mc ON m.category_id = mc.id
+    WHERE ${liveClause("m")} AND m.is_downloadable = true AND ${where}
+      AND ${visibility.clause}
+    ORDER BY m.priority DESC, m.id
+  `,
+    [...params, ...visibility.params]
+  );
+  await localize(db, "module", modules, locale);
+  await attachVehicles(db, "module", modules);
+
+  if (modules.length > 0) {
+    const [attachments] = await db.execute(
+      `SELECT * FROM module_attachments WHERE module_id IN (${modules
+        .map((m) => m.id)
+        .join(",")}) ORDER BY id`
+    );
+    modules.forEach((m) => {
+      m.attachments = attachments.filter((a) => a.module_id === m.id);
+    });
+  }
+
+  return modules;
+};
+
+// Record downloads so /sync/downloads can flag outdated copies
+const recordDownload = async (req, scope, modules) => {
+  for (const module of modules) {
+    await db.execute(
+      `
+      INSERT INTO downloaded_modules (user_id, module_id, device_id, downloaded_version)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        downloaded_version = VALUES(downloaded_version),
+        downloaded_at = NOW()
+    `,
+      [req.user.id, module.id, req.deviceId || "unknown", module.version]
+    );
+  }
+
+  await db.execute(
+    `INSERT INTO user_activities (user_id, device_id, activity_type, metadata) VALUES (?, ?, 'bundle_download', ?)`,
+    [
+      req.user.id,
+      req.deviceId,
+      JSON.stringify({ scope, modules: modules.length }),
+    ]
+  );
+};
+
+// Stream a bundle, or answer 304 when the client already has this version
+const sendBundle = async (req, res, scope, modules) => {
+  const scopeKey = bundleScopeKey(scope);
+  const etag = computeEtag(scopeKey, modules);
+
+  res.set("ETag", etag);
+  if (req.headers["if-none-match"] === etag) {
+    return res.status(304).end();
+  }
+
+  const bundle = await openBundle(scope, modules, etag);
+  try {
+    await recordDownload(req, scope, modules);
+  } catch (error) {
+    await bundle.close();
+    throw error;
+  }
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${scopeKey}.zip"`,
+  });
+  // The stream closes the handle; a failed read ends the response
+  pipeline(bundle.createReadStream(), res, (error) => {
+    if (error) console.error("Failed to send bundle:", error);
+  });
+};
+
+// Get all modules (for online sync), optionally only those fitting a vehicle
+router.get("/", parseVehicleFilter, async (req, res, next) => {
   try {
     const { category, since, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
+    const visibility = visibleTo(req.user, "m.organization_id");
+    const fitment = fitsVehicle(req.vehicle, "module", "m.id");
 
     let query = `
       SELECT m.*, mc.name as category_name 
       FROM modules m
       LEFT JOIN module_categories mc ON m.category_id = mc.id
-      WHERE m.is_active = true
+      WHERE ${liveClause("m")} AND ${visibility.clause} AND ${fitment.clause}
     `;
-    const params = [];
+    const params = [...visibility.params, ...fitment.params];
 
     if (category) {
       query += " AND m.category_id = ?";
@@ -33,11 +181,14 @@ router.get("/", async (req, res, next) => {
     params.push(parseInt(limit), parseInt(offset));
 
     const [modules] = await db.execute(query, params);
+    await localize(db, "module", modules, req.locale);
 
     // Get total count
-    let countQuery =
-      "SELECT COUNT(*) as total FROM modules WHERE is_active = true";
-    const countParams = [];
+    let countQuery = `
+      SELECT COUNT(*) as total FROM modules m
+      WHERE ${liveClause("m")} AND ${visibility.clause} AND ${fitment.clause}
+    `;
+    const countParams = [...visibility.params, ...fitment.params];
 
     if (category) {
       countQuery += " AND category_id = ?";
@@ -84,6 +235,7 @@ router.get("/categories", async (req, res, next) => {
     const [categories] = await db.execute(
       "SELECT * FROM module_categories WHERE is_active = true ORDER BY sort_order"
     );
+    await localize(db, "module_category", categories, req.locale);
     res.json({ success: true, data: categories });
   } catch (error) {
     next(error);
@@ -93,14 +245,15 @@ router.get("/categories", async (req, res, next) => {
 // Get single module
 router.get("/:uuid", async (req, res, next) => {
   try {
+    const visibility = visibleTo(req.user, "m.organization_id");
     const [modules] = await db.execute(
       `
       SELECT m.*, mc.name as category_name
       FROM modules m
       LEFT JOIN module_categories mc ON m.category_id = mc.id
-      WHERE m.uuid = ? AND m.is_active = true
+      WHERE m.uuid = ? AND ${liveClause("m")} AND ${visibility.clause}
     `,
-      [req.params.uuid]
+      [req.params.uuid, ...visibility.params]
     );
 
     if (modules.length === 0) {
@@ -110,6 +263,8 @@ router.get("/:uuid", async (req, res, next) => {
     }
 
     const module = modules[0];
+    await localize(db, "module", modules, req.locale);
+    await attachVehicles(db, "module", modules);
 
     // Get attachments
     const [attachments] = await db.execute(
@@ -133,9 +288,14 @@ router.get("/:uuid", async (req, res, next) => {
 // Download module for offline use
 router.post("/:uuid/download", async (req, res, next) => {
   try {
+    const visibility = visibleTo(req.user, "organization_id");
     const [modules] = await db.execute(
-      "SELECT * FROM modules WHERE uuid = ? AND is_active = true AND is_downloadable = true",
-      [req.params.uuid]
+      `
+      SELECT * FROM modules
+      WHERE uuid = ? AND ${liveClause()} AND is_downloadable = true
+        AND ${visibility.clause}
+    `,
+      [req.params.uuid, ...visibility.params]
     );
 
     if (modules.length === 0) {
@@ -148,6 +308,7 @@ router.post("/:uuid/download", async (req, res, next) => {
     }
 
     const module = modules[0];
+    await localize(db, "module", modules, req.locale);
 
     // Record download
     await db.execute(
@@ -186,10 +347,76 @@ router.post("/:uuid/download", async (req, res, next) => {
   }
 });
 
-// Get updates since last sync (hybrid feature)
-router.get("/sync/updates", async (req, res, next) => {
+// Download a single module as an offline bundle
+router.get("/:uuid/bundle", async (req, res, next) => {
+  try {
+    const modules = await loadBundleModules(
+      req.user,
+      req.locale,
+      "m.uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Module not found or not downloadable",
+      });
+    }
+
+    await sendBundle(
+      req,
+      res,
+      { type: "module", id: req.params.uuid, locale: req.locale },
+      modules
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download every downloadable module in a category as one bundle
+router.get("/categories/:id/bundle", async (req, res, next) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    const modules = await loadBundleModules(
+      req.user,
+      req.locale,
+      "m.category_id = ?",
+      [categoryId]
+    );
+
+    if (modules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No downloadable modules in this category",
+      });
+    }
+
+    // Members of different organizations see different module sets
+    await sendBundle(
+      req,
+      res,
+      {
+        type: "category",
+        id: categoryId,
+        audience: audienceOf(req.user),
+        locale: req.locale,
+      },
+      modules
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get updates since last sync (hybrid feature), optionally only those
+// fitting a vehicle
+router.get("/sync/updates", parseVehicleFilter, async (req, res, next) => {
   try {
     const { lastSync } = req.query;
+    const visibility = visibleTo(req.user, "m.organization_id");
+    const fitment = fitsVehicle(req.vehicle, "module", "m.id");
 
     let query = `
       SELECT m.uuid, m.version, m.title, m.updated_at,
@@ -197,9 +424,14 @@ router.get("/sync/updates", async (req, res, next) => {
       FROM modules m
       LEFT JOIN downloaded_modules dm ON m.id = dm.module_id 
         AND dm.user_id = ? AND dm.device_id = ?
-      WHERE m.is_active = true
+      WHERE ${liveClause("m")} AND ${visibility.clause} AND ${fitment.clause}
     `;
-    const params = [req.user.id, req.deviceId || "unknown"];
+    const params = [
+      req.user.id,
+      req.deviceId || "unknown",
+      ...visibility.params,
+      ...fitment.params,
+    ];
 
     if (lastSync) {
       query += " AND m.updated_at > ?";
@@ -229,14 +461,16 @@ router.get("/sync/updates", async (req, res, next) => {
   }
 });
 
-// Mark module as completed
+// Mark module as completed, also in the user's learning progress. Modules
+// whose quiz is required for completion need a passed attempt first.
 router.post("/:uuid/complete", async (req, res, next) => {
   try {
     const { duration } = req.body;
+    const visibility = visibleTo(req.user, "organization_id");
 
     const [modules] = await db.execute(
-      "SELECT id FROM modules WHERE uuid = ?",
-      [req.params.uuid]
+      `SELECT id FROM modules WHERE uuid = ? AND ${visibility.clause}`,
+      [req.params.uuid, ...visibility.params]
     );
 
     if (modules.length === 0) {
@@ -245,12 +479,36 @@ router.post("/:uuid/complete", async (req, res, next) => {
         .json({ success: false, message: "Module not found" });
     }
 
+    if (await isCompletionBlocked(db, req.user.id, modules[0].id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: QUIZ_REQUIRED_MESSAGE });
+    }
+
     await db.execute(
       `INSERT INTO user_activities (user_id, device_id, activity_type, reference_id, reference_type, duration_seconds) 
        VALUES (?, ?, 'module_complete', ?, 'module', ?)`,
       [req.user.id, req.deviceId, modules[0].id, duration || null]
     );
 
+    const update = readProgressUpdate(
+      "module",
+      { completed: true, timeSpentSeconds: duration },
+      modules[0]
+    );
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await saveProgress(connection, req.user.id, "module", modules[0], update);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    await advancePaths(db, req.user.id, "module", modules[0].id);
+
     res.json({ success: true, message: "Module completion recorded" });
   } catch (error) {
     next(error);
@@ -258,13 +516,14 @@ router.post("/:uuid/complete", async (req, res, next) => {
 });
 
 // Admin: Create module
-router.post("/", requireRole("admin"), async (req, res, next) => {
+router.post("/", requireContentWrite, async (req, res, next) => {
   try {
     const {
       title,
       description,
       content,
       categoryId,
+      organizationId,
       thumbnailUrl,
       isDownloadable,
       priority,
@@ -273,12 +532,13 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
 
     const [result] = await db.execute(
       `
-      INSERT INTO modules (uuid, category_id, title, description, content, thumbnail_url, is_downloadable, priority)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO modules (uuid, category_id, organization_id, title, description, content, thumbnail_url, is_downloadable, priority)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `,
       [
         uuid,
         categoryId || null,
+        ownerFor(req.user, organizationId),
         title,
         description || null,
         content,
@@ -288,6 +548,12 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
       ]
     );
 
+    await saveRevision(db, result.insertId, {
+      userId: req.user.id,
+      changeNote: "Created",
+    });
+    await recordChange(db, "module", uuid);
+
     res.status(201).json({
       success: true,
       message: "Module created",
@@ -299,7 +565,7 @@ router.post("/", requireRole("admin"), async (req, res, next) => {
 });
 
 // Admin: Update module
-router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
+router.put("/:uuid", requireContentWrite, async (req, res, next) => {
   try {
     const {
       title,
@@ -310,48 +576,539 @@ router.put("/:uuid", requireRole("admin"), async (req, res, next) => {
       isDownloadable,
       priority,
       isActive,
+      changeNote,
     } = req.body;
 
-    // Increment version on update
-    await db.execute(
+    const [modules] = await db.execute(
+      "SELECT id, organization_id, status FROM modules WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found" });
+    }
+
+    if (!canManage(req.user, modules[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    if (isEditLocked(req.user, modules[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Increment version on update
+      await connection.execute(
+        `
+        UPDATE modules SET
+          title = COALESCE(?, title),
+          description = COALESCE(?, description),
+          content = COALESCE(?, content),
+          category_id = COALESCE(?, category_id),
+          thumbnail_url = COALESCE(?, thumbnail_url),
+          is_downloadable = COALESCE(?, is_downloadable),
+          priority = COALESCE(?, priority),
+          is_active = COALESCE(?, is_active),
+          version = version + 1
+        WHERE id = ?
+      `,
+        [
+          title,
+          description,
+          content,
+          categoryId,
+          thumbnailUrl,
+          isDownloadable,
+          priority,
+          isActive,
+          modules[0].id,
+        ]
+      );
+
+      await saveRevision(connection, modules[0].id, {
+        userId: req.user.id,
+        changeNote: changeNote || null,
+      });
+      await recordChange(connection, "module", req.params.uuid);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ success: true, message: "Module updated" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: List module revisions
+router.get("/:uuid/revisions", requireContentWrite, async (req, res, next) => {
+  try {
+    const [modules] = await db.execute(
+      "SELECT id, organization_id FROM modules WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found" });
+    }
+
+    if (!canManage(req.user, modules[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    const [revisions] = await db.execute(
       `
-      UPDATE modules SET
-        title = COALESCE(?, title),
-        description = COALESCE(?, description),
-        content = COALESCE(?, content),
-        category_id = COALESCE(?, category_id),
-        thumbnail_url = COALESCE(?, thumbnail_url),
-        is_downloadable = COALESCE(?, is_downloadable),
-        priority = COALESCE(?, priority),
-        is_active = COALESCE(?, is_active),
-        version = version + 1
-      WHERE uuid = ?
+      SELECT mr.version, mr.title, mr.change_note, mr.restored_from, mr.created_at,
+             u.uuid as created_by_uuid, u.name as created_by_name
+      FROM module_revisions mr
+      LEFT JOIN users u ON mr.created_by = u.id
+      WHERE mr.module_id = ?
+      ORDER BY mr.version DESC
     `,
-      [
-        title,
-        description,
-        content,
-        categoryId,
-        thumbnailUrl,
-        isDownloadable,
-        priority,
-        isActive,
-        req.params.uuid,
-      ]
+      [modules[0].id]
     );
 
-    res.json({ success: true, message: "Module updated" });
+    res.json({ success: true, data: revisions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Diff two module revisions (defaults to the current version)
+router.get("/:uuid/diff", requireContentWrite, async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res
+        .status(400)
+        .json({ success: false, message: "from version required" });
+    }
+
+    const [modules] = await db.execute(
+      "SELECT id, version, organization_id FROM modules WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found" });
+    }
+
+    if (!canManage(req.user, modules[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    const fromVersion = parseInt(from);
+    const toVersion = to ? parseInt(to) : modules[0].version;
+
+    const [revisions] = await db.execute(
+      "SELECT * FROM module_revisions WHERE module_id = ? AND version IN (?, ?)",
+      [modules[0].id, fromVersion, toVersion]
+    );
+
+    const fromRevision = revisions.find((r) => r.version === fromVersion);
+    const toRevision = revisions.find((r) => r.version === toVersion);
+
+    if (!fromRevision || !toRevision) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Revision not found" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromVersion,
+        to: toVersion,
+        changes: diffRevisions(fromRevision, toRevision),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Roll a module back to an earlier version as a new version
+router.post("/:uuid/rollback", requireContentWrite, async (req, res, next) => {
+  try {
+    const { version, changeNote } = req.body;
+
+    if (!version) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Version required" });
+    }
+
+    const [modules] = await db.execute(
+      "SELECT id, version, organization_id, status FROM modules WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found" });
+    }
+
+    if (!canManage(req.user, modules[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    if (isEditLocked(req.user, modules[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    const [revisions] = await db.execute(
+      "SELECT * FROM module_revisions WHERE module_id = ? AND version = ?",
+      [modules[0].id, parseInt(version)]
+    );
+
+    if (revisions.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Revision not found" });
+    }
+
+    const revision = revisions[0];
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `
+        UPDATE modules SET
+          ${ROLLBACK_FIELDS.map((f) => `${f} = ?`).join(", ")},
+          version = version + 1
+        WHERE id = ?
+      `,
+        [...ROLLBACK_FIELDS.map((f) => revision[f]), modules[0].id]
+      );
+      await restoreAttachments(connection, modules[0].id, revision);
+
+      await saveRevision(connection, modules[0].id, {
+        userId: req.user.id,
+        changeNote: changeNote || `Rolled back to version ${revision.version}`,
+        restoredFrom: revision.version,
+      });
+      await recordChange(connection, "module", req.params.uuid);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({
+      success: true,
+      message: `Module rolled back to version ${revision.version}`,
+      data: { version: modules[0].version + 1 },
+    });
   } catch (error) {
     next(error);
   }
 });
 
+// Admin: Upload a module attachment
+router.post(
+  "/:uuid/attachments",
+  requireContentWrite,
+  uploadFile("attachment"),
+  async (req, res, next) => {
+    try {
+      const [modules] = await db.execute(
+        "SELECT id, organization_id, status FROM modules WHERE uuid = ?",
+        [req.params.uuid]
+      );
+
+      if (modules.length === 0) {
+        await discardUpload(req.file);
+        return res
+          .status(404)
+          .json({ success: false, message: "Module not found" });
+      }
+
+      if (!canManage(req.user, modules[0].organization_id)) {
+        await discardUpload(req.file);
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      if (isEditLocked(req.user, modules[0])) {
+        await discardUpload(req.file);
+        return res
+          .status(409)
+          .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+      }
+
+      const stored = await storeUpload(req.file, "attachment", req.user.id);
+
+      // The same file attached twice to one module is linked only once
+      const [existing] = await db.execute(
+        "SELECT * FROM module_attachments WHERE module_id = ? AND content_hash = ?",
+        [modules[0].id, stored.sha256]
+      );
+      if (existing.length > 0) {
+        return res.json({
+          success: true,
+          message: "Attachment already exists",
+          data: existing[0],
+        });
+      }
+
+      const fileName = req.body.fileName || req.file.originalname;
+      let attachmentId;
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+          `
+          INSERT INTO module_attachments (module_id, file_name, file_url, file_type, file_size, content_hash)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `,
+          [
+            modules[0].id,
+            fileName,
+            stored.file_url,
+            stored.mime_type,
+            stored.file_size,
+            stored.sha256,
+          ]
+        );
+        attachmentId = result.insertId;
+
+        await saveNewVersion(connection, modules[0].id, {
+          userId: req.user.id,
+          changeNote: `Attachment added: ${fileName}`,
+        });
+        await recordChange(connection, "module", req.params.uuid);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Attachment uploaded",
+        data: {
+          id: attachmentId,
+          fileUrl: stored.file_url,
+          fileType: stored.mime_type,
+          fileSize: stored.file_size,
+          contentHash: stored.sha256,
+          deduplicated: stored.deduplicated,
+        },
+      });
+    } catch (error) {
+      await discardUpload(req.file);
+      next(error);
+    }
+  }
+);
+
+// Admin: Remove a module attachment. The stored file is kept, as other
+// records may share it.
+router.delete(
+  "/:uuid/attachments/:attachmentId",
+  requireContentWrite,
+  async (req, res, next) => {
+    try {
+      const [modules] = await db.execute(
+        "SELECT id, organization_id, status FROM modules WHERE uuid = ?",
+        [req.params.uuid]
+      );
+
+      if (modules.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Module not found" });
+      }
+
+      if (!canManage(req.user, modules[0].organization_id)) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      if (isEditLocked(req.user, modules[0])) {
+        return res
+          .status(409)
+          .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [attachments] = await connection.execute(
+          "SELECT id, file_name FROM module_attachments WHERE id = ? AND module_id = ? FOR UPDATE",
+          [req.params.attachmentId, modules[0].id]
+        );
+
+        if (attachments.length === 0) {
+          await connection.rollback();
+          return res
+            .status(404)
+            .json({ success: false, message: "Attachment not found" });
+        }
+
+        await connection.execute(
+          "DELETE FROM module_attachments WHERE id = ?",
+          [attachments[0].id]
+        );
+        await saveNewVersion(connection, modules[0].id, {
+          userId: req.user.id,
+          changeNote: `Attachment removed: ${attachments[0].file_name}`,
+        });
+        await recordChange(connection, "module", req.params.uuid);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({ success: true, message: "Attachment removed" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Upload a module thumbnail
+router.post(
+  "/:uuid/thumbnail",
+  requireContentWrite,
+  uploadFile("image"),
+  async (req, res, next) => {
+    try {
+      const [modules] = await db.execute(
+        "SELECT id, organization_id, status FROM modules WHERE uuid = ?",
+        [req.params.uuid]
+      );
+
+      if (modules.length === 0) {
+        await discardUpload(req.file);
+        return res
+          .status(404)
+          .json({ success: false, message: "Module not found" });
+      }
+
+      if (!canManage(req.user, modules[0].organization_id)) {
+        await discardUpload(req.file);
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      if (isEditLocked(req.user, modules[0])) {
+        await discardUpload(req.file);
+        return res
+          .status(409)
+          .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+      }
+
+      const stored = await storeUpload(req.file, "image", req.user.id);
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+          "UPDATE modules SET thumbnail_url = ? WHERE id = ?",
+          [stored.file_url, modules[0].id]
+        );
+        await saveNewVersion(connection, modules[0].id, {
+          userId: req.user.id,
+          changeNote: "Thumbnail uploaded",
+        });
+        await recordChange(connection, "module", req.params.uuid);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({
+        success: true,
+        message: "Thumbnail uploaded",
+        data: { thumbnailUrl: stored.file_url },
+      });
+    } catch (error) {
+      await discardUpload(req.file);
+      next(error);
+    }
+  }
+);
+
 // Admin: Delete module
-router.delete("/:uuid", requireRole("admin"), async (req, res, next) => {
+router.delete("/:uuid", requireContentWrite, async (req, res, next) => {
   try {
-    await db.execute("UPDATE modules SET is_active = false WHERE uuid = ?", [
-      req.params.uuid,
+    const [modules] = await db.execute(
+      "SELECT id, organization_id, status FROM modules WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found" });
+    }
+
+    if (!canManage(req.user, modules[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    if (isEditLocked(req.user, modules[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    await db.execute("UPDATE modules SET is_active = false WHERE id = ?", [
+      modules[0].id,
     ]);
+    await recordChange(db, "module", req.params.uuid);
     res.json({ success: true, message: "Module deleted" });
   } catch (error) {
     next(error);
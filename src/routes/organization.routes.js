@@ -0,0 +1,388 @@
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { requireRole } = require("../middleware/auth");
+const {
+  ORG_ROLE_PERMISSIONS,
+  ungrantablePermissions,
+} = require("../config/permissions");
+const { isGlobalAdmin, canManage } = require("../utils/tenancy");
+
+const router = express.Router();
+
+const ORG_ROLES = ["member", "admin"];
+
+const slugify = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 100);
+
+// Permissions an organization role would grant that the caller does not hold
+// in that organization
+const ungrantableOrgPermissions = (user, organizationId, orgRole) =>
+  ORG_ROLE_PERMISSIONS[orgRole].filter(
+    (p) => !canManage(user, organizationId, p)
+  );
+
+// Load :uuid into req.organization if the caller may manage its members
+// (its org admins, its own user managers or a global admin)
+const loadManagedOrganization = async (req, res, next) => {
+  try {
+    const [organizations] = await db.execute(
+      "SELECT * FROM organizations WHERE uuid = ?",
+      [req.params.uuid]
+    );
+
+    if (organizations.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Organization not found" });
+    }
+
+    if (!canManage(req.user, organizations[0].id, "users.manage")) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    req.organization = organizations[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the caller's organization
+router.get("/mine", async (req, res, next) => {
+  try {
+    if (!req.user.organization_id) {
+      return res.json({ success: true, data: null });
+    }
+
+    const [organizations] = await db.execute(
+      "SELECT uuid, name, slug, created_at FROM organizations WHERE id = ?",
+      [req.user.organization_id]
+    );
+
+    res.json({
+      success: true,
+      data: { ...organizations[0], role: req.user.org_role },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: List organizations
+router.get("/", requireRole("admin"), async (req, res, next) => {
+  try {
+    const [organizations] = await db.execute(
+      `
+      SELECT o.*, COUNT(u.id) as member_count
+      FROM organizations o
+      LEFT JOIN users u ON u.organization_id = o.id
+      GROUP BY o.id
+      ORDER BY o.name
+    `
+    );
+    res.json({ success: true, data: organizations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Create organization
+router.post(
+  "/",
+  requireRole("admin"),
+  [
+    body("name").trim().notEmpty().withMessage("Name is required"),
+    body("slug").optional().trim().notEmpty(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { name } = req.body;
+      const slug = slugify(req.body.slug || name);
+
+      const [existing] = await db.execute(
+        "SELECT id FROM organizations WHERE slug = ?",
+        [slug]
+      );
+      if (existing.length > 0) {
+        return res
+          .status(409)
+          .json({ success: false, message: "Slug already in use" });
+      }
+
+      const uuid = uuidv4();
+      const [result] = await db.execute(
+        "INSERT INTO organizations (uuid, name, slug) VALUES (?, ?, ?)",
+        [uuid, name, slug]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Organization created",
+        data: { id: result.insertId, uuid, slug },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Update organization
+router.put(
+  "/:uuid",
+  requireRole("admin"),
+  [
+    body("name").optional().trim().notEmpty().withMessage("Name is required"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false")
+      .toBoolean(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { name, isActive } = req.body;
+
+      const [result] = await db.execute(
+        "UPDATE organizations SET name = COALESCE(?, name), is_active = COALESCE(?, is_active) WHERE uuid = ?",
+        [name || null, isActive ?? null, req.params.uuid]
+      );
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Organization not found" });
+      }
+
+      res.json({ success: true, message: "Organization updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List members
+router.get(
+  "/:uuid/members",
+  loadManagedOrganization,
+  async (req, res, next) => {
+    try {
+      const [members] = await db.execute(
+        `
+      SELECT uuid, name, email, org_role, is_active, created_at
+      FROM users
+      WHERE organization_id = ?
+      ORDER BY name
+    `,
+        [req.organization.id]
+      );
+      res.json({ success: true, data: members });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add an existing user to the organization by email. Users already in
+// another organization can only be moved by a global admin, and members
+// become manageable by the organization's admins, so the caller must hold
+// every permission the user has, as well as those of the org role given.
+router.post(
+  "/:uuid/members",
+  loadManagedOrganization,
+  [
+    body("email").isEmail().normalizeEmail(),
+    body("orgRole").optional().isIn(ORG_ROLES),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const [users] = await db.execute(
+        "SELECT id, uuid, role, organization_id FROM users WHERE email = ?",
+        [req.body.email]
+      );
+
+      if (users.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+
+      const user = users[0];
+      if (user.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot add yourself to an organization",
+        });
+      }
+
+      const orgRole = req.body.orgRole || "member";
+      const grantMissing = ungrantableOrgPermissions(
+        req.user,
+        req.organization.id,
+        orgRole
+      );
+      if (grantMissing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Cannot grant permissions you do not hold: ${grantMissing.join(
+            ", "
+          )}`,
+        });
+      }
+
+      if (
+        user.organization_id &&
+        user.organization_id !== req.organization.id &&
+        !isGlobalAdmin(req.user)
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: "User belongs to another organization",
+        });
+      }
+
+      // Only global admins may manage other admins
+      if (isGlobalAdmin(user) && !isGlobalAdmin(req.user)) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Insufficient permissions" });
+      }
+
+      const [roles] = await db.execute(
+        "SELECT role FROM user_roles WHERE user_id = ?",
+        [user.id]
+      );
+      const missing = ungrantablePermissions(req.user, [
+        user.role,
+        ...roles.map((r) => r.role),
+      ]);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `User holds permissions you do not hold: ${missing.join(
+            ", "
+          )}`,
+        });
+      }
+
+      await db.execute(
+        "UPDATE users SET organization_id = ?, org_role = ? WHERE id = ?",
+        [req.organization.id, orgRole, user.id]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Member added",
+        data: { uuid: user.uuid },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Change a member's role; only to a role whose permissions the caller holds
+router.put(
+  "/:uuid/members/:userUuid",
+  loadManagedOrganization,
+  [body("orgRole").isIn(ORG_ROLES)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      if (req.params.userUuid === req.user.uuid) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own organization role",
+        });
+      }
+
+      const missing = ungrantableOrgPermissions(
+        req.user,
+        req.organization.id,
+        req.body.orgRole
+      );
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Cannot grant permissions you do not hold: ${missing.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const [result] = await db.execute(
+        "UPDATE users SET org_role = ? WHERE uuid = ? AND organization_id = ?",
+        [req.body.orgRole, req.params.userUuid, req.organization.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Member not found" });
+      }
+
+      res.json({ success: true, message: "Member updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a member; they keep their account and the public catalog
+router.delete(
+  "/:uuid/members/:userUuid",
+  loadManagedOrganization,
+  async (req, res, next) => {
+    try {
+      if (req.params.userUuid === req.user.uuid) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot remove yourself from the organization",
+        });
+      }
+
+      const [result] = await db.execute(
+        "UPDATE users SET organization_id = NULL, org_role = 'member' WHERE uuid = ? AND organization_id = ?",
+        [req.params.userUuid, req.organization.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Member not found" });
+      }
+
+      res.json({ success: true, message: "Member removed" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
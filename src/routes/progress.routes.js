@@ -0,0 +1,175 @@
+const express = require("express");
+const db = require("../config/database");
+const {
+  PROGRESS_TYPES,
+  findProgressItem,
+  readProgressUpdate,
+  saveProgress,
+  getUserProgress,
+  getProgressTotals,
+} = require("../utils/progress");
+const { holdCompletion } = require("../utils/quiz");
+const { advancePaths } = require("../utils/learningPaths");
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const STATUSES = ["in_progress", "completed"];
+
+// Reject unknown :type values
+const checkType = (req, res, next) => {
+  if (!Object.hasOwn(PROGRESS_TYPES, req.params.type)) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Unknown content type" });
+  }
+  next();
+};
+
+// Progress summary for the current user: totals per content type, what to
+// resume and what was finished last
+router.get("/", async (req, res, next) => {
+  try {
+    const totals = await getProgressTotals(db, req.user);
+    const resume = await getUserProgress(db, req.user, {
+      status: "in_progress",
+      limit: 10,
+    });
+    const recentlyCompleted = await getUserProgress(db, req.user, {
+      status: "completed",
+      limit: 5,
+    });
+
+    res.json({ success: true, data: { totals, resume, recentlyCompleted } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the current user's progress on one content type
+router.get("/:type", checkType, async (req, res, next) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${STATUSES.join(", ")}`,
+      });
+    }
+
+    const items = await getUserProgress(db, req.user, {
+      type: req.params.type,
+      status,
+      limit: Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE),
+    });
+
+    res.json({ success: true, data: items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the current user's progress on one item (null if not started)
+router.get("/:type/:key", checkType, async (req, res, next) => {
+  try {
+    const { type, key } = req.params;
+    const item = await findProgressItem(db, req.user, type, key);
+
+    if (!item) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Content not found" });
+    }
+
+    const [rows] = await db.execute(
+      "SELECT * FROM learning_progress WHERE user_id = ? AND entity_type = ? AND entity_id = ?",
+      [req.user.id, type, item.id]
+    );
+
+    res.json({ success: true, data: rows[0] || null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report progress on an item
+router.put("/:type/:key", checkType, async (req, res, next) => {
+  try {
+    const { type, key } = req.params;
+    const item = await findProgressItem(db, req.user, type, key);
+
+    if (!item) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Content not found" });
+    }
+
+    const reported = readProgressUpdate(type, req.body, item);
+    if (reported.error) {
+      return res.status(400).json({ success: false, message: reported.error });
+    }
+    const update = await holdCompletion(db, req.user.id, type, item, reported);
+
+    let progress;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      progress = await saveProgress(
+        connection,
+        req.user.id,
+        type,
+        item,
+        update
+      );
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (progress.newlyCompleted) {
+      await db.execute(
+        `INSERT INTO user_activities (user_id, device_id, activity_type, reference_id, reference_type, duration_seconds) VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          req.user.id,
+          req.deviceId,
+          `${type}_complete`,
+          item.id,
+          type,
+          progress.time_spent_seconds || null,
+        ]
+      );
+      await advancePaths(db, req.user.id, type, item.id);
+    }
+
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset the current user's progress on an item
+router.delete("/:type/:key", checkType, async (req, res, next) => {
+  try {
+    const { type, key } = req.params;
+    const { table, keyColumn } = PROGRESS_TYPES[type];
+
+    await db.execute(
+      `
+      DELETE lp FROM learning_progress lp
+      JOIN ${table} t ON lp.entity_id = t.id
+      WHERE lp.user_id = ? AND lp.entity_type = ? AND t.${keyColumn} = ?
+    `,
+      [req.user.id, type, key]
+    );
+
+    res.json({ success: true, message: "Progress reset" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,746 @@
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const { visibleTo, canManage } = require("../utils/tenancy");
+const {
+  liveClause,
+  isEditLocked,
+  EDIT_LOCKED_MESSAGE,
+} = require("../utils/workflow");
+const {
+  SUBMIT_GRACE_SECONDS,
+  readQuestion,
+  drawQuestions,
+  presentQuestions,
+  scoreAnswers,
+  loadQuestions,
+  attemptStatus,
+} = require("../utils/quiz");
+const { advancePaths } = require("../utils/learningPaths");
+const { uploadFile } = require("../middleware/upload");
+const { storeUpload, discardUpload } = require("../utils/uploads");
+
+// Mounted under /api/modules/:uuid/quiz
+const router = express.Router({ mergeParams: true });
+
+// Writers of the public catalog, or org admins for their own content
+const requireContentWrite = requirePermission("content.write", {
+  orgScoped: true,
+});
+
+const quizRules = [
+  body("title").trim().notEmpty().withMessage("Title is required"),
+  body("questionCount")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("questionCount must be a positive number"),
+  body("passMark")
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage("passMark must be a percentage"),
+  body("maxAttempts")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("maxAttempts must be a positive number"),
+  body("timeLimitSeconds")
+    .optional({ nullable: true })
+    .isInt({ min: 30 })
+    .withMessage("timeLimitSeconds must be at least 30"),
+  body(["shuffleOptions", "requiredForCompletion", "isActive"])
+    .optional()
+    .isBoolean()
+    .withMessage("Must be true or false"),
+];
+
+// The active quiz of a module the user can see
+const findQuiz = async (user, moduleUuid) => {
+  const visibility = visibleTo(user, "m.organization_id");
+  const [rows] = await db.execute(
+    `
+    SELECT q.* FROM module_quizzes q
+    JOIN modules m ON q.module_id = m.id
+    WHERE m.uuid = ? AND q.is_active = true AND ${liveClause("m")}
+      AND ${visibility.clause}
+  `,
+    [moduleUuid, ...visibility.params]
+  );
+  return rows[0] || null;
+};
+
+const findAttempt = async (quizId, userId, attemptUuid) => {
+  const [rows] = await db.execute(
+    "SELECT * FROM quiz_attempts WHERE uuid = ? AND quiz_id = ? AND user_id = ?",
+    [attemptUuid, quizId, userId]
+  );
+  return rows[0] || null;
+};
+
+const toAttempt = (attempt) => ({
+  uuid: attempt.uuid,
+  status: attemptStatus(attempt),
+  score: attempt.score !== null ? Number(attempt.score) : null,
+  passed: attempt.passed === null ? null : Boolean(attempt.passed),
+  startedAt: attempt.started_at,
+  expiresAt: attempt.expires_at,
+  submittedAt: attempt.submitted_at,
+});
+
+// Scored answers of a submitted attempt. The correct options are only
+// revealed once the attempt passed, so failed users can't copy them into
+// their next attempt.
+const attemptResults = async (quiz, attempt) => {
+  const questionsById = await loadQuestions(
+    db,
+    quiz.id,
+    attempt.questions.map((q) => q.id)
+  );
+  const scored = scoreAnswers(
+    attempt.questions,
+    questionsById,
+    attempt.answers || {}
+  );
+
+  return scored.results.map((result) =>
+    attempt.passed ? result : { ...result, correctOptions: undefined }
+  );
+};
+
+// Load the module for quiz management into req.module, after checking the
+// user may edit it
+const loadManagedModule = async (req, res, next) => {
+  try {
+    const [modules] = await db.execute(
+      "SELECT id, organization_id, status FROM modules WHERE uuid = ? AND is_active = true",
+      [req.params.uuid]
+    );
+
+    if (modules.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found" });
+    }
+
+    if (!canManage(req.user, modules[0].organization_id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    if (req.method !== "GET" && isEditLocked(req.user, modules[0])) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    req.module = modules[0];
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findManagedQuiz = async (moduleId) => {
+  const [rows] = await db.execute(
+    "SELECT * FROM module_quizzes WHERE module_id = ?",
+    [moduleId]
+  );
+  return rows[0] || null;
+};
+
+// Get the module's quiz with the user's attempts so far
+router.get("/", async (req, res, next) => {
+  try {
+    const quiz = await findQuiz(req.user, req.params.uuid);
+
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found" });
+    }
+
+    const [[bank]] = await db.execute(
+      "SELECT COUNT(*) as total FROM quiz_questions WHERE quiz_id = ? AND is_active = true",
+      [quiz.id]
+    );
+    const [[attempts]] = await db.execute(
+      `
+      SELECT COUNT(*) as used, MAX(score) as best_score,
+        COALESCE(MAX(passed), false) as passed
+      FROM quiz_attempts
+      WHERE quiz_id = ? AND user_id = ?
+    `,
+      [quiz.id, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        uuid: quiz.uuid,
+        title: quiz.title,
+        questionCount: Math.min(quiz.question_count || bank.total, bank.total),
+        passMark: quiz.pass_mark,
+        maxAttempts: quiz.max_attempts,
+        timeLimitSeconds: quiz.time_limit_seconds,
+        requiredForCompletion: Boolean(quiz.required_for_completion),
+        attemptsUsed: attempts.used,
+        attemptsRemaining: quiz.max_attempts
+          ? Math.max(quiz.max_attempts - attempts.used, 0)
+          : null,
+        bestScore:
+          attempts.best_score !== null ? Number(attempts.best_score) : null,
+        passed: Boolean(attempts.passed),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start an attempt with a random draw from the question bank, or resume the
+// attempt still in progress
+router.post("/attempts", async (req, res, next) => {
+  try {
+    const quiz = await findQuiz(req.user, req.params.uuid);
+
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found" });
+    }
+
+    let attempt;
+    let resumed = false;
+    let refusal = null;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Serialize attempt starts so parallel requests can't exceed the limit
+      await connection.execute(
+        "SELECT id FROM module_quizzes WHERE id = ? FOR UPDATE",
+        [quiz.id]
+      );
+      const [attempts] = await connection.execute(
+        "SELECT * FROM quiz_attempts WHERE quiz_id = ? AND user_id = ? ORDER BY started_at DESC",
+        [quiz.id, req.user.id]
+      );
+      const [bank] = await connection.execute(
+        "SELECT id, question_type, options FROM quiz_questions WHERE quiz_id = ? AND is_active = true",
+        [quiz.id]
+      );
+
+      attempt = attempts.find((a) => attemptStatus(a) === "in_progress");
+      if (attempt) {
+        resumed = true;
+      } else if (quiz.max_attempts && attempts.length >= quiz.max_attempts) {
+        refusal = "No attempts left for this quiz";
+      } else if (bank.length === 0) {
+        refusal = "This quiz has no questions yet";
+      } else {
+        attempt = {
+          uuid: uuidv4(),
+          questions: drawQuestions(quiz, bank),
+          started_at: new Date(),
+          expires_at: quiz.time_limit_seconds
+            ? new Date(Date.now() + quiz.time_limit_seconds * 1000)
+            : null,
+          score: null,
+          passed: null,
+          submitted_at: null,
+        };
+        await connection.execute(
+          `
+          INSERT INTO quiz_attempts (uuid, quiz_id, user_id, device_id, questions, started_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `,
+          [
+            attempt.uuid,
+            quiz.id,
+            req.user.id,
+            req.deviceId,
+            JSON.stringify(attempt.questions),
+            attempt.started_at,
+            attempt.expires_at,
+          ]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (refusal) {
+      return res.status(409).json({ success: false, message: refusal });
+    }
+
+    const questionsById = await loadQuestions(
+      db,
+      quiz.id,
+      attempt.questions.map((q) => q.id)
+    );
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? "Attempt resumed" : "Attempt started",
+      data: {
+        ...toAttempt(attempt),
+        questions: presentQuestions(attempt.questions, questionsById),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the user's attempts at the quiz, latest first
+router.get("/attempts", async (req, res, next) => {
+  try {
+    const quiz = await findQuiz(req.user, req.params.uuid);
+
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found" });
+    }
+
+    const [attempts] = await db.execute(
+      "SELECT * FROM quiz_attempts WHERE quiz_id = ? AND user_id = ? ORDER BY started_at DESC",
+      [quiz.id, req.user.id]
+    );
+
+    res.json({ success: true, data: attempts.map(toAttempt) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get one attempt: its questions while in progress, its results once submitted
+router.get("/attempts/:attemptUuid", async (req, res, next) => {
+  try {
+    const quiz = await findQuiz(req.user, req.params.uuid);
+    const attempt =
+      quiz && (await findAttempt(quiz.id, req.user.id, req.params.attemptUuid));
+
+    if (!attempt) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Attempt not found" });
+    }
+
+    const data = toAttempt(attempt);
+    if (attempt.submitted_at) {
+      data.results = await attemptResults(quiz, attempt);
+    } else {
+      const questionsById = await loadQuestions(
+        db,
+        quiz.id,
+        attempt.questions.map((q) => q.id)
+      );
+      data.questions = presentQuestions(attempt.questions, questionsById);
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit answers ({ [questionId]: optionKey or [optionKeys] }) for scoring
+router.post("/attempts/:attemptUuid/submit", async (req, res, next) => {
+  try {
+    const { answers } = req.body;
+    const quiz = await findQuiz(req.user, req.params.uuid);
+    const attempt =
+      quiz && (await findAttempt(quiz.id, req.user.id, req.params.attemptUuid));
+
+    if (!attempt) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Attempt not found" });
+    }
+
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Answers object required" });
+    }
+
+    if (attempt.submitted_at) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Attempt already submitted" });
+    }
+
+    if (
+      attempt.expires_at &&
+      Date.now() >
+        new Date(attempt.expires_at).getTime() + SUBMIT_GRACE_SECONDS * 1000
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "The time limit for this attempt has passed",
+      });
+    }
+
+    const questionsById = await loadQuestions(
+      db,
+      quiz.id,
+      attempt.questions.map((q) => q.id)
+    );
+    const scored = scoreAnswers(attempt.questions, questionsById, answers);
+    const passed = scored.score >= quiz.pass_mark;
+    const stored = Object.fromEntries(
+      scored.results.map((r) => [r.questionId, r.selected])
+    );
+
+    const [result] = await db.execute(
+      `
+      UPDATE quiz_attempts
+      SET answers = ?, points_earned = ?, points_possible = ?, score = ?, passed = ?, submitted_at = NOW()
+      WHERE id = ? AND submitted_at IS NULL
+    `,
+      [
+        JSON.stringify(stored),
+        scored.pointsEarned,
+        scored.pointsPossible,
+        scored.score,
+        passed,
+        attempt.id,
+      ]
+    );
+
+    // A concurrent submission of the same attempt got there first
+    if (result.affectedRows === 0) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Attempt already submitted" });
+    }
+
+    await db.execute(
+      `INSERT INTO user_activities (user_id, device_id, activity_type, reference_id, reference_type, metadata, duration_seconds) VALUES (?, ?, 'quiz_attempt', ?, 'module', ?, ?)`,
+      [
+        req.user.id,
+        req.deviceId,
+        quiz.module_id,
+        JSON.stringify({ attempt: attempt.uuid, score: scored.score, passed }),
+        Math.round((Date.now() - new Date(attempt.started_at)) / 1000),
+      ]
+    );
+    if (passed) await advancePaths(db, req.user.id, "quiz", quiz.id);
+
+    res.json({
+      success: true,
+      message: passed ? "Quiz passed" : "Quiz not passed",
+      data: {
+        uuid: attempt.uuid,
+        score: scored.score,
+        passMark: quiz.pass_mark,
+        passed,
+        pointsEarned: scored.pointsEarned,
+        pointsPossible: scored.pointsPossible,
+        results: scored.results.map((r) =>
+          passed ? r : { ...r, correctOptions: undefined }
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Get the quiz settings and full question bank, with answers
+router.get(
+  "/questions",
+  requireContentWrite,
+  loadManagedModule,
+  async (req, res, next) => {
+    try {
+      const quiz = await findManagedQuiz(req.module.id);
+
+      if (!quiz) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Quiz not found" });
+      }
+
+      const [questions] = await db.execute(
+        "SELECT * FROM quiz_questions WHERE quiz_id = ? AND is_active = true ORDER BY sort_order, id",
+        [quiz.id]
+      );
+
+      res.json({ success: true, data: { quiz, questions } });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Create or update the module's quiz settings
+router.put(
+  "/",
+  requireContentWrite,
+  loadManagedModule,
+  quizRules,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const {
+        title,
+        questionCount,
+        passMark = 70,
+        maxAttempts,
+        timeLimitSeconds,
+        shuffleOptions = true,
+        requiredForCompletion = false,
+        isActive = true,
+      } = req.body;
+
+      await db.execute(
+        `
+        INSERT INTO module_quizzes (uuid, module_id, title, question_count, pass_mark, max_attempts, time_limit_seconds, shuffle_options, required_for_completion, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          title = VALUES(title),
+          question_count = VALUES(question_count),
+          pass_mark = VALUES(pass_mark),
+          max_attempts = VALUES(max_attempts),
+          time_limit_seconds = VALUES(time_limit_seconds),
+          shuffle_options = VALUES(shuffle_options),
+          required_for_completion = VALUES(required_for_completion),
+          is_active = VALUES(is_active)
+      `,
+        [
+          uuidv4(),
+          req.module.id,
+          title,
+          questionCount || null,
+          passMark,
+          maxAttempts || null,
+          timeLimitSeconds || null,
+          shuffleOptions,
+          requiredForCompletion,
+          isActive,
+        ]
+      );
+
+      res.json({
+        success: true,
+        message: "Quiz saved",
+        data: await findManagedQuiz(req.module.id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Add a question to the bank
+router.post(
+  "/questions",
+  requireContentWrite,
+  loadManagedModule,
+  async (req, res, next) => {
+    try {
+      const quiz = await findManagedQuiz(req.module.id);
+
+      if (!quiz) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Quiz not found" });
+      }
+
+      const question = readQuestion(req.body);
+      if (question.error) {
+        return res
+          .status(400)
+          .json({ success: false, message: question.error });
+      }
+
+      const [result] = await db.execute(
+        `
+        INSERT INTO quiz_questions (quiz_id, question_type, prompt, image_url, options, correct_options, explanation, points, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          quiz.id,
+          question.question_type,
+          question.prompt,
+          question.image_url,
+          JSON.stringify(question.options),
+          JSON.stringify(question.correct_options),
+          question.explanation,
+          question.points,
+          question.sort_order,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Question added",
+        data: { id: result.insertId, ...question },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Replace a question. Submitted attempts keep their score; their
+// results show the question as it now reads.
+router.put(
+  "/questions/:id",
+  requireContentWrite,
+  loadManagedModule,
+  async (req, res, next) => {
+    try {
+      const question = readQuestion(req.body);
+      if (question.error) {
+        return res
+          .status(400)
+          .json({ success: false, message: question.error });
+      }
+
+      const [result] = await db.execute(
+        `
+        UPDATE quiz_questions qq
+        JOIN module_quizzes q ON qq.quiz_id = q.id
+        SET qq.question_type = ?, qq.prompt = ?, qq.image_url = ?, qq.options = ?, qq.correct_options = ?, qq.explanation = ?, qq.points = ?, qq.sort_order = ?
+        WHERE qq.id = ? AND q.module_id = ? AND qq.is_active = true
+      `,
+        [
+          question.question_type,
+          question.prompt,
+          question.image_url,
+          JSON.stringify(question.options),
+          JSON.stringify(question.correct_options),
+          question.explanation,
+          question.points,
+          question.sort_order,
+          req.params.id,
+          req.module.id,
+        ]
+      );
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Question not found" });
+      }
+
+      res.json({
+        success: true,
+        message: "Question updated",
+        data: { id: parseInt(req.params.id), ...question },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Upload the image of a question, or of one of its options when an
+// `option` key is sent with the file
+router.post(
+  "/questions/:id/image",
+  requireContentWrite,
+  loadManagedModule,
+  uploadFile("image"),
+  async (req, res, next) => {
+    try {
+      const [questions] = await db.execute(
+        `
+        SELECT qq.id, qq.options FROM quiz_questions qq
+        JOIN module_quizzes q ON qq.quiz_id = q.id
+        WHERE qq.id = ? AND q.module_id = ? AND qq.is_active = true
+      `,
+        [req.params.id, req.module.id]
+      );
+
+      if (questions.length === 0) {
+        await discardUpload(req.file);
+        return res
+          .status(404)
+          .json({ success: false, message: "Question not found" });
+      }
+
+      const { option } = req.body;
+      const options = questions[0].options;
+      if (option !== undefined && !options.some((o) => o.key === option)) {
+        await discardUpload(req.file);
+        return res
+          .status(400)
+          .json({ success: false, message: "Unknown option" });
+      }
+
+      const stored = await storeUpload(req.file, "image", req.user.id);
+
+      if (option !== undefined) {
+        await db.execute("UPDATE quiz_questions SET options = ? WHERE id = ?", [
+          JSON.stringify(
+            options.map((o) =>
+              o.key === option ? { ...o, imageUrl: stored.file_url } : o
+            )
+          ),
+          questions[0].id,
+        ]);
+      } else {
+        await db.execute(
+          "UPDATE quiz_questions SET image_url = ? WHERE id = ?",
+          [stored.file_url, questions[0].id]
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "Image uploaded",
+        data: { imageUrl: stored.file_url },
+      });
+    } catch (error) {
+      await discardUpload(req.file);
+      next(error);
+    }
+  }
+);
+
+// Admin: Retire a question from the bank. It stays stored for the attempts
+// that drew it.
+router.delete(
+  "/questions/:id",
+  requireContentWrite,
+  loadManagedModule,
+  async (req, res, next) => {
+    try {
+      const [result] = await db.execute(
+        `
+        UPDATE quiz_questions qq
+        JOIN module_quizzes q ON qq.quiz_id = q.id
+        SET qq.is_active = false
+        WHERE qq.id = ? AND q.module_id = ? AND qq.is_active = true
+      `,
+        [req.params.id, req.module.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Question not found" });
+      }
+
+      res.json({ success: true, message: "Question deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
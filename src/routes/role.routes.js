@@ -0,0 +1,120 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const { loadManagedUser, forbidSelf } = require("../middleware/managedUser");
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  permissionsFor,
+  ungrantablePermissions,
+} = require("../config/permissions");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(requirePermission("users.manage", { orgScoped: true }));
+
+const toRoleSummary = (user) => ({
+  uuid: user.uuid,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  assignedRoles: user.assignedRoles,
+  permissions: permissionsFor([user.role, ...user.assignedRoles]),
+});
+
+// List roles and the permissions they grant
+router.get("/", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+      roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({
+        role,
+        permissions,
+        assignable: ASSIGNABLE_ROLES.includes(role),
+      })),
+    },
+  });
+});
+
+// Get a user's roles and effective permissions
+router.get("/users/:uuid", loadManagedUser, (req, res) => {
+  res.json({ success: true, data: toRoleSummary(req.targetUser) });
+});
+
+// Replace a user's assigned roles. Callers cannot grant permissions they
+// do not hold themselves, nor change their own roles.
+router.put(
+  "/users/:uuid",
+  forbidSelf("You cannot change your own roles"),
+  loadManagedUser,
+  [
+    body("roles").isArray().withMessage("Roles must be an array"),
+    body("roles.*")
+      .isIn(ASSIGNABLE_ROLES)
+      .withMessage(`Assignable roles: ${ASSIGNABLE_ROLES.join(", ")}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const user = req.targetUser;
+      const roles = [...new Set(req.body.roles)].sort();
+
+      const missing = ungrantablePermissions(req.user, roles);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Cannot grant permissions you do not hold: ${missing.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute("DELETE FROM user_roles WHERE user_id = ?", [
+          user.id,
+        ]);
+        for (const role of roles) {
+          await connection.execute(
+            "INSERT INTO user_roles (user_id, role, granted_by) VALUES (?, ?, ?)",
+            [user.id, role, req.user.id]
+          );
+        }
+
+        await recordAudit(connection, req, {
+          action: "roles_changed",
+          targetType: "user",
+          targetId: user.id,
+          changes: { assignedRoles: { from: user.assignedRoles, to: roles } },
+        });
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({
+        success: true,
+        message: "Roles updated",
+        data: toRoleSummary({ ...user, assignedRoles: roles }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require("express");
+const db = require("../config/database");
+const {
+  tokenize,
+  toBooleanQuery,
+  scoreFields,
+  bestSnippet,
+} = require("../utils/search");
+const { visibleTo } = require("../utils/tenancy");
+const { liveClause } = require("../utils/workflow");
+const { localize } = require("../utils/translations");
+const { fitsVehicle } = require("../utils/fitment");
+const { normalizeSearchQuery } = require("../utils/searchMisses");
+const { parseVehicleFilter } = require("../middleware/vehicleFilter");
+
+const router = express.Router();
+
+// Max rows fetched per content type before merging and ranking
+const CANDIDATE_LIMIT = 50;
+
+// Per-type queries and mappers. Every WHERE clause takes the boolean
+// full-text query followed by a LIKE pattern for short terms the index skips,
+// then the normalized query for types with a `synonymTerm`.
+// Types with an `orgColumn` are further limited to what the caller may see,
+// and types with an `idColumn` to what fits the vehicle filter, if any.
+// Matching runs on the default-language text; hits are shown localized.
+const SEARCH_TYPES = {
+  module: {
+    from: `
+      FROM modules m
+      LEFT JOIN module_categories mc ON m.category_id = mc.id
+      WHERE ${liveClause("m")}
+      AND (
+        MATCH(m.title, m.description, m.content) AGAINST(? IN BOOLEAN MODE)
+        OR m.title LIKE ?
+      )
+    `,
+    orgColumn: "m.organization_id",
+    idColumn: "m.id",
+    select:
+      "SELECT m.id, m.category_id, m.uuid, m.title, m.description, m.content, m.thumbnail_url, m.updated_at, mc.name as category_name",
+    toHit: (row, terms) => ({
+      type: "module",
+      uuid: row.uuid,
+      title: row.title,
+      category: row.category_name,
+      thumbnailUrl: row.thumbnail_url,
+      updatedAt: row.updated_at,
+      snippet: bestSnippet(terms, [row.description, row.content]),
+      score: scoreFields(terms, [
+        { text: row.title, weight: 3 },
+        { text: row.description, weight: 2 },
+        { text: row.content, weight: 1 },
+      ]),
+    }),
+  },
+
+  meca_aid: {
+    from: `
+      FROM meca_aids ma
+      LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
+      WHERE ${liveClause("ma")}
+      AND (
+        MATCH(ma.title, ma.problem_description, ma.symptoms, ma.causes) AGAINST(? IN BOOLEAN MODE)
+        OR ma.title LIKE ?
+      )
+    `,
+    orgColumn: "ma.organization_id",
+    idColumn: "ma.id",
+    select:
+      "SELECT ma.id, ma.category_id, ma.uuid, ma.title, ma.problem_description, ma.symptoms, ma.causes, ma.difficulty_level, ma.updated_at, mac.name as category_name",
+    toHit: (row, terms) => ({
+      type: "meca_aid",
+      uuid: row.uuid,
+      title: row.title,
+      category: row.category_name,
+      difficultyLevel: row.difficulty_level,
+      updatedAt: row.updated_at,
+      snippet: bestSnippet(terms, [
+        row.symptoms,
+        row.problem_description,
+        row.causes,
+      ]),
+      score: scoreFields(terms, [
+        { text: row.title, weight: 3 },
+        { text: row.symptoms, weight: 2 },
+        { text: row.problem_description, weight: 2 },
+        { text: row.causes, weight: 1 },
+      ]),
+    }),
+  },
+
+  animation: {
+    from: `
+      FROM learning_animations la
+      WHERE ${liveClause("la")}
+      AND (
+        MATCH(la.title, la.description) AGAINST(? IN BOOLEAN MODE)
+        OR la.title LIKE ?
+      )
+    `,
+    select:
+      "SELECT la.id, la.uuid, la.title, la.description, la.animation_type, la.thumbnail_url, la.category, la.tags, la.updated_at",
+    toHit: (row, terms) => {
+      const tags = Array.isArray(row.tags) ? row.tags.join(" ") : null;
+      return {
+        type: "animation",
+        uuid: row.uuid,
+        title: row.title,
+        category: row.category,
+        animationType: row.animation_type,
+        thumbnailUrl: row.thumbnail_url,
+        updatedAt: row.updated_at,
+        snippet: bestSnippet(terms, [row.description]),
+        score: scoreFields(terms, [
+          { text: row.title, weight: 3 },
+          { text: tags, weight: 2 },
+          { text: row.description, weight: 1 },
+        ]),
+      };
+    },
+  },
+
+  error_code: {
+    from: `
+      FROM error_codes ec
+      LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
+      WHERE ${liveClause("ec")}
+      AND (
+        MATCH(ec.code, ec.title, ec.description, ec.possible_causes) AGAINST(? IN BOOLEAN MODE)
+        OR ec.code LIKE ?
+        OR EXISTS (
+          SELECT 1 FROM error_code_synonyms s
+          WHERE s.error_code_id = ec.id AND s.term = ?
+        )
+      )
+    `,
+    idColumn: "ec.id",
+    select:
+      "SELECT ec.id, ec.category_id, ec.code, ec.title, ec.description, ec.possible_causes, ec.severity, ec.updated_at, ecc.name as category_name",
+    // Codes are matched without spaces so "p 0300" finds P0300
+    likeTerm: (q) => `${q.replace(/\s+/g, "").toUpperCase()}%`,
+    synonymTerm: normalizeSearchQuery,
+    toHit: (row, terms, q) => {
+      const exactCode =
+        row.code.toLowerCase() === q.replace(/\s+/g, "").toLowerCase();
+      return {
+        type: "error_code",
+        code: row.code,
+        title: row.title,
+        category: row.category_name,
+        severity: row.severity,
+        updatedAt: row.updated_at,
+        snippet: bestSnippet(terms, [row.description, row.possible_causes]),
+        score:
+          scoreFields(terms, [
+            { text: row.code, weight: 5 },
+            { text: row.title, weight: 3 },
+            { text: row.description, weight: 1 },
+            { text: row.possible_causes, weight: 1 },
+          ]) + (exactCode ? 20 : 0),
+      };
+    },
+  },
+};
+
+// Search all content types at once. With a vehicle filter, modules, Meca
+// Aids and error codes are limited to those fitting that vehicle.
+router.get("/", parseVehicleFilter, async (req, res, next) => {
+  try {
+    const { q, types, page = 1, limit = 20 } = req.query;
+
+    if (typeof q !== "string" || !q.trim()) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Search query required" });
+    }
+
+    if (types !== undefined && typeof types !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "types must be a comma-separated list",
+      });
+    }
+
+    const terms = tokenize(q);
+    if (terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query has no searchable terms",
+      });
+    }
+
+    const selectedTypes = types
+      ? types.split(",").map((t) => t.trim())
+      : Object.keys(SEARCH_TYPES);
+    const unknownTypes = selectedTypes.filter((t) => !SEARCH_TYPES[t]);
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown search type(s): ${unknownTypes.join(", ")}`,
+      });
+    }
+
+    const booleanQuery = toBooleanQuery(terms);
+    const facets = {};
+    let hits = [];
+
+    for (const type of selectedTypes) {
+      const config = SEARCH_TYPES[type];
+      const likeTerm = config.likeTerm ? config.likeTerm(q) : `%${q.trim()}%`;
+      const params = [booleanQuery, likeTerm];
+      if (config.synonymTerm) params.push(config.synonymTerm(q));
+
+      let from = config.from;
+      if (config.orgColumn) {
+        const visibility = visibleTo(req.user, config.orgColumn);
+        from += ` AND ${visibility.clause}`;
+        params.push(...visibility.params);
+      }
+
+      if (config.idColumn) {
+        const fitment = fitsVehicle(req.vehicle, type, config.idColumn);
+        from += ` AND ${fitment.clause}`;
+        params.push(...fitment.params);
+      }
+
+      const [rows] = await db.execute(`${config.select} ${from} LIMIT ?`, [
+        ...params,
+        CANDIDATE_LIMIT,
+      ]);
+      const [[{ total }]] = await db.execute(
+        `SELECT COUNT(*) as total ${from}`,
+        params
+      );
+
+      await localize(db, type, rows, req.locale);
+
+      facets[type] = total;
+      hits = hits.concat(rows.map((row) => config.toHit(row, terms, q)));
+    }
+
+    hits.sort((a, b) => b.score - a.score);
+    const totalMatches = Object.values(facets).reduce(
+      (sum, count) => sum + Number(count),
+      0
+    );
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(parseInt(limit) || 20, 50);
+    const offset = (pageNumber - 1) * pageSize;
+    const results = hits.slice(offset, offset + pageSize);
+
+    // Log search activity
+    await db.execute(
+      `INSERT INTO user_activities (user_id, device_id, activity_type, metadata) VALUES (?, ?, 'search', ?)`,
+      [
+        req.user.id,
+        req.deviceId,
+        JSON.stringify({
+          query: q,
+          types: selectedTypes,
+          vehicle: req.vehicle,
+          resultsCount: hits.length,
+        }),
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        results,
+        facets,
+        // Pages cover the ranked candidates, at most CANDIDATE_LIMIT per
+        // type; totalMatches counts every match, as the facets do
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: hits.length,
+          totalPages: Math.ceil(hits.length / pageSize),
+          totalMatches,
+          capped: totalMatches > hits.length,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,85 +1,389 @@
 const express = require("express");
 const db = require("../config/database");
+const {
+  getCurrentCursor,
+  getResumeCursor,
+  cursorFromTimestamp,
+  getChangesSince,
+  getChangesPage,
+  countChangesSince,
+  ENTITY_TABLES,
+} = require("../utils/changeLog");
+const { encodeToken, decodeToken } = require("../utils/syncToken");
+const { visibleTo } = require("../utils/tenancy");
+const { liveClause } = require("../utils/workflow");
+const { localize } = require("../utils/translations");
+const { attachVehicles } = require("../utils/fitment");
+const {
+  PROGRESS_TYPES,
+  findProgressItem,
+  readProgressUpdate,
+  saveProgress,
+  getUserProgress,
+} = require("../utils/progress");
+const { holdCompletion } = require("../utils/quiz");
+const { advancePaths } = require("../utils/learningPaths");
+const { markStaleDays } = require("../utils/analyticsRollup");
 
 const router = express.Router();
 
-// Full sync - get all data updates since last sync
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+// Resolve the client's position: a change cursor, or a legacy lastSync
+// timestamp from older app versions
+const resolveCursor = async ({ cursor, lastSync }) => {
+  if (cursor !== undefined) return parseInt(cursor) || 0;
+  if (lastSync) return cursorFromTimestamp(db, lastSync);
+  return 0;
+};
+
+// Fetchers return the live rows for the given keys that the user may see,
+// in the requested locale. Fitted types carry their `vehicles` so devices can
+// filter by vehicle offline.
+const fetchModules = async (uuids, user, locale) => {
+  if (uuids.length === 0) return [];
+  const visibility = visibleTo(user, "m.organization_id");
+  const [modules] = await db.execute(
+    `
+    SELECT m.*, mc.name as category_name
+    FROM modules m
+    LEFT JOIN module_categories mc ON m.category_id = mc.id
+    WHERE ${liveClause("m")} AND m.uuid IN (${placeholders(uuids)})
+      AND ${visibility.clause}
+  `,
+    [...uuids, ...visibility.params]
+  );
+  await attachVehicles(db, "module", modules);
+  return localize(db, "module", modules, locale);
+};
+
+const fetchMecaAids = async (uuids, user, locale) => {
+  if (uuids.length === 0) return [];
+  const visibility = visibleTo(user, "ma.organization_id");
+  const [mecaAids] = await db.execute(
+    `
+    SELECT ma.*, mac.name as category_name
+    FROM meca_aids ma
+    LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
+    WHERE ${liveClause("ma")} AND ma.uuid IN (${placeholders(uuids)})
+      AND ${visibility.clause}
+  `,
+    [...uuids, ...visibility.params]
+  );
+
+  // Get meca aid steps for updated meca aids
+  if (mecaAids.length > 0) {
+    const mecaAidIds = mecaAids.map((m) => m.id);
+    const [steps] = await db.execute(
+      `SELECT * FROM meca_aid_steps WHERE meca_aid_id IN (${mecaAidIds.join(
+        ","
+      )}) ORDER BY meca_aid_id, step_number`
+    );
+    mecaAids.forEach((ma) => {
+      ma.steps = steps.filter((s) => s.meca_aid_id === ma.id);
+    });
+  }
+
+  await attachVehicles(db, "meca_aid", mecaAids);
+  return localize(db, "meca_aid", mecaAids, locale);
+};
+
+const fetchErrorCodes = async (codes, user, locale) => {
+  if (codes.length === 0) return [];
+  const [errorCodes] = await db.execute(
+    `
+    SELECT ec.*, ecc.name as category_name, ecc.code_prefix, ecc.vehicle_system
+    FROM error_codes ec
+    LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
+    WHERE ${liveClause("ec")} AND ec.code IN (${placeholders(codes)})
+  `,
+    codes
+  );
+  await attachVehicles(db, "error_code", errorCodes);
+  return localize(db, "error_code", errorCodes, locale);
+};
+
+// Animation metadata only; files are downloaded separately
+const fetchAnimations = async (uuids, user, locale) => {
+  if (uuids.length === 0) return [];
+  const [animations] = await db.execute(
+    `SELECT * FROM learning_animations WHERE ${liveClause()} AND uuid IN (${placeholders(
+      uuids
+    )})`,
+    uuids
+  );
+  return localize(db, "animation", animations, locale);
+};
+
+// Synced collections keyed by their name in responses. Types that are
+// `orgScoped` may hold content private to an organization.
+const SYNC_TYPES = {
+  modules: {
+    entityType: "module",
+    keyName: "uuid",
+    fetch: fetchModules,
+    orgScoped: true,
+  },
+  mecaAids: {
+    entityType: "meca_aid",
+    keyName: "uuid",
+    fetch: fetchMecaAids,
+    orgScoped: true,
+  },
+  errorCodes: {
+    entityType: "error_code",
+    keyName: "code",
+    fetch: fetchErrorCodes,
+  },
+  animations: {
+    entityType: "animation",
+    keyName: "uuid",
+    fetch: fetchAnimations,
+  },
+};
+
+const toTombstones = (type, tombstones) =>
+  tombstones.map((t) => ({
+    [SYNC_TYPES[type].keyName]: t.key,
+    deletedAt: t.deletedAt,
+  }));
+
+// The keys among `keys` whose rows the user may see, so tombstones never
+// reveal another organization's content
+const visibleKeys = async (type, keys, user) => {
+  const config = SYNC_TYPES[type];
+  if (!config.orgScoped || keys.length === 0) return new Set(keys);
+
+  const { table, keyColumn } = ENTITY_TABLES[config.entityType];
+  const visibility = visibleTo(user, "organization_id");
+  const keyList = placeholders(keys);
+  const [rows] = await db.execute(
+    `SELECT ${keyColumn} as entity_key FROM ${table} WHERE ${keyColumn} IN (${keyList}) AND ${visibility.clause}`,
+    [...keys, ...visibility.params]
+  );
+  return new Set(rows.map((row) => row.entity_key));
+};
+
+// Fetch the upserted items of one type. Keys that come back empty (e.g.
+// unpublished since the cursor was taken) are sent as tombstones so devices
+// drop any copy they hold. Content private to another organization is left
+// out entirely.
+const fetchChanges = async (type, upserts, tombstones, user, locale) => {
+  const config = SYNC_TYPES[type];
+  const items = await config.fetch(upserts, user, locale);
+  const returned = new Set(items.map((item) => item[config.keyName]));
+  const hidden = upserts
+    .filter((key) => !returned.has(key))
+    .map((key) => ({ key, deletedAt: null }));
+
+  const removed = [...tombstones, ...hidden];
+  const visible = await visibleKeys(
+    type,
+    removed.map((t) => t.key),
+    user
+  );
+  return {
+    items,
+    tombstones: toTombstones(
+      type,
+      removed.filter((t) => visible.has(t.key))
+    ),
+  };
+};
+
+// Categories and settings are small and always sent in full
+const getReferenceData = async (locale) => {
+  const [moduleCategories] = await db.execute(
+    "SELECT * FROM module_categories WHERE is_active = true ORDER BY sort_order"
+  );
+  const [mecaAidCategories] = await db.execute(
+    "SELECT * FROM meca_aid_categories WHERE is_active = true ORDER BY sort_order"
+  );
+  const [errorCodeCategories] = await db.execute(
+    "SELECT * FROM error_code_categories ORDER BY code_prefix"
+  );
+  await localize(db, "module_category", moduleCategories, locale);
+  await localize(db, "meca_aid_category", mecaAidCategories, locale);
+  await localize(db, "error_code_category", errorCodeCategories, locale);
+  const [animationCategories] = await db.execute(
+    `SELECT DISTINCT category FROM learning_animations WHERE ${liveClause()} AND category IS NOT NULL ORDER BY category`
+  );
+
+  // Get app settings
+  const [settings] = await db.execute("SELECT * FROM app_settings");
+  const settingsObj = {};
+  settings.forEach((s) => {
+    settingsObj[s.setting_key] = s.setting_value;
+  });
+
+  return {
+    moduleCategories,
+    mecaAidCategories,
+    errorCodeCategories,
+    animationCategories: animationCategories.map((c) => c.category),
+    settings: settingsObj,
+  };
+};
+
+// Full sync - get all changes since the client's cursor in one response.
+// Large catalogs should use /start and /page instead. Content comes in the
+// negotiated locale; a device that switches language resyncs from cursor 0.
 router.get("/full", async (req, res, next) => {
   try {
-    const { lastSync } = req.query;
-    const sinceDate = lastSync ? new Date(lastSync) : new Date(0);
+    const fromCursor = await resolveCursor(req.query);
+    const toCursor = await getCurrentCursor(db);
+    const cursor = await getResumeCursor(db, toCursor);
+    const changes = await getChangesSince(db, fromCursor, toCursor);
 
-    // Get updated modules
-    const [modules] = await db.execute(
-      `
-      SELECT m.*, mc.name as category_name
-      FROM modules m
-      LEFT JOIN module_categories mc ON m.category_id = mc.id
-      WHERE m.is_active = true AND m.updated_at > ?
-    `,
-      [sinceDate]
-    );
+    const data = {};
+    const tombstones = {};
+    let itemsSynced = 0;
+
+    for (const [type, config] of Object.entries(SYNC_TYPES)) {
+      const bucket = changes[config.entityType];
+      const result = await fetchChanges(
+        type,
+        bucket.upserts,
+        bucket.tombstones,
+        req.user,
+        req.locale
+      );
+      data[type] = result.items;
+      tombstones[type] = result.tombstones;
+      itemsSynced += data[type].length + tombstones[type].length;
+    }
 
-    // Get updated meca aids
-    const [mecaAids] = await db.execute(
+    // Log sync
+    await db.execute(
       `
-      SELECT ma.*, mac.name as category_name
-      FROM meca_aids ma
-      LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
-      WHERE ma.is_active = true AND ma.updated_at > ?
+      INSERT INTO sync_logs (user_id, device_id, sync_type, items_synced, sync_cursor)
+      VALUES (?, ?, 'full', ?, ?)
     `,
-      [sinceDate]
+      [req.user.id, req.deviceId, itemsSynced, cursor]
     );
 
-    // Get meca aid steps for updated meca aids
-    if (mecaAids.length > 0) {
-      const mecaAidIds = mecaAids.map((m) => m.id);
-      const [steps] = await db.execute(
-        `SELECT * FROM meca_aid_steps WHERE meca_aid_id IN (${mecaAidIds.join(
-          ","
-        )}) ORDER BY meca_aid_id, step_number`
-      );
-      mecaAids.forEach((ma) => {
-        ma.steps = steps.filter((s) => s.meca_aid_id === ma.id);
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        tombstones,
+        ...(await getReferenceData(req.locale)),
+        progress: await getUserProgress(db, req.user),
+        locale: req.locale,
+        cursor,
+        syncedAt: new Date().toISOString(),
+        nextSyncRecommended: new Date(
+          Date.now() + 60 * 60 * 1000
+        ).toISOString(), // 1 hour
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Get categories
-    const [moduleCategories] = await db.execute(
-      "SELECT * FROM module_categories WHERE is_active = true ORDER BY sort_order"
-    );
-    const [mecaAidCategories] = await db.execute(
-      "SELECT * FROM meca_aid_categories WHERE is_active = true ORDER BY sort_order"
-    );
+// Start a paginated sync: snapshot the server cursor and hand out one
+// continuation token per entity type
+router.get("/start", async (req, res, next) => {
+  try {
+    const fromCursor = await resolveCursor(req.query);
+    const toCursor = await getCurrentCursor(db);
+    const cursor = await getResumeCursor(db, toCursor);
+    const counts = await countChangesSince(db, fromCursor, toCursor);
 
-    // Get app settings
-    const [settings] = await db.execute("SELECT * FROM app_settings");
-    const settingsObj = {};
-    settings.forEach((s) => {
-      settingsObj[s.setting_key] = s.setting_value;
+    const types = {};
+    let itemsPending = 0;
+    Object.entries(SYNC_TYPES).forEach(([type, config]) => {
+      const count = counts[config.entityType] || 0;
+      itemsPending += count;
+      types[type] = {
+        count,
+        pageToken:
+          count > 0
+            ? encodeToken({
+                type,
+                from: fromCursor,
+                to: toCursor,
+                cursor,
+                after: 0,
+              })
+            : null,
+      };
     });
 
     // Log sync
     await db.execute(
       `
-      INSERT INTO sync_logs (user_id, device_id, sync_type, items_synced)
-      VALUES (?, ?, 'full', ?)
+      INSERT INTO sync_logs (user_id, device_id, sync_type, items_synced, sync_cursor)
+      VALUES (?, ?, 'paged', ?, ?)
     `,
-      [req.user.id, req.deviceId, modules.length + mecaAids.length]
+      [req.user.id, req.deviceId, itemsPending, cursor]
     );
 
     res.json({
       success: true,
       data: {
-        modules,
-        mecaAids,
-        moduleCategories,
-        mecaAidCategories,
-        settings: settingsObj,
+        types,
+        ...(await getReferenceData(req.locale)),
+        progress: await getUserProgress(db, req.user),
+        locale: req.locale,
+        cursor,
         syncedAt: new Date().toISOString(),
-        nextSyncRecommended: new Date(
-          Date.now() + 60 * 60 * 1000
-        ).toISOString(), // 1 hour
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fetch one page for a continuation token. Tokens are stateless, so a client
+// that lost its connection resumes by resending the last token it processed.
+router.get("/page", async (req, res, next) => {
+  try {
+    const { token, limit = DEFAULT_PAGE_SIZE } = req.query;
+    const position = token ? decodeToken(token) : null;
+
+    if (!position || !SYNC_TYPES[position.type]) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid or missing page token" });
+    }
+
+    const pageSize = Math.min(
+      parseInt(limit) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const config = SYNC_TYPES[position.type];
+    const page = await getChangesPage(db, config.entityType, {
+      fromCursor: position.from,
+      toCursor: position.to,
+      after: position.after,
+      limit: pageSize,
+    });
+
+    const { items, tombstones } = await fetchChanges(
+      position.type,
+      page.upserts,
+      page.tombstones,
+      req.user,
+      req.locale
+    );
+
+    res.json({
+      success: true,
+      data: {
+        type: position.type,
+        items,
+        tombstones,
+        locale: req.locale,
+        nextPageToken: page.hasMore
+          ? encodeToken({ ...position, after: page.lastId })
+          : null,
+        // Tokens from before resume cursors existed carry only `to`
+        cursor: position.cursor !== undefined ? position.cursor : position.to,
       },
     });
   } catch (error) {
@@ -90,9 +394,9 @@ router.get("/full", async (req, res, next) => {
 // Check for updates (lightweight)
 router.get("/check", async (req, res, next) => {
   try {
-    const { lastSync } = req.query;
+    const { cursor, lastSync } = req.query;
 
-    if (!lastSync) {
+    if (cursor === undefined && !lastSync) {
       return res.json({
         success: true,
         data: {
@@ -102,28 +406,23 @@ router.get("/check", async (req, res, next) => {
       });
     }
 
-    const sinceDate = new Date(lastSync);
-
-    // Count updates
-    const [[modulesCount]] = await db.execute(
-      "SELECT COUNT(*) as count FROM modules WHERE is_active = true AND updated_at > ?",
-      [sinceDate]
-    );
-    const [[mecaAidsCount]] = await db.execute(
-      "SELECT COUNT(*) as count FROM meca_aids WHERE is_active = true AND updated_at > ?",
-      [sinceDate]
-    );
+    const fromCursor = await resolveCursor(req.query);
+    const toCursor = await getCurrentCursor(db);
 
-    const hasUpdates = modulesCount.count > 0 || mecaAidsCount.count > 0;
+    // Count changed entities (updates and deletions) per type
+    const counts = await countChangesSince(db, fromCursor, toCursor);
 
     res.json({
       success: true,
       data: {
-        hasUpdates,
+        hasUpdates: toCursor > fromCursor,
         updates: {
-          modules: modulesCount.count,
-          mecaAids: mecaAidsCount.count,
+          modules: counts.module || 0,
+          mecaAids: counts.meca_aid || 0,
+          errorCodes: counts.error_code || 0,
+          animations: counts.animation || 0,
         },
+        cursor: await getResumeCursor(db, toCursor),
         serverTime: new Date().toISOString(),
       },
     });
@@ -164,6 +463,7 @@ router.post("/activities", async (req, res, next) => {
     }
 
     let synced = 0;
+    const backdated = [];
     for (const activity of activities) {
       try {
         await db.execute(
@@ -184,10 +484,12 @@ router.post("/activities", async (req, res, next) => {
           ]
         );
         synced++;
+        if (activity.timestamp) backdated.push(new Date(activity.timestamp));
       } catch (e) {
         console.error("Failed to sync activity:", e);
       }
     }
+    await markStaleDays(db, backdated);
 
     res.json({
       success: true,
@@ -198,6 +500,103 @@ router.post("/activities", async (req, res, next) => {
   }
 });
 
+// Upload learning progress recorded offline. Each entry names its `type`
+// and `key` plus the fields of PUT /api/progress/:type/:key, with the
+// `recordedAt` time on the device; the merged state is returned.
+router.post("/progress", async (req, res, next) => {
+  try {
+    const { progress } = req.body;
+
+    if (!progress || !Array.isArray(progress)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Progress array required" });
+    }
+
+    const saved = [];
+    const failed = [];
+    for (const entry of progress) {
+      // Checked per entry so one malformed entry does not fail the batch
+      if (
+        !entry ||
+        typeof entry !== "object" ||
+        !Object.keys(PROGRESS_TYPES).includes(entry.type) ||
+        !["string", "number"].includes(typeof entry.key)
+      ) {
+        failed.push({
+          type: entry && entry.type,
+          key: entry && entry.key,
+          message: "Entry needs a known type and a key",
+        });
+        continue;
+      }
+
+      const { type, key } = entry;
+      const item = await findProgressItem(db, req.user, type, key);
+      if (!item) {
+        failed.push({ type, key, message: "Content not found" });
+        continue;
+      }
+
+      const reported = readProgressUpdate(type, entry, item);
+      if (reported.error) {
+        failed.push({ type, key, message: reported.error });
+        continue;
+      }
+      const update = await holdCompletion(
+        db,
+        req.user.id,
+        type,
+        item,
+        reported
+      );
+
+      let result;
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        result = await saveProgress(
+          connection,
+          req.user.id,
+          type,
+          item,
+          update
+        );
+        await connection.commit();
+        saved.push({ type, key, ...result });
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      if (result.newlyCompleted) {
+        await db.execute(
+          `INSERT INTO user_activities (user_id, device_id, activity_type, reference_id, reference_type, duration_seconds) VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            req.user.id,
+            req.deviceId,
+            `${type}_complete`,
+            item.id,
+            type,
+            result.time_spent_seconds || null,
+          ]
+        );
+        await advancePaths(db, req.user.id, type, item.id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${saved.length} of ${progress.length} progress entries synced`,
+      data: { saved, failed },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get last sync info
 router.get("/status", async (req, res, next) => {
   try {
@@ -0,0 +1,257 @@
+const express = require("express");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+} = require("../config/locales");
+const { canManage } = require("../utils/tenancy");
+const { recordChange } = require("../utils/changeLog");
+const { saveNewVersion } = require("../utils/revisions");
+const { isEditLocked, EDIT_LOCKED_MESSAGE } = require("../utils/workflow");
+const {
+  TRANSLATABLE_TYPES,
+  isTranslatableField,
+  completenessReport,
+} = require("../utils/translations");
+
+const router = express.Router();
+
+const TRANSLATED_LOCALES = SUPPORTED_LOCALES.filter(
+  (locale) => locale !== DEFAULT_LOCALE
+);
+
+// Load :type/:key into req.translatable if the caller may write that content
+const loadTranslatable = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    const config = TRANSLATABLE_TYPES[type];
+    if (!config) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Unknown content type" });
+    }
+
+    const key =
+      type === "error_code" ? req.params.key.toUpperCase() : req.params.key;
+    const [rows] = await db.execute(
+      `SELECT * FROM ${config.table} WHERE ${config.keyColumn} = ?`,
+      [key]
+    );
+
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Content not found" });
+    }
+
+    const row = rows[0];
+    if (
+      !canManage(
+        req.user,
+        config.orgScoped ? row.organization_id : null,
+        config.writePermission
+      )
+    ) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    req.translatable = { type, key, config, row };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List content languages
+router.get("/locales", (req, res) => {
+  res.json({
+    success: true,
+    data: { default: DEFAULT_LOCALE, supported: SUPPORTED_LOCALES },
+  });
+});
+
+// Admin: Translation completeness per locale and content type
+router.get(
+  "/completeness",
+  requirePermission("content.write"),
+  async (req, res, next) => {
+    try {
+      const { locale, type, limit = 50 } = req.query;
+
+      if (locale && !TRANSLATED_LOCALES.includes(locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `Locale must be one of: ${TRANSLATED_LOCALES.join(", ")}`,
+        });
+      }
+      if (type && !TRANSLATABLE_TYPES[type]) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Unknown content type" });
+      }
+
+      const locales = {};
+      for (const reportLocale of locale ? [locale] : TRANSLATED_LOCALES) {
+        locales[reportLocale] = {};
+        for (const entityType of type
+          ? [type]
+          : Object.keys(TRANSLATABLE_TYPES)) {
+          locales[reportLocale][entityType] = await completenessReport(
+            db,
+            entityType,
+            reportLocale,
+            parseInt(limit) || 50
+          );
+        }
+      }
+
+      res.json({
+        success: true,
+        data: { defaultLocale: DEFAULT_LOCALE, locales },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the source text of an item and all its translations
+router.get("/:type/:key", loadTranslatable, async (req, res, next) => {
+  try {
+    const { type, config, row } = req.translatable;
+
+    const source = {};
+    config.fields.forEach((field) => {
+      source[field] = row[field];
+    });
+    if (config.hasSteps) {
+      const [steps] = await db.execute(
+        "SELECT step_number, title, instruction, question, warning_text, tip_text, options FROM meca_aid_steps WHERE meca_aid_id = ? ORDER BY step_number",
+        [row.id]
+      );
+      source.steps = steps;
+    }
+
+    const [rows] = await db.execute(
+      "SELECT locale, field, value, updated_at FROM content_translations WHERE entity_type = ? AND entity_id = ? ORDER BY locale, field",
+      [type, row.id]
+    );
+    const translations = {};
+    rows.forEach((t) => {
+      translations[t.locale] = translations[t.locale] || {};
+      translations[t.locale][t.field] = t.value;
+    });
+
+    res.json({
+      success: true,
+      data: { defaultLocale: DEFAULT_LOCALE, source, translations },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set translations for one locale. `fields` maps field names to text; null
+// or an empty string removes that translation.
+router.put("/:type/:key/:locale", loadTranslatable, async (req, res, next) => {
+  try {
+    const { type, key, config, row } = req.translatable;
+    const { locale } = req.params;
+    const { fields } = req.body;
+
+    if (!isSupportedLocale(locale) || locale === DEFAULT_LOCALE) {
+      return res.status(400).json({
+        success: false,
+        message: `Locale must be one of: ${TRANSLATED_LOCALES.join(", ")}`,
+      });
+    }
+
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Fields object required" });
+    }
+
+    const invalid = Object.keys(fields).filter(
+      (field) => !isTranslatableField(type, field)
+    );
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Not translatable: ${invalid.join(", ")}`,
+      });
+    }
+
+    if (isEditLocked(req.user, row)) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    let updated = 0;
+    let removed = 0;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      for (const [field, value] of Object.entries(fields)) {
+        if (value === null || value === "") {
+          const [result] = await connection.execute(
+            "DELETE FROM content_translations WHERE entity_type = ? AND entity_id = ? AND locale = ? AND field = ?",
+            [type, row.id, locale, field]
+          );
+          removed += result.affectedRows;
+        } else {
+          await connection.execute(
+            `
+            INSERT INTO content_translations (entity_type, entity_id, locale, field, value, updated_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+              value = VALUES(value),
+              updated_by = VALUES(updated_by)
+          `,
+            [type, row.id, locale, field, String(value), req.user.id]
+          );
+          updated++;
+        }
+      }
+
+      // Touch synced content so devices fetch the new text
+      if (config.changeType) {
+        await connection.execute(
+          `UPDATE ${config.table} SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [row.id]
+        );
+        await recordChange(connection, config.changeType, key);
+      }
+      // Modules are versioned, so downloaded copies are flagged outdated
+      if (type === "module") {
+        await saveNewVersion(connection, row.id, {
+          userId: req.user.id,
+          changeNote: `Translations updated: ${locale}`,
+        });
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({
+      success: true,
+      message: "Translations saved",
+      data: { locale, updated, removed },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,631 @@
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const { requirePermission } = require("../middleware/auth");
+const { visibleTo, canManage } = require("../utils/tenancy");
+const { ENTITY_TABLES, recordChange } = require("../utils/changeLog");
+const {
+  EDITORIAL_TYPES,
+  liveClause,
+  isEditLocked,
+  EDIT_LOCKED_MESSAGE,
+} = require("../utils/workflow");
+const {
+  FITTED_TYPES,
+  VEHICLE_COLUMNS,
+  linkedToVehicle,
+  attachVehicles,
+} = require("../utils/fitment");
+const { localize } = require("../utils/translations");
+const { decodeVin } = require("../utils/vin");
+
+const router = express.Router();
+
+// The vehicle catalog is shared by all organizations
+const requireCatalogWrite = requirePermission("content.write");
+
+const MAX_PAGE_SIZE = 100;
+
+// Most content of each type returned for a decoded VIN
+const DECODE_CONTENT_LIMIT = 50;
+
+const vehicleRules = [
+  body("make").trim().notEmpty().withMessage("Make is required"),
+  body("model").trim().notEmpty().withMessage("Model is required"),
+  body("yearFrom")
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage("yearFrom must be a year"),
+  body("yearTo")
+    .optional({ nullable: true })
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage("yearTo must be a year")
+    .custom((value, { req }) => parseInt(value) >= parseInt(req.body.yearFrom))
+    .withMessage("yearTo must not be before yearFrom"),
+  body("engineCode").optional({ nullable: true }).trim(),
+  body("vinPrefix")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-HJ-NPR-Z0-9]{3,8}$/)
+    .withMessage("vinPrefix must be the first 3 to 8 characters of a VIN"),
+];
+
+// Touch the content linked to a vehicle and log it, so devices re-sync
+// fitment after the vehicle changes
+const resyncLinkedContent = async (executor, vehicleId) => {
+  const [links] = await executor.execute(
+    "SELECT entity_type, entity_id FROM content_vehicles WHERE vehicle_id = ?",
+    [vehicleId]
+  );
+
+  for (const link of links) {
+    const { table, keyColumn } = ENTITY_TABLES[link.entity_type];
+    const [rows] = await executor.execute(
+      `SELECT ${keyColumn} as entity_key FROM ${table} WHERE id = ?`,
+      [link.entity_id]
+    );
+    if (rows.length === 0) continue;
+
+    await executor.execute(
+      `UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [link.entity_id]
+    );
+    await recordChange(executor, link.entity_type, rows[0].entity_key);
+  }
+};
+
+// Catalog vehicles for a decoded VIN: those with the longest matching VIN
+// prefix, else every model of the make built that model year
+const matchCatalog = async (decoded) => {
+  const yearClause =
+    "v.year_from <= ? AND (v.year_to IS NULL OR v.year_to >= ?)";
+  const yearParams = [decoded.modelYear, decoded.modelYear];
+
+  const [byPrefix] = await db.execute(
+    `
+    SELECT ${VEHICLE_COLUMNS}
+    FROM vehicles v
+    WHERE v.is_active = true AND ? LIKE CONCAT(v.vin_prefix, '%')
+      AND ${yearClause}
+    ORDER BY CHAR_LENGTH(v.vin_prefix) DESC, v.model, v.engine_code
+  `,
+    [decoded.vin, ...yearParams]
+  );
+  if (byPrefix.length > 0) {
+    const longest = byPrefix[0].vin_prefix.length;
+    return {
+      matchedBy: "vin_prefix",
+      vehicles: byPrefix.filter((v) => v.vin_prefix.length === longest),
+    };
+  }
+
+  if (!decoded.make) return { matchedBy: null, vehicles: [] };
+
+  const [byMake] = await db.execute(
+    `
+    SELECT ${VEHICLE_COLUMNS}
+    FROM vehicles v
+    WHERE v.is_active = true AND v.make = ? AND ${yearClause}
+    ORDER BY v.model, v.engine_code
+  `,
+    [decoded.make, ...yearParams]
+  );
+  return {
+    matchedBy: byMake.length > 0 ? "make_year" : null,
+    vehicles: byMake,
+  };
+};
+
+// Vehicle filters for the decoded model year: one per vehicle matched by
+// VIN prefix, or just the make when matched by make and year
+const filtersFor = (decoded, { matchedBy, vehicles }) => {
+  const year = { yearFrom: decoded.modelYear, yearTo: decoded.modelYear };
+  if (matchedBy === "make_year") return [{ make: decoded.make, ...year }];
+  return vehicles.map((v) => ({
+    make: v.make,
+    model: v.model,
+    engine: v.engine_code,
+    ...year,
+  }));
+};
+
+// SQL condition on content linked to a vehicle matching any of the filters.
+// Generic content is left out: it fits every car.
+const linkedToAny = (filters, entityType, idColumn) => {
+  const linked = filters.map((filter) =>
+    linkedToVehicle(filter, entityType, idColumn)
+  );
+  return {
+    clause: `(${linked.map((l) => l.clause).join(" OR ")})`,
+    params: linked.flatMap((l) => l.params),
+  };
+};
+
+// Error codes, modules and Meca Aids linked to vehicles matching the filters
+const findVehicleContent = async (user, locale, filters) => {
+  const content = { errorCodes: [], modules: [], mecaAids: [] };
+  if (filters.length === 0) return content;
+
+  const errorCodeFit = linkedToAny(filters, "error_code", "ec.id");
+  [content.errorCodes] = await db.execute(
+    `
+    SELECT ec.id, ec.category_id, ec.code, ec.title, ec.severity, ecc.name as category_name
+    FROM error_codes ec
+    LEFT JOIN error_code_categories ecc ON ec.category_id = ecc.id
+    WHERE ${liveClause("ec")} AND ${errorCodeFit.clause}
+    ORDER BY ec.search_count DESC, ec.code
+    LIMIT ?
+  `,
+    [...errorCodeFit.params, DECODE_CONTENT_LIMIT]
+  );
+
+  const moduleVisibility = visibleTo(user, "m.organization_id");
+  const moduleFit = linkedToAny(filters, "module", "m.id");
+  [content.modules] = await db.execute(
+    `
+    SELECT m.id, m.category_id, m.uuid, m.title, m.description, m.thumbnail_url, mc.name as category_name
+    FROM modules m
+    LEFT JOIN module_categories mc ON m.category_id = mc.id
+    WHERE ${liveClause("m")} AND ${moduleVisibility.clause}
+      AND ${moduleFit.clause}
+    ORDER BY m.priority DESC, m.updated_at DESC
+    LIMIT ?
+  `,
+    [...moduleVisibility.params, ...moduleFit.params, DECODE_CONTENT_LIMIT]
+  );
+
+  const mecaAidVisibility = visibleTo(user, "ma.organization_id");
+  const mecaAidFit = linkedToAny(filters, "meca_aid", "ma.id");
+  [content.mecaAids] = await db.execute(
+    `
+    SELECT ma.id, ma.category_id, ma.uuid, ma.title, ma.problem_description, ma.difficulty_level, mac.name as category_name
+    FROM meca_aids ma
+    LEFT JOIN meca_aid_categories mac ON ma.category_id = mac.id
+    WHERE ${liveClause("ma")} AND ${mecaAidVisibility.clause}
+      AND ${mecaAidFit.clause}
+    ORDER BY ma.updated_at DESC
+    LIMIT ?
+  `,
+    [...mecaAidVisibility.params, ...mecaAidFit.params, DECODE_CONTENT_LIMIT]
+  );
+
+  await localize(db, "error_code", content.errorCodes, locale);
+  await localize(db, "module", content.modules, locale);
+  await localize(db, "meca_aid", content.mecaAids, locale);
+  return content;
+};
+
+// Load :type/:key into req.fitted if the caller may write that content
+const loadFitted = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    if (!FITTED_TYPES.includes(type)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Unknown content type" });
+    }
+
+    const { table, keyColumn } = ENTITY_TABLES[type];
+    const key =
+      type === "error_code" ? req.params.key.toUpperCase() : req.params.key;
+    const [rows] = await db.execute(
+      `SELECT * FROM ${table} WHERE ${keyColumn} = ? AND is_active = true`,
+      [key]
+    );
+
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Content not found" });
+    }
+
+    const row = rows[0];
+    const { writePermission, orgScoped } = EDITORIAL_TYPES[type];
+    if (
+      !canManage(
+        req.user,
+        orgScoped ? row.organization_id : null,
+        writePermission
+      )
+    ) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Insufficient permissions" });
+    }
+
+    req.fitted = { type, key, table, row };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List catalog vehicles, optionally narrowed to a make, model or year
+router.get("/", async (req, res, next) => {
+  try {
+    const { q, make, model, year, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+    const offset = (parseInt(page) - 1) * pageSize;
+
+    let where = "WHERE v.is_active = true";
+    const params = [];
+
+    if (q) {
+      where += " AND CONCAT_WS(' ', v.make, v.model, v.engine_code) LIKE ?";
+      params.push(`%${q}%`);
+    }
+    if (make) {
+      where += " AND v.make = ?";
+      params.push(make);
+    }
+    if (model) {
+      where += " AND v.model = ?";
+      params.push(model);
+    }
+    if (year) {
+      where +=
+        " AND v.year_from <= ? AND (v.year_to IS NULL OR v.year_to >= ?)";
+      params.push(parseInt(year), parseInt(year));
+    }
+
+    const [vehicles] = await db.execute(
+      `
+      SELECT ${VEHICLE_COLUMNS}
+      FROM vehicles v
+      ${where}
+      ORDER BY v.make, v.model, v.year_from, v.engine_code
+      LIMIT ? OFFSET ?
+    `,
+      [...params, pageSize, offset]
+    );
+    const [[{ total }]] = await db.execute(
+      `SELECT COUNT(*) as total FROM vehicles v ${where}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        vehicles,
+        pagination: {
+          page: parseInt(page),
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List makes in the catalog
+router.get("/makes", async (req, res, next) => {
+  try {
+    const [makes] = await db.execute(
+      "SELECT DISTINCT make FROM vehicles WHERE is_active = true ORDER BY make"
+    );
+    res.json({ success: true, data: makes.map((m) => m.make) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List models of a make
+router.get("/models", async (req, res, next) => {
+  try {
+    const { make } = req.query;
+
+    if (!make) {
+      return res.status(400).json({ success: false, message: "Make required" });
+    }
+
+    const [models] = await db.execute(
+      `
+      SELECT model, MIN(year_from) as year_from,
+        IF(COUNT(year_to) = COUNT(*), MAX(year_to), NULL) as year_to
+      FROM vehicles
+      WHERE make = ? AND is_active = true
+      GROUP BY model
+      ORDER BY model
+    `,
+      [make]
+    );
+    res.json({ success: true, data: models });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decode a VIN, match it to the catalog and list the error codes, modules
+// and Meca Aids for that vehicle
+router.get("/decode/:vin", async (req, res, next) => {
+  try {
+    const decoded = decodeVin(req.params.vin);
+    if (decoded.error) {
+      return res.status(400).json({ success: false, message: decoded.error });
+    }
+
+    const match = decoded.modelYear
+      ? await matchCatalog(decoded)
+      : { matchedBy: null, vehicles: [] };
+    const { matchedBy, vehicles } = match;
+    const content = await findVehicleContent(
+      req.user,
+      req.locale,
+      filtersFor(decoded, match)
+    );
+
+    await db.execute(
+      `INSERT INTO user_activities (user_id, device_id, activity_type, metadata) VALUES (?, ?, 'vin_decode', ?)`,
+      [
+        req.user.id,
+        req.deviceId,
+        JSON.stringify({
+          wmi: decoded.wmi,
+          modelYear: decoded.modelYear,
+          matchedBy,
+          vehicles: vehicles.length,
+        }),
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: { decoded, matchedBy, vehicles, ...content },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the vehicles a module, Meca Aid or error code applies to. An empty
+// list means it fits every vehicle.
+router.get("/fitment/:type/:key", loadFitted, async (req, res, next) => {
+  try {
+    const { type, row } = req.fitted;
+    await attachVehicles(db, type, [row]);
+    res.json({ success: true, data: row.vehicles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the vehicles a module, Meca Aid or error code applies to
+router.put("/fitment/:type/:key", loadFitted, async (req, res, next) => {
+  try {
+    const { type, key, table, row } = req.fitted;
+    const { vehicles } = req.body;
+
+    if (!Array.isArray(vehicles)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Vehicles array required" });
+    }
+
+    if (isEditLocked(req.user, row)) {
+      return res
+        .status(409)
+        .json({ success: false, message: EDIT_LOCKED_MESSAGE });
+    }
+
+    const uuids = [...new Set(vehicles.map(String))];
+    let vehicleRows = [];
+    if (uuids.length > 0) {
+      [vehicleRows] = await db.execute(
+        `SELECT id, uuid FROM vehicles WHERE is_active = true AND uuid IN (${uuids
+          .map(() => "?")
+          .join(", ")})`,
+        uuids
+      );
+    }
+
+    if (vehicleRows.length !== uuids.length) {
+      const found = new Set(vehicleRows.map((v) => v.uuid));
+      return res.status(400).json({
+        success: false,
+        message: `Unknown vehicle(s): ${uuids
+          .filter((uuid) => !found.has(uuid))
+          .join(", ")}`,
+      });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        "DELETE FROM content_vehicles WHERE entity_type = ? AND entity_id = ?",
+        [type, row.id]
+      );
+      for (const vehicle of vehicleRows) {
+        await connection.execute(
+          "INSERT INTO content_vehicles (entity_type, entity_id, vehicle_id) VALUES (?, ?, ?)",
+          [type, row.id, vehicle.id]
+        );
+      }
+
+      // Touch the content so devices re-sync its fitment
+      await connection.execute(
+        `UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [row.id]
+      );
+      await recordChange(connection, type, key);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await attachVehicles(db, type, [row]);
+    res.json({
+      success: true,
+      message: "Fitment updated",
+      data: row.vehicles,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a catalog vehicle
+router.get("/:uuid", async (req, res, next) => {
+  try {
+    const [vehicles] = await db.execute(
+      `SELECT ${VEHICLE_COLUMNS} FROM vehicles v WHERE v.uuid = ? AND v.is_active = true`,
+      [req.params.uuid]
+    );
+
+    if (vehicles.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Vehicle not found" });
+    }
+
+    res.json({ success: true, data: vehicles[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Add a vehicle to the catalog
+router.post("/", requireCatalogWrite, vehicleRules, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { make, model, yearFrom, yearTo, engineCode, vinPrefix } = req.body;
+    const uuid = uuidv4();
+
+    const [result] = await db.execute(
+      `
+      INSERT INTO vehicles (uuid, make, model, year_from, year_to, engine_code, vin_prefix)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        uuid,
+        make,
+        model,
+        parseInt(yearFrom),
+        yearTo ? parseInt(yearTo) : null,
+        engineCode || null,
+        vinPrefix || null,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Vehicle created",
+      data: { id: result.insertId, uuid },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Update a catalog vehicle. Content linked to it is re-synced, since
+// its fitment changes with the vehicle.
+router.put(
+  "/:uuid",
+  requireCatalogWrite,
+  vehicleRules,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { make, model, yearFrom, yearTo, engineCode, vinPrefix } = req.body;
+
+      const [vehicles] = await db.execute(
+        "SELECT id FROM vehicles WHERE uuid = ? AND is_active = true",
+        [req.params.uuid]
+      );
+
+      if (vehicles.length === 0) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Vehicle not found" });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        await connection.execute(
+          "UPDATE vehicles SET make = ?, model = ?, year_from = ?, year_to = ?, engine_code = ?, vin_prefix = ? WHERE id = ?",
+          [
+            make,
+            model,
+            parseInt(yearFrom),
+            yearTo ? parseInt(yearTo) : null,
+            engineCode || null,
+            vinPrefix || null,
+            vehicles[0].id,
+          ]
+        );
+        await resyncLinkedContent(connection, vehicles[0].id);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      res.json({ success: true, message: "Vehicle updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin: Remove a vehicle from the catalog. Content linked only to removed
+// vehicles no longer matches any vehicle filter.
+router.delete("/:uuid", requireCatalogWrite, async (req, res, next) => {
+  try {
+    const [vehicles] = await db.execute(
+      "SELECT id FROM vehicles WHERE uuid = ? AND is_active = true",
+      [req.params.uuid]
+    );
+
+    if (vehicles.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Vehicle not found" });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        "UPDATE vehicles SET is_active = false WHERE id = ?",
+        [vehicles[0].id]
+      );
+      await resyncLinkedContent(connection, vehicles[0].id);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({ success: true, message: "Vehicle deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,6 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const compression = require("compression");
 const rateLimit = require("express-rate-limit");
-const path = require("path");
 
 const authRoutes = require("./routes/auth.routes");
 const moduleRoutes = require("./routes/module.routes");
@@ -14,9 +13,24 @@ const animationRoutes = require("./routes/animation.routes");
 const errorCodeRoutes = require("./routes/errorCode.routes");
 const activityRoutes = require("./routes/activity.routes");
 const syncRoutes = require("./routes/sync.routes");
+const searchRoutes = require("./routes/search.routes");
+const organizationRoutes = require("./routes/organization.routes");
+const roleRoutes = require("./routes/role.routes");
+const adminUserRoutes = require("./routes/adminUser.routes");
+const editorialRoutes = require("./routes/editorial.routes");
+const translationRoutes = require("./routes/translation.routes");
+const vehicleRoutes = require("./routes/vehicle.routes");
+const progressRoutes = require("./routes/progress.routes");
+const learningPathRoutes = require("./routes/learningPath.routes");
+const certificateRoutes = require("./routes/certificate.routes");
+const analyticsRoutes = require("./routes/analytics.routes");
 
 const errorHandler = require("./middleware/errorHandler");
 const { authenticateToken } = require("./middleware/auth");
+const { negotiateLocale } = require("./middleware/locale");
+const { UPLOADS_DIR } = require("./config/storage");
+const { startPublishScheduler } = require("./utils/publishScheduler");
+const { startAnalyticsRollup } = require("./utils/analyticsRollup");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -34,6 +48,7 @@ const corsOptions = {
     "Authorization",
     "X-Device-ID",
     "X-App-Version",
+    "Accept-Language",
   ],
   credentials: true,
 };
@@ -61,8 +76,11 @@ if (process.env.NODE_ENV !== "production") {
   app.use(morgan("combined"));
 }
 
+// Content Language
+app.use("/api/", negotiateLocale);
+
 // Static Files
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+app.use("/uploads", express.static(UPLOADS_DIR));
 
 // Health Check
 app.get("/health", (req, res) => {
@@ -77,6 +95,17 @@ app.use("/api/animations", authenticateToken, animationRoutes);
 app.use("/api/error-codes", authenticateToken, errorCodeRoutes);
 app.use("/api/activities", authenticateToken, activityRoutes);
 app.use("/api/sync", authenticateToken, syncRoutes);
+app.use("/api/search", authenticateToken, searchRoutes);
+app.use("/api/organizations", authenticateToken, organizationRoutes);
+app.use("/api/roles", authenticateToken, roleRoutes);
+app.use("/api/admin/users", authenticateToken, adminUserRoutes);
+app.use("/api/editorial", authenticateToken, editorialRoutes);
+app.use("/api/translations", authenticateToken, translationRoutes);
+app.use("/api/vehicles", authenticateToken, vehicleRoutes);
+app.use("/api/progress", authenticateToken, progressRoutes);
+app.use("/api/learning-paths", authenticateToken, learningPathRoutes);
+app.use("/api/certificates", certificateRoutes);
+app.use("/api/analytics", authenticateToken, analyticsRoutes);
 
 // API Documentation
 app.get("/api", (req, res) => {
@@ -86,11 +115,23 @@ app.get("/api", (req, res) => {
     endpoints: {
       auth: "/api/auth",
       modules: "/api/modules",
+      quizzes: "/api/modules/:uuid/quiz",
       mecaAid: "/api/meca-aid",
       animations: "/api/animations",
       errorCodes: "/api/error-codes",
       activities: "/api/activities",
       sync: "/api/sync",
+      search: "/api/search",
+      organizations: "/api/organizations",
+      roles: "/api/roles",
+      adminUsers: "/api/admin/users",
+      editorial: "/api/editorial",
+      translations: "/api/translations",
+      vehicles: "/api/vehicles",
+      progress: "/api/progress",
+      learningPaths: "/api/learning-paths",
+      certificates: "/api/certificates",
+      analytics: "/api/analytics",
     },
   });
 });
@@ -108,6 +149,8 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api`);
   console.log(`💊 Health Check: http://localhost:${PORT}/health`);
+  startPublishScheduler();
+  startAnalyticsRollup();
 });
 
 module.exports = app;
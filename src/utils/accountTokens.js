@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { encodeToken, decodeToken } = require("./syncToken");
+const { sendMail } = require("./mailer");
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+  email_verification:
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a signed token for the purpose, replacing any unused earlier one
+const createAccountToken = async (executor, userId, purpose) => {
+  await executor.execute(
+    "UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+    [userId, purpose]
+  );
+
+  const token = encodeToken({
+    purpose,
+    nonce: crypto.randomBytes(16).toString("base64url"),
+  });
+  await executor.execute(
+    "INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)",
+    [
+      userId,
+      purpose,
+      hashToken(token),
+      new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+    ]
+  );
+  return token;
+};
+
+// Mark the token used and return its user id, or null if it is forged,
+// meant for another purpose, expired or already used
+const consumeAccountToken = async (executor, token, purpose) => {
+  const payload = decodeToken(token);
+  if (!payload || payload.purpose !== purpose) return null;
+
+  const [rows] = await executor.execute(
+    "SELECT id, user_id FROM user_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()",
+    [hashToken(token), purpose]
+  );
+  if (rows.length === 0) return null;
+
+  // Guard against the same token being redeemed twice concurrently
+  const [result] = await executor.execute(
+    "UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [rows[0].id]
+  );
+  return result.affectedRows === 1 ? rows[0].user_id : null;
+};
+
+const appLink = (route, token) =>
+  `${process.env.APP_URL || "http://localhost:3000"}/${route}?token=${token}`;
+
+const sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address by opening this link:",
+      appLink("verify-email", token),
+      "",
+      `The link expires in ${TOKEN_TTL_MINUTES.email_verification / 60} hours.`,
+    ].join("\n"),
+  });
+
+const sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Someone asked to reset the password for your account. If it was you, open this link:",
+      appLink("reset-password", token),
+      "",
+      `The link expires in ${TOKEN_TTL_MINUTES.password_reset} minutes. If you did not ask for a reset, you can ignore this email.`,
+    ].join("\n"),
+  });
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,272 @@
+const { manageableBy } = require("./tenancy");
+const { ENTITY_TABLES } = require("./changeLog");
+const { PROGRESS_TYPES } = require("./progress");
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MAX_ROWS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%x-W%v",
+  month: "%Y-%m",
+};
+
+// Activity counted as a "use" of each content type, unless one is asked for
+const CONTENT_ACTIVITIES = {
+  module: "module_view",
+  meca_aid: "meca_aid_access",
+  animation: "animation_view",
+  error_code: "error_code_search",
+};
+
+const DEVICE_DIMENSIONS = {
+  app_version: "d.app_version",
+  os_version: "d.os_version",
+  device_model: "d.device_model",
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Reporting period from `from` and `to` (YYYY-MM-DD, inclusive). Defaults to
+// the last 30 days.
+const readRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: "from and to must be dates (YYYY-MM-DD)" };
+  }
+  if (from > to) return { error: "from must not be after to" };
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The period may span at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from: formatDay(from), to: formatDay(to) };
+};
+
+// Limit rows to the organizations whose analytics the user may read,
+// optionally narrowed to one of them
+const scopeFor = (user, query, column) => {
+  const scope = manageableBy(user, column, "analytics.read");
+  if (!query.organizationId) return scope;
+  return {
+    clause: `${scope.clause} AND ${column} = ?`,
+    params: [...scope.params, parseInt(query.organizationId) || 0],
+  };
+};
+
+const limitOf = (query, fallback) =>
+  Math.min(parseInt(query.limit) || fallback, MAX_ROWS);
+
+// Daily, weekly (ISO) or monthly active users and their event counts
+const activeUsers = async (executor, user, query) => {
+  const range = readRange(query);
+  if (range.error) return range;
+  const interval = query.interval || "day";
+  if (!PERIOD_FORMATS[interval]) {
+    return { error: "interval must be one of: day, week, month" };
+  }
+  const scope = scopeFor(user, query, "organization_id");
+
+  const [rows] = await executor.execute(
+    `
+    SELECT DATE_FORMAT(day, '${PERIOD_FORMATS[interval]}') as period,
+      COUNT(DISTINCT user_id) as active_users,
+      CAST(SUM(events) AS UNSIGNED) as events
+    FROM analytics_daily_users
+    WHERE day BETWEEN ? AND ? AND ${scope.clause}
+    GROUP BY period
+    ORDER BY period
+  `,
+    [range.from, range.to, ...scope.params]
+  );
+  return { rows };
+};
+
+// Events per activity type with the average time spent, from the
+// duration_seconds of the events that report one
+const activityTotals = async (executor, user, query) => {
+  const range = readRange(query);
+  if (range.error) return range;
+  const scope = scopeFor(user, query, "organization_id");
+
+  const [rows] = await executor.execute(
+    `
+    SELECT activity_type,
+      CAST(SUM(events) AS UNSIGNED) as events,
+      CAST(SUM(users) AS UNSIGNED) as user_days,
+      CAST(SUM(duration_seconds) AS UNSIGNED) as total_duration_seconds,
+      CAST(SUM(duration_seconds) / NULLIF(SUM(timed_events), 0) AS UNSIGNED) as avg_duration_seconds
+    FROM analytics_daily_activity
+    WHERE day BETWEEN ? AND ? AND ${scope.clause}
+    GROUP BY activity_type
+    ORDER BY events DESC
+  `,
+    [range.from, range.to, ...scope.params]
+  );
+  return { rows };
+};
+
+// Most used content of a type, e.g. the most viewed modules or, with
+// activity=module_complete, the most completed ones
+const topContent = async (executor, user, query) => {
+  const range = readRange(query);
+  if (range.error) return range;
+  const type = query.type || "module";
+  if (!CONTENT_ACTIVITIES[type]) {
+    return {
+      error: `type must be one of: ${Object.keys(CONTENT_ACTIVITIES).join(
+        ", "
+      )}`,
+    };
+  }
+  const { table, keyColumn } = ENTITY_TABLES[type];
+  const activity = query.activity || CONTENT_ACTIVITIES[type];
+  const scope = scopeFor(user, query, "organization_id");
+
+  const [rows] = await executor.execute(
+    `
+    SELECT t.${keyColumn} as content_key, t.title, r.events, r.user_days, r.avg_duration_seconds
+    FROM (
+      SELECT reference_id,
+        CAST(SUM(events) AS UNSIGNED) as events,
+        CAST(SUM(users) AS UNSIGNED) as user_days,
+        CAST(SUM(duration_seconds) / NULLIF(SUM(timed_events), 0) AS UNSIGNED) as avg_duration_seconds
+      FROM analytics_daily_content
+      WHERE reference_type = ? AND activity_type = ?
+        AND day BETWEEN ? AND ? AND ${scope.clause}
+      GROUP BY reference_id
+      ORDER BY events DESC
+      LIMIT ?
+    ) r
+    JOIN ${table} t ON t.id = r.reference_id
+    ORDER BY r.events DESC
+  `,
+    [type, activity, range.from, range.to, ...scope.params, limitOf(query, 20)]
+  );
+  return { rows };
+};
+
+// How far learners who started content in the period got: started, past
+// halfway, completed and, for modules with a quiz, passed it. Read from
+// learning_progress, which holds one row per learner and item.
+const completionFunnel = async (executor, user, query) => {
+  const range = readRange(query);
+  if (range.error) return range;
+  const type = query.type || "module";
+  if (!Object.hasOwn(PROGRESS_TYPES, type)) {
+    return {
+      error: `type must be one of: ${Object.keys(PROGRESS_TYPES).join(", ")}`,
+    };
+  }
+  const { table, keyColumn } = PROGRESS_TYPES[type];
+  const scope = scopeFor(user, query, "u.organization_id");
+
+  let where = `lp.entity_type = ? AND lp.started_at >= ? AND lp.started_at < DATE_ADD(?, INTERVAL 1 DAY) AND ${scope.clause}`;
+  const params = [type, range.from, range.to, ...scope.params];
+  if (query.key) {
+    where += ` AND lp.entity_id = (SELECT id FROM ${table} WHERE ${keyColumn} = ?)`;
+    params.push(query.key);
+  }
+
+  const [[totals]] = await executor.execute(
+    `
+    SELECT COUNT(*) as started,
+      COALESCE(SUM(lp.progress_percent >= 50), 0) as halfway,
+      COUNT(lp.completed_at) as completed,
+      COALESCE(SUM(EXISTS (
+        SELECT 1 FROM quiz_attempts qa
+        JOIN module_quizzes q ON qa.quiz_id = q.id
+        WHERE lp.entity_type = 'module' AND q.module_id = lp.entity_id
+          AND qa.user_id = lp.user_id AND qa.passed = true
+      )), 0) as quiz_passed
+    FROM learning_progress lp
+    JOIN users u ON lp.user_id = u.id
+    WHERE ${where}
+  `,
+    params
+  );
+
+  const stages = ["started", "halfway", "completed"];
+  if (type === "module") stages.push("quiz_passed");
+  const started = Number(totals.started);
+
+  return {
+    rows: stages.map((stage) => ({
+      stage,
+      users: Number(totals[stage]),
+      percent_of_started:
+        started > 0 ? Math.round((Number(totals[stage]) / started) * 100) : 0,
+    })),
+  };
+};
+
+// Devices active in the last `activeDays` days by app version, OS version
+// or model
+const deviceBreakdown = async (executor, user, query) => {
+  const dimension = query.dimension || "app_version";
+  if (!DEVICE_DIMENSIONS[dimension]) {
+    return {
+      error: `dimension must be one of: ${Object.keys(DEVICE_DIMENSIONS).join(
+        ", "
+      )}`,
+    };
+  }
+  const activeDays = Math.min(
+    parseInt(query.activeDays) || DEFAULT_RANGE_DAYS,
+    MAX_RANGE_DAYS
+  );
+  const scope = scopeFor(user, query, "u.organization_id");
+
+  const [rows] = await executor.execute(
+    `
+    SELECT COALESCE(${DEVICE_DIMENSIONS[dimension]}, 'unknown') as value,
+      COUNT(*) as devices, COUNT(DISTINCT d.user_id) as users
+    FROM devices d
+    JOIN users u ON d.user_id = u.id
+    WHERE d.is_active = true
+      AND d.last_active_at >= NOW() - INTERVAL ? DAY
+      AND ${scope.clause}
+    GROUP BY value
+    ORDER BY devices DESC
+    LIMIT ?
+  `,
+    [activeDays, ...scope.params, limitOf(query, MAX_ROWS)]
+  );
+  return { rows };
+};
+
+const REPORTS = {
+  "active-users": activeUsers,
+  activity: activityTotals,
+  "top-content": topContent,
+  funnel: completionFunnel,
+  devices: deviceBreakdown,
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => csvValue(row[c])).join(",")),
+  ].join("\n");
+};
+
+module.exports = { REPORTS, readRange, toCsv };
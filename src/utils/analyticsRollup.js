@@ -0,0 +1,144 @@
+const db = require("../config/database");
+const { rollupSearchMisses } = require("./searchMisses");
+
+const INTERVAL_MS =
+  (parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS) || 15 * 60) * 1000;
+
+// Stale days recomputed per run, oldest first, so a large backfill is spread
+// over several runs
+const DAYS_PER_RUN = 31;
+
+const DAY_FORMAT = "%Y-%m-%d";
+
+// Queue the days of backdated activities (offline uploads) for recomputing.
+// Dates are bound like created_at, so the database picks the same day.
+const markStaleDays = async (executor, dates) => {
+  const byDay = new Map();
+  for (const date of dates) {
+    if (date && !Number.isNaN(date.getTime())) {
+      byDay.set(date.toDateString(), date);
+    }
+  }
+  if (byDay.size === 0) return;
+
+  const placeholders = [...byDay.values()].map(() => "(DATE(?))").join(", ");
+  await executor.execute(
+    `INSERT IGNORE INTO analytics_stale_days (day) VALUES ${placeholders}`,
+    [...byDay.values()]
+  );
+};
+
+// Rebuild the rollups of one day ("YYYY-MM-DD") from user_activities
+const rollupDay = async (day) => {
+  const range =
+    "ua.created_at >= ? AND ua.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Cleared first: activities uploaded while this runs mark the day again
+    await connection.execute("DELETE FROM analytics_stale_days WHERE day = ?", [
+      day,
+    ]);
+    for (const table of [
+      "analytics_daily_users",
+      "analytics_daily_activity",
+      "analytics_daily_content",
+    ]) {
+      await connection.execute(`DELETE FROM ${table} WHERE day = ?`, [day]);
+    }
+
+    await connection.execute(
+      `
+      INSERT INTO analytics_daily_users (day, user_id, organization_id, events, duration_seconds)
+      SELECT ?, ua.user_id, u.organization_id, COUNT(*), COALESCE(SUM(ua.duration_seconds), 0)
+      FROM user_activities ua
+      JOIN users u ON ua.user_id = u.id
+      WHERE ${range}
+      GROUP BY ua.user_id, u.organization_id
+    `,
+      [day, day, day]
+    );
+
+    await connection.execute(
+      `
+      INSERT INTO analytics_daily_activity (day, organization_id, activity_type, events, users, timed_events, duration_seconds)
+      SELECT ?, u.organization_id, ua.activity_type, COUNT(*), COUNT(DISTINCT ua.user_id),
+        COUNT(ua.duration_seconds), COALESCE(SUM(ua.duration_seconds), 0)
+      FROM user_activities ua
+      JOIN users u ON ua.user_id = u.id
+      WHERE ${range}
+      GROUP BY u.organization_id, ua.activity_type
+    `,
+      [day, day, day]
+    );
+
+    await connection.execute(
+      `
+      INSERT INTO analytics_daily_content (day, organization_id, reference_type, reference_id, activity_type, events, users, timed_events, duration_seconds)
+      SELECT ?, u.organization_id, ua.reference_type, ua.reference_id, ua.activity_type,
+        COUNT(*), COUNT(DISTINCT ua.user_id),
+        COUNT(ua.duration_seconds), COALESCE(SUM(ua.duration_seconds), 0)
+      FROM user_activities ua
+      JOIN users u ON ua.user_id = u.id
+      WHERE ${range}
+        AND ua.reference_type IS NOT NULL AND ua.reference_id IS NOT NULL
+      GROUP BY u.organization_id, ua.reference_type, ua.reference_id, ua.activity_type
+    `,
+      [day, day, day]
+    );
+
+    await rollupSearchMisses(connection, day, range);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Recompute today and yesterday, which still receive events, and the
+// oldest queued stale days. Returns the days rolled up.
+const runRollup = async () => {
+  const [[current]] = await db.execute(
+    `SELECT DATE_FORMAT(CURDATE(), '${DAY_FORMAT}') as today, DATE_FORMAT(CURDATE() - INTERVAL 1 DAY, '${DAY_FORMAT}') as yesterday`
+  );
+  const [stale] = await db.execute(
+    `SELECT DATE_FORMAT(day, '${DAY_FORMAT}') as day FROM analytics_stale_days ORDER BY day LIMIT ?`,
+    [DAYS_PER_RUN]
+  );
+
+  const days = [
+    ...new Set([
+      ...stale.map((row) => row.day),
+      current.yesterday,
+      current.today,
+    ]),
+  ];
+  // A day that fails stays stale for the next run without holding up the rest
+  const done = [];
+  for (const day of days) {
+    try {
+      await rollupDay(day);
+      done.push(day);
+    } catch (error) {
+      console.error(`Failed to roll up analytics for ${day}:`, error);
+    }
+  }
+  return done;
+};
+
+const startAnalyticsRollup = () => {
+  const run = () =>
+    runRollup().catch((error) =>
+      console.error("Failed to roll up analytics:", error)
+    );
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { markStaleDays, rollupDay, runRollup, startAnalyticsRollup };
@@ -0,0 +1,23 @@
+// Record an administrative action. `changes` maps each changed field to
+// { from, to }, or holds other details of the action.
+const recordAudit = (
+  executor,
+  req,
+  { action, targetType, targetId, changes }
+) =>
+  executor.execute(
+    `
+    INSERT INTO audit_log (actor_id, action, target_type, target_id, changes, ip_address)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      req.user.id,
+      action,
+      targetType,
+      targetId,
+      changes ? JSON.stringify(changes) : null,
+      req.ip,
+    ]
+  );
+
+module.exports = { recordAudit };
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const archiver = require("archiver");
+const { UPLOADS_DIR, BUNDLE_CACHE_DIR } = require("../config/storage");
+
+// Bump when the archive layout changes so cached bundles are rebuilt
+const BUNDLE_FORMAT_VERSION = 2;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+// Cache key for a bundle scope. Scopes whose contents depend on who asks
+// (e.g. categories with organization content) carry an `audience`, and
+// translated bundles their `locale`.
+const bundleScopeKey = (scope) =>
+  [scope.type, scope.id, scope.audience, scope.locale]
+    .filter((part) => part !== undefined && part !== null)
+    .join("-");
+
+// Map an /uploads URL to a file on disk; external or missing files return null
+const resolveUploadPath = (fileUrl) => {
+  if (!fileUrl || !fileUrl.startsWith("/uploads/")) return null;
+
+  const filePath = path.resolve(
+    UPLOADS_DIR,
+    decodeURIComponent(fileUrl.slice("/uploads/".length))
+  );
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) return null;
+
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+// ETag over everything that ends up in the archive. Expects modules with an
+// `attachments` array, as loaded by the bundle routes.
+const computeEtag = (scopeKey, modules) => {
+  const fingerprint = JSON.stringify({
+    format: BUNDLE_FORMAT_VERSION,
+    scopeKey,
+    modules: modules.map((m) => ({
+      uuid: m.uuid,
+      version: m.version,
+      updatedAt: m.updated_at,
+      attachments: m.attachments.map((a) => [
+        a.id,
+        a.file_url,
+        a.file_size,
+        a.content_hash,
+      ]),
+    })),
+  });
+  return `"${sha256(fingerprint).slice(0, 32)}"`;
+};
+
+const writeArchive = (outputPath, entries) =>
+  new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+    archive.pipe(output);
+
+    entries.forEach((entry) => {
+      if (entry.filePath) {
+        archive.file(entry.filePath, { name: entry.name });
+      } else {
+        archive.append(entry.content, { name: entry.name });
+      }
+    });
+
+    archive.finalize();
+  });
+
+const buildBundle = async (scope, modules, etag, outputPath) => {
+  const entries = [];
+  const manifestModules = [];
+
+  for (const module of modules) {
+    const { attachments, ...moduleData } = module;
+    const base = `modules/${module.uuid}`;
+    const bundledAttachments = [];
+
+    for (const attachment of attachments) {
+      const localPath = resolveUploadPath(attachment.file_url);
+      const name = localPath
+        ? `${base}/attachments/${attachment.id}-${path.basename(
+            attachment.file_name
+          )}`
+        : null;
+
+      if (localPath) {
+        entries.push({ name, filePath: localPath });
+      }
+
+      bundledAttachments.push({
+        id: attachment.id,
+        fileName: attachment.file_name,
+        fileType: attachment.file_type,
+        fileSize: attachment.file_size,
+        sourceUrl: attachment.file_url,
+        path: name,
+        checksum: localPath ? await hashFile(localPath) : null,
+      });
+    }
+
+    const moduleJson = JSON.stringify(
+      { ...moduleData, attachments: bundledAttachments },
+      null,
+      2
+    );
+    entries.push({ name: `${base}/module.json`, content: moduleJson });
+
+    manifestModules.push({
+      uuid: module.uuid,
+      title: module.title,
+      version: module.version,
+      path: `${base}/module.json`,
+      checksum: sha256(moduleJson),
+      attachments: bundledAttachments,
+    });
+  }
+
+  const manifest = {
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    scope,
+    etag,
+    generatedAt: new Date().toISOString(),
+    checksumAlgorithm: "sha256",
+    modules: manifestModules,
+  };
+  entries.unshift({
+    name: "manifest.json",
+    content: JSON.stringify(manifest, null, 2),
+  });
+
+  // Write to a temp file first so concurrent requests never read a partial zip
+  const tempPath = `${outputPath}.${process.pid}.${Date.now()}.tmp`;
+  await writeArchive(tempPath, entries);
+  await fs.promises.rename(tempPath, outputPath);
+};
+
+// Remove older bundles for the same scope once a new one is built
+const pruneStaleBundles = async (scopeKey, keepFile) => {
+  const files = await fs.promises.readdir(BUNDLE_CACHE_DIR);
+  await Promise.all(
+    files
+      .filter((file) => file.startsWith(`${scopeKey}-`) && file !== keepFile)
+      .filter((file) => file.endsWith(".zip"))
+      .map((file) =>
+        fs.promises.unlink(path.join(BUNDLE_CACHE_DIR, file)).catch(() => {})
+      )
+  );
+};
+
+// Return the path of the cached bundle for this ETag, building it if needed
+const getBundle = async (scope, modules, etag) => {
+  const scopeKey = bundleScopeKey(scope);
+  const fileName = `${scopeKey}-${etag.replace(/"/g, "")}.zip`;
+  const filePath = path.join(BUNDLE_CACHE_DIR, fileName);
+
+  if (fs.existsSync(filePath)) return filePath;
+
+  await fs.promises.mkdir(BUNDLE_CACHE_DIR, { recursive: true });
+  await buildBundle(scope, modules, etag, filePath);
+  await pruneStaleBundles(scopeKey, fileName);
+
+  return filePath;
+};
+
+// Open the cached bundle for this ETag. A concurrent build of the same scope
+// may prune the file between getBundle and open, so it is rebuilt once; an
+// open handle keeps reading even if the file is pruned afterwards.
+const openBundle = async (scope, modules, etag) => {
+  for (let attempt = 1; ; attempt++) {
+    const filePath = await getBundle(scope, modules, etag);
+    try {
+      return await fs.promises.open(filePath, "r");
+    } catch (error) {
+      if (error.code !== "ENOENT" || attempt > 1) throw error;
+    }
+  }
+};
+
+module.exports = {
+  bundleScopeKey,
+  computeEtag,
+  getBundle,
+  openBundle,
+  resolveUploadPath,
+  hashFile,
+};
@@ -0,0 +1,172 @@
+// Records content changes in change_log so devices can sync by cursor
+const { liveClause } = require("./workflow");
+
+// Synced entity types and the column that identifies them to clients
+const ENTITY_TABLES = {
+  module: { table: "modules", keyColumn: "uuid" },
+  meca_aid: { table: "meca_aids", keyColumn: "uuid" },
+  error_code: { table: "error_codes", keyColumn: "code" },
+  animation: { table: "learning_animations", keyColumn: "uuid" },
+};
+
+// Log the current state of a row: live rows are upserts, anything else
+// (deleted, unpublished or outside its publish window) is a tombstone. Pass
+// the transaction connection when called inside one.
+const recordChange = async (executor, entityType, entityKey) => {
+  const { table, keyColumn } = ENTITY_TABLES[entityType];
+  const [rows] = await executor.execute(
+    `SELECT ${liveClause()} as is_live FROM ${table} WHERE ${keyColumn} = ?`,
+    [entityKey]
+  );
+
+  if (rows.length === 0) return;
+
+  await executor.execute(
+    "INSERT INTO change_log (entity_type, entity_key, operation) VALUES (?, ?, ?)",
+    [entityType, entityKey, rows[0].is_live ? "upsert" : "delete"]
+  );
+};
+
+// Seconds a transaction may take between writing a change_log row and
+// committing it
+const COMMIT_WINDOW_SECONDS = 60;
+
+// Highest change id visible now: the upper bound of what a sync serves
+const getCurrentCursor = async (executor) => {
+  const [[{ max_id }]] = await executor.execute(
+    "SELECT COALESCE(MAX(id), 0) as max_id FROM change_log"
+  );
+  return Number(max_id);
+};
+
+// Cursor to hand back after serving changes up to `toCursor`. Ids are taken
+// when a row is written but become visible on commit, so a lower id can
+// still appear after a higher one was served. The cursor therefore stops
+// before changes written within the commit window, and the next sync serves
+// those again along with any that committed late.
+const getResumeCursor = async (executor, toCursor) => {
+  const [[{ max_id }]] = await executor.execute(
+    `
+    SELECT COALESCE(MAX(id), 0) as max_id FROM change_log
+    WHERE id <= ? AND changed_at < NOW() - INTERVAL ? SECOND
+  `,
+    [toCursor, COMMIT_WINDOW_SECONDS]
+  );
+  return Number(max_id);
+};
+
+// Translate a legacy lastSync timestamp into the equivalent cursor
+const cursorFromTimestamp = async (executor, timestamp) => {
+  const [[{ first_id }]] = await executor.execute(
+    "SELECT MIN(id) as first_id FROM change_log WHERE changed_at > ?",
+    [new Date(timestamp)]
+  );
+  if (first_id === null) return getCurrentCursor(executor);
+  return Number(first_id) - 1;
+};
+
+// Latest change per entity in (fromCursor, toCursor], grouped by type into
+// upserted keys and tombstones
+const getChangesSince = async (executor, fromCursor, toCursor) => {
+  const [rows] = await executor.execute(
+    `
+    SELECT cl.entity_type, cl.entity_key, cl.operation, cl.changed_at
+    FROM change_log cl
+    JOIN (
+      SELECT MAX(id) as id
+      FROM change_log
+      WHERE id > ? AND id <= ?
+      GROUP BY entity_type, entity_key
+    ) latest ON cl.id = latest.id
+    ORDER BY cl.id
+  `,
+    [fromCursor, toCursor]
+  );
+
+  const changes = {};
+  Object.keys(ENTITY_TABLES).forEach((type) => {
+    changes[type] = { upserts: [], tombstones: [] };
+  });
+
+  rows.forEach((row) => {
+    const bucket = changes[row.entity_type];
+    if (!bucket) return;
+    if (row.operation === "delete") {
+      bucket.tombstones.push({
+        key: row.entity_key,
+        deletedAt: row.changed_at,
+      });
+    } else {
+      bucket.upserts.push(row.entity_key);
+    }
+  });
+
+  return changes;
+};
+
+// Count entities with at least one change in (fromCursor, toCursor]
+const countChangesSince = async (executor, fromCursor, toCursor) => {
+  const [rows] = await executor.execute(
+    `
+    SELECT entity_type, COUNT(DISTINCT entity_key) as count
+    FROM change_log
+    WHERE id > ? AND id <= ?
+    GROUP BY entity_type
+  `,
+    [fromCursor, toCursor]
+  );
+
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row.entity_type] = row.count;
+  });
+  return counts;
+};
+
+// One page of the latest change per entity of a single type, ordered by
+// change id so `after` (the last id served) resumes exactly where it stopped
+const getChangesPage = async (executor, entityType, options) => {
+  const { fromCursor, toCursor, after, limit } = options;
+  const [rows] = await executor.execute(
+    `
+    SELECT cl.id, cl.entity_key, cl.operation, cl.changed_at
+    FROM change_log cl
+    JOIN (
+      SELECT MAX(id) as id
+      FROM change_log
+      WHERE entity_type = ? AND id > ? AND id <= ?
+      GROUP BY entity_key
+    ) latest ON cl.id = latest.id
+    WHERE cl.id > ?
+    ORDER BY cl.id
+    LIMIT ?
+  `,
+    [entityType, fromCursor, toCursor, after, limit + 1]
+  );
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  return {
+    upserts: pageRows
+      .filter((row) => row.operation === "upsert")
+      .map((row) => row.entity_key),
+    tombstones: pageRows
+      .filter((row) => row.operation === "delete")
+      .map((row) => ({ key: row.entity_key, deletedAt: row.changed_at })),
+    lastId:
+      pageRows.length > 0 ? Number(pageRows[pageRows.length - 1].id) : after,
+    hasMore,
+  };
+};
+
+module.exports = {
+  ENTITY_TABLES,
+  recordChange,
+  getCurrentCursor,
+  getResumeCursor,
+  cursorFromTimestamp,
+  getChangesSince,
+  countChangesSince,
+  getChangesPage,
+};
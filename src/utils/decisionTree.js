@@ -0,0 +1,279 @@
+// Validation and traversal for branching Meca Aid steps.
+//
+// Instruction steps continue to `nextStep`, or to stepNumber + 1 when no
+// explicit target is set, unless marked terminal. Question steps branch on
+// their options; an option without `nextStep` ends the procedure.
+
+const STEP_TYPES = ["instruction", "question"];
+const ANSWER_TYPES = ["yes_no", "multiple_choice"];
+
+const toStepNumber = (value) =>
+  value === undefined || value === null ? null : parseInt(value);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Reject request body steps that normalizeSteps cannot read: anything but an
+// array of objects, or options that are not objects. Returns a message.
+const stepsShapeError = (steps) => {
+  if (!Array.isArray(steps)) return "Steps must be an array";
+  for (const [i, step] of steps.entries()) {
+    if (!isPlainObject(step)) return `Step ${i + 1} must be an object`;
+    if (Array.isArray(step.options) && !step.options.every(isPlainObject)) {
+      return `Step ${i + 1}: options must be objects`;
+    }
+  }
+  return null;
+};
+
+// Convert request body steps into the shape used by the validator
+const normalizeSteps = (steps) => {
+  return steps.map((step, i) => ({
+    stepNumber:
+      step.stepNumber !== undefined ? toStepNumber(step.stepNumber) : i + 1,
+    stepType: step.stepType || "instruction",
+    title: step.title || null,
+    instruction: step.instruction || step.question || null,
+    question: step.question || null,
+    answerType: step.answerType || null,
+    options: Array.isArray(step.options)
+      ? step.options.map((option) => ({
+          key: String(option.key || "").trim(),
+          label: option.label || null,
+          nextStep: toStepNumber(option.nextStep),
+        }))
+      : null,
+    nextStep: toStepNumber(step.nextStep),
+    isTerminal: step.isTerminal === true,
+    imageUrl: step.imageUrl || null,
+    warningText: step.warningText || null,
+    tipText: step.tipText || null,
+  }));
+};
+
+// Convert a meca_aid_steps row into the validator shape
+const fromRow = (row) => {
+  const options =
+    typeof row.options === "string" ? JSON.parse(row.options) : row.options;
+  return {
+    stepNumber: row.step_number,
+    stepType: row.step_type || "instruction",
+    options: options
+      ? options.map((option) => ({
+          ...option,
+          nextStep: toStepNumber(option.nextStep),
+        }))
+      : null,
+    nextStep: row.next_step,
+    isTerminal: Boolean(row.is_terminal),
+  };
+};
+
+const getSuccessors = (step, stepNumbers) => {
+  if (step.stepType === "question") {
+    return (step.options || [])
+      .map((option) => option.nextStep)
+      .filter((next) => next !== null);
+  }
+  if (step.isTerminal) return [];
+  if (step.nextStep !== null) return [step.nextStep];
+  return stepNumbers.has(step.stepNumber + 1) ? [step.stepNumber + 1] : [];
+};
+
+const getRootStepNumber = (steps) =>
+  Math.min(...steps.map((step) => step.stepNumber));
+
+const validateStep = (step, stepNumbers) => {
+  const errors = [];
+  const label = `Step ${step.stepNumber}`;
+
+  if (!STEP_TYPES.includes(step.stepType)) {
+    errors.push(`${label}: unknown step type "${step.stepType}"`);
+    return errors;
+  }
+
+  if (!step.instruction) {
+    errors.push(`${label}: instruction or question is required`);
+  }
+
+  if (step.nextStep !== null && !stepNumbers.has(step.nextStep)) {
+    errors.push(`${label}: next step ${step.nextStep} does not exist`);
+  }
+
+  if (step.stepType === "instruction") {
+    if (step.options) {
+      errors.push(`${label}: only question steps can have options`);
+    }
+    return errors;
+  }
+
+  if (!step.question) {
+    errors.push(`${label}: question text is required`);
+  }
+  if (!ANSWER_TYPES.includes(step.answerType)) {
+    errors.push(
+      `${label}: answerType must be one of ${ANSWER_TYPES.join(", ")}`
+    );
+  }
+
+  const options = step.options || [];
+  const keys = options.map((option) => option.key);
+
+  if (keys.some((key) => !key)) {
+    errors.push(`${label}: every option needs a key`);
+  }
+  if (new Set(keys).size !== keys.length) {
+    errors.push(`${label}: option keys must be unique`);
+  }
+
+  if (step.answerType === "yes_no") {
+    const sorted = [...keys].sort();
+    if (sorted.length !== 2 || sorted[0] !== "no" || sorted[1] !== "yes") {
+      errors.push(
+        `${label}: yes/no questions need exactly a "yes" and a "no" option`
+      );
+    }
+  } else if (step.answerType === "multiple_choice") {
+    if (options.length < 2) {
+      errors.push(
+        `${label}: multiple choice questions need at least two options`
+      );
+    }
+    if (options.some((option) => !option.label)) {
+      errors.push(`${label}: multiple choice options need a label`);
+    }
+  }
+
+  options.forEach((option) => {
+    if (option.nextStep !== null && !stepNumbers.has(option.nextStep)) {
+      errors.push(
+        `${label}: option "${option.key}" points to missing step ${option.nextStep}`
+      );
+    }
+  });
+
+  return errors;
+};
+
+// Walk the graph from the root, reporting the first cycle found
+const findCycle = (steps, stepNumbers) => {
+  const byNumber = new Map(steps.map((step) => [step.stepNumber, step]));
+  const state = new Map();
+  const stack = [];
+
+  const visit = (stepNumber) => {
+    state.set(stepNumber, "visiting");
+    stack.push(stepNumber);
+
+    for (const next of getSuccessors(byNumber.get(stepNumber), stepNumbers)) {
+      if (state.get(next) === "visiting") {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(stepNumber, "done");
+    return null;
+  };
+
+  const cycle = visit(getRootStepNumber(steps));
+  return { cycle, reachable: new Set(state.keys()) };
+};
+
+// Returns a list of error messages; an empty list means the tree is valid
+const validateDecisionTree = (steps) => {
+  if (!steps || steps.length === 0) return [];
+
+  const errors = [];
+  const numbers = steps.map((step) => step.stepNumber);
+
+  if (numbers.some((n) => !Number.isInteger(n) || n < 1)) {
+    errors.push("Step numbers must be positive integers");
+    return errors;
+  }
+  if (new Set(numbers).size !== numbers.length) {
+    errors.push("Step numbers must be unique");
+    return errors;
+  }
+
+  const stepNumbers = new Set(numbers);
+  steps.forEach((step) => {
+    errors.push(...validateStep(step, stepNumbers));
+  });
+  if (errors.length > 0) return errors;
+
+  const { cycle, reachable } = findCycle(steps, stepNumbers);
+  if (cycle) {
+    errors.push(`Steps form a cycle: ${cycle.join(" → ")}`);
+    return errors;
+  }
+
+  const unreachable = numbers.filter((n) => !reachable.has(n));
+  if (unreachable.length > 0) {
+    errors.push(
+      `Steps are unreachable from step ${getRootStepNumber(
+        steps
+      )}: ${unreachable.join(", ")}`
+    );
+  }
+
+  return errors;
+};
+
+// Replay answers (keyed by step number) from the root and return the steps
+// walked so far plus the next question waiting for an answer
+const traverse = (steps, answers = {}) => {
+  if (steps.length === 0) {
+    return { path: [], nextStep: null, completed: true };
+  }
+
+  const byNumber = new Map(steps.map((step) => [step.stepNumber, step]));
+  const stepNumbers = new Set(byNumber.keys());
+  const visited = new Set();
+  const path = [];
+  let current = byNumber.get(getRootStepNumber(steps));
+
+  while (current) {
+    if (visited.has(current.stepNumber)) {
+      return { error: `Steps form a cycle at step ${current.stepNumber}` };
+    }
+    visited.add(current.stepNumber);
+
+    if (current.stepType === "question") {
+      const answer = answers[current.stepNumber];
+      if (answer === undefined || answer === null) {
+        return { path, nextStep: current.stepNumber, completed: false };
+      }
+
+      const option = (current.options || []).find(
+        (o) => o.key === String(answer)
+      );
+      if (!option) {
+        return {
+          error: `Invalid answer "${answer}" for step ${current.stepNumber}`,
+        };
+      }
+
+      path.push({ stepNumber: current.stepNumber, answer: option.key });
+      current = option.nextStep !== null ? byNumber.get(option.nextStep) : null;
+    } else {
+      path.push({ stepNumber: current.stepNumber, answer: null });
+      const [next] = getSuccessors(current, stepNumbers);
+      current = next !== undefined ? byNumber.get(next) : null;
+    }
+  }
+
+  return { path, nextStep: null, completed: true };
+};
+
+module.exports = {
+  stepsShapeError,
+  normalizeSteps,
+  fromRow,
+  validateDecisionTree,
+  traverse,
+};
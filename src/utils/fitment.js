@@ -0,0 +1,95 @@
+// Vehicle fitment of modules, Meca Aids and error codes. Content without any
+// linked vehicle is generic and fits every car.
+const FITTED_TYPES = ["module", "meca_aid", "error_code"];
+
+const VEHICLE_COLUMNS =
+  "v.uuid, v.make, v.model, v.year_from, v.year_to, v.engine_code, v.vin_prefix";
+
+// SQL condition on rows of `entityType`, identified by `idColumn`, that are
+// explicitly linked to a catalog vehicle matching `vehicle` (make, plus
+// optional model, year range and engine)
+const linkedToVehicle = (vehicle, entityType, idColumn) => {
+  const conditions = ["v.is_active = true", "v.make = ?"];
+  const params = [vehicle.make];
+  if (vehicle.model) {
+    conditions.push("v.model = ?");
+    params.push(vehicle.model);
+  }
+  if (vehicle.yearTo) {
+    conditions.push("v.year_from <= ?");
+    params.push(vehicle.yearTo);
+  }
+  if (vehicle.yearFrom) {
+    conditions.push("(v.year_to IS NULL OR v.year_to >= ?)");
+    params.push(vehicle.yearFrom);
+  }
+  if (vehicle.engine) {
+    conditions.push("(v.engine_code IS NULL OR v.engine_code = ?)");
+    params.push(vehicle.engine);
+  }
+
+  return {
+    clause: `EXISTS (
+      SELECT 1 FROM content_vehicles cv
+      JOIN vehicles v ON cv.vehicle_id = v.id
+      WHERE cv.entity_type = ? AND cv.entity_id = ${idColumn}
+        AND ${conditions.join(" AND ")}
+    )`,
+    params: [entityType, ...params],
+  };
+};
+
+// SQL condition on rows of `entityType`, identified by `idColumn`, that fit
+// the vehicle parsed by parseVehicleFilter: generic content, or content
+// linked to that vehicle. Without a vehicle, or for types that carry no
+// fitment, every row matches.
+const fitsVehicle = (vehicle, entityType, idColumn) => {
+  if (!vehicle || !FITTED_TYPES.includes(entityType)) {
+    return { clause: "1 = 1", params: [] };
+  }
+
+  const linked = linkedToVehicle(vehicle, entityType, idColumn);
+  return {
+    clause: `(
+      NOT EXISTS (
+        SELECT 1 FROM content_vehicles cv
+        WHERE cv.entity_type = ? AND cv.entity_id = ${idColumn}
+      )
+      OR ${linked.clause}
+    )`,
+    params: [entityType, ...linked.params],
+  };
+};
+
+// Set `vehicles` on each row (by `id`) to the active vehicles it is linked to
+const attachVehicles = async (executor, entityType, rows) => {
+  if (rows.length === 0) return rows;
+
+  const ids = [...new Set(rows.map((row) => row.id))];
+  const [links] = await executor.execute(
+    `
+    SELECT cv.entity_id, ${VEHICLE_COLUMNS}
+    FROM content_vehicles cv
+    JOIN vehicles v ON cv.vehicle_id = v.id
+    WHERE cv.entity_type = ? AND v.is_active = true
+      AND cv.entity_id IN (${ids.map(() => "?").join(", ")})
+    ORDER BY v.make, v.model, v.year_from
+  `,
+    [entityType, ...ids]
+  );
+
+  rows.forEach((row) => {
+    row.vehicles = links
+      .filter((link) => link.entity_id === row.id)
+      .map(({ entity_id, ...vehicle }) => vehicle);
+  });
+  return rows;
+};
+
+module.exports = {
+  FITTED_TYPES,
+  VEHICLE_COLUMNS,
+  linkedToVehicle,
+  fitsVehicle,
+  attachVehicles,
+};
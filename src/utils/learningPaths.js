@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const { liveClause } = require("./workflow");
+
+// Content a path can include. A quiz item is keyed by its module's uuid.
+const PATH_ITEM_TYPES = {
+  module: `
+    SELECT id, organization_id, title FROM modules
+    WHERE uuid = ? AND is_active = true
+  `,
+  animation: `
+    SELECT id, NULL as organization_id, title FROM learning_animations
+    WHERE uuid = ? AND is_active = true
+  `,
+  quiz: `
+    SELECT q.id, m.organization_id, q.title FROM module_quizzes q
+    JOIN modules m ON q.module_id = m.id
+    WHERE m.uuid = ? AND m.is_active = true AND q.is_active = true
+  `,
+};
+
+// Unambiguous characters for certificate codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+const MAX_CODE_ATTEMPTS = 5;
+
+const generateCertificateCode = () =>
+  Array.from({ length: 3 }, () =>
+    Array.from(
+      { length: 4 },
+      () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+    ).join("")
+  ).join("-");
+
+const findPathItem = async (executor, type, key) => {
+  const [rows] = await executor.execute(PATH_ITEM_TYPES[type], [key]);
+  return rows[0] || null;
+};
+
+// A path's items in order, with their key, title, whether they are live and
+// the ids of the items they require. With a userId, also when the user
+// completed each: modules and animations through their learning progress,
+// quizzes by their latest passed attempt.
+const loadPathItems = async (executor, pathId, userId = null) => {
+  const [items] = await executor.execute(
+    `
+    SELECT i.id, i.position, i.item_type, i.entity_id, i.is_required,
+      COALESCE(m.uuid, a.uuid, qm.uuid) as entity_key,
+      COALESCE(m.title, a.title, q.title) as title,
+      CASE i.item_type
+        WHEN 'module' THEN m.id IS NOT NULL AND ${liveClause("m")}
+        WHEN 'animation' THEN a.id IS NOT NULL AND ${liveClause("a")}
+        ELSE q.is_active = true AND ${liveClause("qm")}
+      END as is_live,
+      CASE i.item_type
+        WHEN 'quiz' THEN (
+          SELECT MAX(qa.submitted_at) FROM quiz_attempts qa
+          WHERE qa.quiz_id = i.entity_id AND qa.user_id = ? AND qa.passed = true
+        )
+        ELSE (
+          SELECT lp.completed_at FROM learning_progress lp
+          WHERE lp.entity_type = i.item_type AND lp.entity_id = i.entity_id
+            AND lp.user_id = ?
+        )
+      END as completed_at
+    FROM learning_path_items i
+    LEFT JOIN modules m ON i.item_type = 'module' AND m.id = i.entity_id
+    LEFT JOIN learning_animations a ON i.item_type = 'animation' AND a.id = i.entity_id
+    LEFT JOIN module_quizzes q ON i.item_type = 'quiz' AND q.id = i.entity_id
+    LEFT JOIN modules qm ON q.module_id = qm.id
+    WHERE i.path_id = ?
+    ORDER BY i.position
+  `,
+    [userId, userId, pathId]
+  );
+
+  const [prerequisites] = await executor.execute(
+    `
+    SELECT p.item_id, p.required_item_id
+    FROM learning_path_prerequisites p
+    JOIN learning_path_items i ON p.item_id = i.id
+    WHERE i.path_id = ?
+  `,
+    [pathId]
+  );
+
+  return items.map((item) => ({
+    ...item,
+    is_live: Boolean(item.is_live),
+    completed_at: item.completed_at ? new Date(item.completed_at) : null,
+    requires: prerequisites
+      .filter((p) => p.item_id === item.id)
+      .map((p) => p.required_item_id),
+  }));
+};
+
+// The user's standing on a path from loadPathItems. Items that are no longer
+// live are left out; an item is locked until the live items it requires are
+// completed. An item finished while still locked does not count: a quiz has
+// to be passed again, other items reset and redone. The path is complete
+// when every required item is.
+const summarizePath = (items) => {
+  const live = items.filter((item) => item.is_live);
+  const liveById = new Map(live.map((item) => [item.id, item]));
+
+  // When each item counted as done. Prerequisites sit at earlier positions,
+  // so they are settled before the items requiring them.
+  const countedAt = new Map();
+  for (const item of live) {
+    const inOrder =
+      item.completed_at &&
+      item.requires
+        .filter((id) => liveById.has(id))
+        .every(
+          (id) => countedAt.get(id) && countedAt.get(id) <= item.completed_at
+        );
+    countedAt.set(item.id, inOrder ? item.completed_at : null);
+  }
+
+  const steps = live.map((item) => {
+    const requires = item.requires.filter((id) => liveById.has(id));
+    return {
+      type: item.item_type,
+      key: item.entity_key,
+      title: item.title,
+      required: Boolean(item.is_required),
+      completed: Boolean(countedAt.get(item.id)),
+      completedWhileLocked:
+        Boolean(item.completed_at) && !countedAt.get(item.id),
+      locked: requires.some((id) => !countedAt.get(id)),
+      requires: requires
+        .map((id) => liveById.get(id))
+        .map((other) => ({ type: other.item_type, key: other.entity_key })),
+    };
+  });
+
+  const required = steps.filter((step) => step.required);
+  const done = required.filter((step) => step.completed).length;
+
+  return {
+    items: steps,
+    requiredItems: required.length,
+    completedItems: done,
+    percent:
+      required.length > 0 ? Math.round((done / required.length) * 100) : 0,
+    isComplete: required.length > 0 && done === required.length,
+  };
+};
+
+// Issue the user's certificate for a path, drawing a new code if the random
+// one is taken. Re-enrolling after completion keeps the first certificate.
+const issueCertificate = async (executor, userId, path) => {
+  for (let attempt = 1; ; attempt++) {
+    const [certificates] = await executor.execute(
+      "SELECT * FROM certificates WHERE path_id = ? AND user_id = ?",
+      [path.id, userId]
+    );
+    if (certificates.length > 0) return certificates[0];
+
+    try {
+      await executor.execute(
+        `
+        INSERT INTO certificates (code, path_id, user_id, recipient_name, path_title)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        [generateCertificateCode(), path.id, userId, path.name, path.title]
+      );
+    } catch (error) {
+      // Either the code collided or a concurrent request issued it first;
+      // the next pass tells them apart
+      if (error.code !== "ER_DUP_ENTRY" || attempt >= MAX_CODE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Complete the user's enrollment on a path and issue their certificate if
+// every required item is done. Returns the certificate, or null.
+const checkEnrollment = async (executor, userId, pathId) => {
+  const [paths] = await executor.execute(
+    `
+    SELECT p.id, p.title, u.name FROM learning_path_enrollments e
+    JOIN learning_paths p ON e.path_id = p.id
+    JOIN users u ON e.user_id = u.id
+    WHERE e.path_id = ? AND e.user_id = ? AND e.completed_at IS NULL
+      AND p.is_active = true
+  `,
+    [pathId, userId]
+  );
+  if (paths.length === 0) return null;
+
+  const summary = summarizePath(await loadPathItems(executor, pathId, userId));
+  if (!summary.isComplete) return null;
+
+  await executor.execute(
+    "UPDATE learning_path_enrollments SET completed_at = NOW() WHERE path_id = ? AND user_id = ? AND completed_at IS NULL",
+    [pathId, userId]
+  );
+  return issueCertificate(executor, userId, paths[0]);
+};
+
+// Move the user's open enrollments forward after they completed an item
+// (a module, an animation or a passed quiz). Returns the certificates issued.
+const advancePaths = async (executor, userId, itemType, entityId) => {
+  const [enrollments] = await executor.execute(
+    `
+    SELECT DISTINCT e.path_id FROM learning_path_enrollments e
+    JOIN learning_path_items i ON i.path_id = e.path_id
+    WHERE e.user_id = ? AND e.completed_at IS NULL
+      AND i.item_type = ? AND i.entity_id = ?
+  `,
+    [userId, itemType, entityId]
+  );
+
+  const issued = [];
+  for (const { path_id: pathId } of enrollments) {
+    const certificate = await checkEnrollment(executor, userId, pathId);
+    if (certificate) issued.push(certificate);
+  }
+  return issued;
+};
+
+// Re-check every open enrollment on a path after its items changed, e.g. a
+// removed item was all a learner had left. Returns the certificates issued.
+const checkPathEnrollments = async (executor, pathId) => {
+  const [enrollments] = await executor.execute(
+    "SELECT user_id FROM learning_path_enrollments WHERE path_id = ? AND completed_at IS NULL",
+    [pathId]
+  );
+
+  const issued = [];
+  for (const { user_id: userId } of enrollments) {
+    const certificate = await checkEnrollment(executor, userId, pathId);
+    if (certificate) issued.push(certificate);
+  }
+  return issued;
+};
+
+const toCertificate = (certificate) => ({
+  code: certificate.code,
+  recipientName: certificate.recipient_name,
+  pathTitle: certificate.path_title,
+  issuedAt: certificate.issued_at,
+  revokedAt: certificate.revoked_at,
+  valid: !certificate.revoked_at,
+});
+
+module.exports = {
+  PATH_ITEM_TYPES,
+  findPathItem,
+  loadPathItems,
+  summarizePath,
+  checkEnrollment,
+  advancePaths,
+  checkPathEnrollments,
+  toCertificate,
+};
@@ -0,0 +1,113 @@
+const db = require("../config/database");
+
+// Failures older than the window no longer count towards a lockout
+const FAILURE_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_FAILURES = {
+  account: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+};
+
+// Progressive delay: 250ms after the first failure, doubling up to 8s
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const keysFor = (email, ip) => [
+  { scope: "account", identifier: String(email).toLowerCase() },
+  { scope: "ip", identifier: ip || "unknown" },
+];
+
+// Current state for an attempt: when locked, the time the lock lifts;
+// otherwise the delay to apply before checking the password
+const getLoginThrottle = async (email, ip) => {
+  const keys = keysFor(email, ip);
+  const [rows] = await db.execute(
+    `
+    SELECT scope, failed_count, locked_until > NOW() as is_locked, locked_until,
+      last_failed_at > NOW() - INTERVAL ? MINUTE as is_recent
+    FROM login_throttles
+    WHERE (scope = ? AND identifier = ?) OR (scope = ? AND identifier = ?)
+  `,
+    [
+      FAILURE_WINDOW_MINUTES,
+      keys[0].scope,
+      keys[0].identifier,
+      keys[1].scope,
+      keys[1].identifier,
+    ]
+  );
+
+  const locked = rows.filter((row) => row.is_locked);
+  if (locked.length > 0) {
+    const lockedUntil = new Date(
+      Math.max(...locked.map((row) => new Date(row.locked_until).getTime()))
+    );
+    return { lockedUntil, delayMs: 0 };
+  }
+
+  const failures = Math.max(
+    0,
+    ...rows.filter((row) => row.is_recent).map((row) => row.failed_count)
+  );
+  const delayMs =
+    failures > 0
+      ? Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS)
+      : 0;
+
+  return { lockedUntil: null, delayMs };
+};
+
+// Count a failed attempt against the account and the IP, locking either once
+// it reaches its limit. Returns true if this attempt locked the account.
+const recordLoginFailure = async (email, ip) => {
+  for (const { scope, identifier } of keysFor(email, ip)) {
+    await db.execute(
+      `
+      INSERT INTO login_throttles (scope, identifier, failed_count, last_failed_at)
+      VALUES (?, ?, 1, NOW())
+      ON DUPLICATE KEY UPDATE
+        failed_count = IF(last_failed_at > NOW() - INTERVAL ? MINUTE, failed_count + 1, 1),
+        last_failed_at = NOW(),
+        locked_until = IF(failed_count >= ?, NOW() + INTERVAL ? MINUTE, locked_until)
+    `,
+      [
+        scope,
+        identifier,
+        FAILURE_WINDOW_MINUTES,
+        MAX_FAILURES[scope],
+        LOCKOUT_MINUTES,
+      ]
+    );
+  }
+
+  const [rows] = await db.execute(
+    "SELECT locked_until > NOW() as is_locked FROM login_throttles WHERE scope = 'account' AND identifier = ?",
+    [String(email).toLowerCase()]
+  );
+  return rows.length > 0 && Boolean(rows[0].is_locked);
+};
+
+// A successful sign-in resets the account counter. The IP counter is left to
+// expire so one valid account cannot be used to keep guessing others.
+const clearAccountFailures = (email) =>
+  db.execute(
+    "DELETE FROM login_throttles WHERE scope = 'account' AND identifier = ?",
+    [String(email).toLowerCase()]
+  );
+
+const clearIpFailures = (ip) =>
+  db.execute(
+    "DELETE FROM login_throttles WHERE scope = 'ip' AND identifier = ?",
+    [ip]
+  );
+
+module.exports = {
+  sleep,
+  getLoginThrottle,
+  recordLoginFailure,
+  clearAccountFailures,
+  clearIpFailures,
+};
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+
+// Mail transports, selected with MAIL_TRANSPORT. Each takes a message
+// { from, to, subject, text } and resolves once it has been handed off.
+const transports = {
+  // Print to stdout; the default for local development
+  console: async (message) => {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`
+    );
+  },
+
+  // Write each message as a JSON file into MAIL_OUTBOX_DIR
+  file: async (message) => {
+    const outboxDir = path.resolve(
+      process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../mail-outbox")
+    );
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(
+      /[^\w.@-]/g,
+      "_"
+    )}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Deliver through an SMTP server configured by SMTP_* variables
+  smtp: (() => {
+    let transporter;
+    return (message) => {
+      if (!transporter) {
+        const nodemailer = require("nodemailer");
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined,
+        });
+      }
+      return transporter.sendMail(message);
+    };
+  })(),
+};
+
+// Add or replace a transport, e.g. for a third-party mail API
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || "Mechanic Manual <no-reply@localhost>",
+    to,
+    subject,
+    text,
+  });
+};
+
+module.exports = { sendMail, registerTransport };
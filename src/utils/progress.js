@@ -0,0 +1,293 @@
+const { visibleTo } = require("./tenancy");
+const { liveClause } = require("./workflow");
+
+// Content whose learning progress is tracked, per entity type
+const PROGRESS_TYPES = {
+  module: { table: "modules", keyColumn: "uuid", orgScoped: true },
+  meca_aid: { table: "meca_aids", keyColumn: "uuid", orgScoped: true },
+  animation: {
+    table: "learning_animations",
+    keyColumn: "uuid",
+    orgScoped: false,
+  },
+};
+
+// Animations count as watched from this share of their duration, so skipping
+// the closing seconds still completes them
+const WATCHED_PERCENT = 95;
+
+// Longest module reading position stored, as JSON
+const MAX_POSITION_LENGTH = 2000;
+
+const visibility = (user, type, column) =>
+  PROGRESS_TYPES[type].orgScoped
+    ? visibleTo(user, column)
+    : { clause: "1 = 1", params: [] };
+
+// Load a live item the user may see, with the step numbers of a Meca Aid
+const findProgressItem = async (executor, user, type, key) => {
+  const { table, keyColumn } = PROGRESS_TYPES[type];
+  const visible = visibility(user, type, "organization_id");
+  const [rows] = await executor.execute(
+    `
+    SELECT * FROM ${table}
+    WHERE ${keyColumn} = ? AND ${liveClause()} AND ${visible.clause}
+  `,
+    [key, ...visible.params]
+  );
+
+  if (rows.length === 0) return null;
+
+  const item = rows[0];
+  if (type === "meca_aid") {
+    const [steps] = await executor.execute(
+      "SELECT step_number FROM meca_aid_steps WHERE meca_aid_id = ? ORDER BY step_number",
+      [item.id]
+    );
+    item.stepNumbers = steps.map((s) => s.step_number);
+  }
+  return item;
+};
+
+// Validate a progress report for an item. Modules report a `percent` and an
+// opaque reading `position`; Meca Aids the current `stepNumber` and the
+// `completedSteps` checkpoints; animations the playback position in
+// `seconds`. Any type may add `completed`, `timeSpentSeconds` (since the
+// previous report) and, from offline clients, `recordedAt`.
+const readProgressUpdate = (type, body, item) => {
+  const now = new Date();
+  const recordedAt = body.recordedAt ? new Date(body.recordedAt) : now;
+  if (Number.isNaN(recordedAt.getTime())) {
+    return { error: "recordedAt must be a date" };
+  }
+
+  const update = {
+    completed: body.completed === true,
+    timeSpentSeconds: Math.max(parseInt(body.timeSpentSeconds) || 0, 0),
+    // A fast device clock must not push the resume point into the future
+    recordedAt: recordedAt > now ? now : recordedAt,
+    position: null,
+    completedSteps: [],
+    percent: 0,
+  };
+
+  if (type === "module") {
+    const percent = body.percent === undefined ? 0 : Number(body.percent);
+    if (!(percent >= 0 && percent <= 100)) {
+      return { error: "percent must be between 0 and 100" };
+    }
+    if (
+      body.position !== undefined &&
+      (typeof body.position !== "object" ||
+        JSON.stringify(body.position).length > MAX_POSITION_LENGTH)
+    ) {
+      return { error: "position must be a small object" };
+    }
+    update.percent = Math.round(percent);
+    update.position = body.position || null;
+  } else if (type === "meca_aid") {
+    const completedSteps = body.completedSteps || [];
+    if (!Array.isArray(completedSteps)) {
+      return { error: "completedSteps must be an array of step numbers" };
+    }
+    const stepNumber =
+      body.stepNumber !== undefined ? parseInt(body.stepNumber) : null;
+    const reported = completedSteps.map((n) => parseInt(n));
+    if (
+      [...reported, ...(stepNumber !== null ? [stepNumber] : [])].some(
+        (n) => !item.stepNumbers.includes(n)
+      )
+    ) {
+      return { error: "Unknown step number" };
+    }
+    update.completedSteps = reported;
+    update.position = stepNumber !== null ? { stepNumber } : null;
+  } else {
+    const seconds = Number(body.seconds);
+    if (!(seconds >= 0)) {
+      return { error: "seconds must be a playback position" };
+    }
+    update.position = { seconds };
+    if (item.duration_seconds) {
+      const watched = Math.round((seconds / item.duration_seconds) * 100);
+      update.percent = watched >= WATCHED_PERCENT ? 100 : watched;
+    }
+  }
+
+  if (update.completed) update.percent = 100;
+  return update;
+};
+
+// Merge an update into the user's progress on an item. Percent and Meca Aid
+// checkpoints only grow and completion sticks; the resume position follows
+// the most recent report. Call inside a transaction: the row is locked while
+// it is merged.
+const saveProgress = async (executor, userId, type, item, update) => {
+  const [rows] = await executor.execute(
+    "SELECT * FROM learning_progress WHERE user_id = ? AND entity_type = ? AND entity_id = ? FOR UPDATE",
+    [userId, type, item.id]
+  );
+  const existing = rows[0] || null;
+  const isLatest =
+    !existing || update.recordedAt >= new Date(existing.last_activity_at);
+
+  let percent = update.percent;
+  let completedSteps = null;
+  if (type === "meca_aid") {
+    completedSteps = [
+      ...new Set([
+        ...((existing && existing.completed_steps) || []),
+        ...update.completedSteps,
+      ]),
+    ].sort((a, b) => a - b);
+
+    // Steps may be renumbered by edits; count only the current ones
+    const done = completedSteps.filter((n) => item.stepNumbers.includes(n));
+    if (update.completed) percent = 100;
+    else if (item.stepNumbers.length > 0) {
+      percent = Math.round((done.length / item.stepNumbers.length) * 100);
+    }
+  }
+  percent = Math.max(percent, existing ? existing.progress_percent : 0);
+
+  const progress = {
+    progress_percent: percent,
+    last_position:
+      (isLatest && update.position) ||
+      (existing && existing.last_position) ||
+      update.position,
+    completed_steps: completedSteps,
+    time_spent_seconds:
+      (existing ? existing.time_spent_seconds : 0) + update.timeSpentSeconds,
+    last_activity_at: isLatest
+      ? update.recordedAt
+      : new Date(existing.last_activity_at),
+    completed_at:
+      (existing && existing.completed_at) ||
+      (percent >= 100 ? update.recordedAt : null),
+  };
+
+  await executor.execute(
+    `
+    INSERT INTO learning_progress (user_id, entity_type, entity_id, progress_percent, last_position, completed_steps, time_spent_seconds, last_activity_at, completed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      progress_percent = VALUES(progress_percent),
+      last_position = VALUES(last_position),
+      completed_steps = VALUES(completed_steps),
+      time_spent_seconds = VALUES(time_spent_seconds),
+      last_activity_at = VALUES(last_activity_at),
+      completed_at = VALUES(completed_at)
+  `,
+    [
+      userId,
+      type,
+      item.id,
+      progress.progress_percent,
+      progress.last_position ? JSON.stringify(progress.last_position) : null,
+      progress.completed_steps
+        ? JSON.stringify(progress.completed_steps)
+        : null,
+      progress.time_spent_seconds,
+      progress.last_activity_at,
+      progress.completed_at,
+    ]
+  );
+
+  return {
+    ...progress,
+    newlyCompleted: !(existing && existing.completed_at) && percent >= 100,
+  };
+};
+
+const toProgress = (type, row) => ({
+  type,
+  key: row.entity_key,
+  title: row.title,
+  percent: row.progress_percent,
+  position: row.last_position,
+  completedSteps: row.completed_steps,
+  timeSpentSeconds: row.time_spent_seconds,
+  startedAt: row.started_at,
+  lastActivityAt: row.last_activity_at,
+  completedAt: row.completed_at,
+});
+
+// The user's progress, most recent first, on content that is still live.
+// `status` is "in_progress" or "completed"; no `limit` returns everything.
+const getUserProgress = async (executor, user, options = {}) => {
+  const { type, status, limit } = options;
+  const items = [];
+
+  for (const entityType of type ? [type] : Object.keys(PROGRESS_TYPES)) {
+    const { table, keyColumn } = PROGRESS_TYPES[entityType];
+    const visible = visibility(user, entityType, "t.organization_id");
+
+    let query = `
+      SELECT lp.*, t.${keyColumn} as entity_key, t.title
+      FROM learning_progress lp
+      JOIN ${table} t ON lp.entity_id = t.id
+      WHERE lp.user_id = ? AND lp.entity_type = ?
+        AND ${liveClause("t")} AND ${visible.clause}
+    `;
+    const params = [user.id, entityType, ...visible.params];
+
+    if (status === "completed") query += " AND lp.completed_at IS NOT NULL";
+    if (status === "in_progress") query += " AND lp.completed_at IS NULL";
+
+    query += " ORDER BY lp.last_activity_at DESC";
+    if (limit) {
+      query += " LIMIT ?";
+      params.push(limit);
+    }
+
+    const [rows] = await executor.execute(query, params);
+    items.push(...rows.map((row) => toProgress(entityType, row)));
+  }
+
+  items.sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+  return limit ? items.slice(0, limit) : items;
+};
+
+// Totals per type over the live content the user can see: how much they
+// started and completed, and their average completion across all of it
+const getProgressTotals = async (executor, user) => {
+  const totals = {};
+
+  for (const [entityType, { table }] of Object.entries(PROGRESS_TYPES)) {
+    const visible = visibility(user, entityType, "t.organization_id");
+    const [[row]] = await executor.execute(
+      `
+      SELECT COUNT(*) as total, COUNT(lp.id) as started,
+        COUNT(lp.completed_at) as completed,
+        COALESCE(SUM(lp.progress_percent), 0) as percent_sum,
+        COALESCE(SUM(lp.time_spent_seconds), 0) as time_spent
+      FROM ${table} t
+      LEFT JOIN learning_progress lp
+        ON lp.entity_id = t.id AND lp.entity_type = ? AND lp.user_id = ?
+      WHERE ${liveClause("t")} AND ${visible.clause}
+    `,
+      [entityType, user.id, ...visible.params]
+    );
+
+    totals[entityType] = {
+      total: row.total,
+      started: row.started,
+      completed: row.completed,
+      percent:
+        row.total > 0 ? Math.round(Number(row.percent_sum) / row.total) : 0,
+      timeSpentSeconds: Number(row.time_spent),
+    };
+  }
+
+  return totals;
+};
+
+module.exports = {
+  PROGRESS_TYPES,
+  findProgressItem,
+  readProgressUpdate,
+  saveProgress,
+  getUserProgress,
+  getProgressTotals,
+};
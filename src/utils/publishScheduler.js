@@ -0,0 +1,72 @@
+const db = require("../config/database");
+const { ENTITY_TABLES, recordChange } = require("./changeLog");
+const { recordWorkflowEvent } = require("./workflow");
+
+const INTERVAL_MS =
+  (parseInt(process.env.PUBLISH_SCHEDULE_INTERVAL_SECONDS) || 60) * 1000;
+
+// Apply publish and unpublish times that have passed. Reads already honour
+// the window; this logs the change so devices pick it up on their next sync.
+// Each time is cleared once applied, so every row is handled exactly once.
+const applySchedules = async () => {
+  for (const [entityType, { table, keyColumn }] of Object.entries(
+    ENTITY_TABLES
+  )) {
+    const [due] = await db.execute(
+      `
+      SELECT id, ${keyColumn} as entity_key, unpublish_at <= NOW() as unpublish_due
+      FROM ${table}
+      WHERE status = 'published' AND (publish_at <= NOW() OR unpublish_at <= NOW())
+    `
+    );
+
+    for (const row of due) {
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        if (row.unpublish_due) {
+          await connection.execute(
+            `UPDATE ${table} SET status = 'archived', publish_at = NULL, unpublish_at = NULL WHERE id = ?`,
+            [row.id]
+          );
+        } else {
+          await connection.execute(
+            `UPDATE ${table} SET publish_at = NULL WHERE id = ?`,
+            [row.id]
+          );
+        }
+
+        await recordWorkflowEvent(connection, {
+          entityType,
+          entityKey: row.entity_key,
+          action: row.unpublish_due
+            ? "scheduled_unpublish"
+            : "scheduled_publish",
+          fromStatus: "published",
+          toStatus: row.unpublish_due ? "archived" : "published",
+        });
+        await recordChange(connection, entityType, row.entity_key);
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+    }
+  }
+};
+
+const startPublishScheduler = () => {
+  const timer = setInterval(() => {
+    applySchedules().catch((error) =>
+      console.error("Failed to apply publish schedules:", error)
+    );
+  }, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { applySchedules, startPublishScheduler };
@@ -0,0 +1,253 @@
+const crypto = require("crypto");
+
+const QUESTION_TYPES = ["single_choice", "multiple_choice", "true_false"];
+
+// True/false questions always offer these two options
+const TRUE_FALSE_OPTIONS = [
+  { key: "true", label: "True" },
+  { key: "false", label: "False" },
+];
+
+const MAX_OPTIONS = 8;
+const MAX_POINTS = 100;
+
+// Seconds allowed past a time limit for the submission to reach the server
+const SUBMIT_GRACE_SECONDS = 30;
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Validate a question for the bank. Choice questions take `options` (each a
+// `label` and/or `imageUrl`, keyed "a", "b", ... unless given a `key`) and
+// the keys in `correctOptions`; true/false questions take `correct` as a
+// boolean. Returns the columns to store, or { error }.
+const readQuestion = (body) => {
+  const type = body.type;
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${QUESTION_TYPES.join(", ")}` };
+  }
+
+  const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+  if (!prompt) return { error: "prompt is required" };
+
+  const points = body.points === undefined ? 1 : parseInt(body.points);
+  if (!(points >= 1 && points <= MAX_POINTS)) {
+    return { error: `points must be between 1 and ${MAX_POINTS}` };
+  }
+
+  let options;
+  let correctOptions;
+  if (type === "true_false") {
+    if (typeof body.correct !== "boolean") {
+      return { error: "correct must be true or false" };
+    }
+    options = TRUE_FALSE_OPTIONS;
+    correctOptions = [String(body.correct)];
+  } else {
+    if (
+      !Array.isArray(body.options) ||
+      body.options.length < 2 ||
+      body.options.length > MAX_OPTIONS
+    ) {
+      return { error: `options must list 2 to ${MAX_OPTIONS} answers` };
+    }
+    if (
+      body.options.some(
+        (option) =>
+          !option || typeof option !== "object" || Array.isArray(option)
+      )
+    ) {
+      return { error: "Each option must be an object" };
+    }
+
+    options = body.options.map((option, i) => ({
+      key: String(option.key || String.fromCharCode(97 + i)),
+      label: option.label ? String(option.label).trim() : null,
+      imageUrl: option.imageUrl || null,
+    }));
+    if (options.some((o) => !o.label && !o.imageUrl)) {
+      return { error: "Each option needs a label or an imageUrl" };
+    }
+    const keys = options.map((o) => o.key);
+    if (new Set(keys).size !== keys.length) {
+      return { error: "Option keys must be unique" };
+    }
+
+    if (
+      body.correctOptions !== undefined &&
+      !Array.isArray(body.correctOptions)
+    ) {
+      return { error: "correctOptions must be an array of option keys" };
+    }
+    correctOptions = [...new Set((body.correctOptions || []).map(String))];
+    if (correctOptions.some((key) => !keys.includes(key))) {
+      return { error: "correctOptions must be keys of the options" };
+    }
+    if (type === "single_choice" && correctOptions.length !== 1) {
+      return { error: "A single choice question has one correct option" };
+    }
+    if (correctOptions.length === 0) {
+      return { error: "At least one option must be correct" };
+    }
+  }
+
+  return {
+    question_type: type,
+    prompt,
+    image_url: body.imageUrl || null,
+    options,
+    correct_options: correctOptions,
+    explanation: body.explanation || null,
+    points,
+    sort_order: parseInt(body.sortOrder) || 0,
+  };
+};
+
+// Pick a random set of questions from the bank for a new attempt, with the
+// option order each one is shown in
+const drawQuestions = (quiz, bank) => {
+  const count = quiz.question_count || bank.length;
+
+  return shuffle(bank)
+    .slice(0, count)
+    .map((question) => {
+      const keys = question.options.map((o) => o.key);
+      return {
+        id: question.id,
+        optionOrder:
+          quiz.shuffle_options && question.question_type !== "true_false"
+            ? shuffle(keys)
+            : keys,
+      };
+    });
+};
+
+// The drawn questions as shown to the user, without the answers
+const presentQuestions = (drawn, questionsById) =>
+  drawn.map(({ id, optionOrder }) => {
+    const question = questionsById[id];
+    return {
+      id,
+      type: question.question_type,
+      prompt: question.prompt,
+      imageUrl: question.image_url,
+      points: question.points,
+      options: optionOrder
+        .map((key) => question.options.find((o) => o.key === key))
+        .filter(Boolean),
+    };
+  });
+
+// Score answers ({ [questionId]: key or [keys] }) against the drawn
+// questions. A question scores its points only when exactly the correct
+// options are selected.
+const scoreAnswers = (drawn, questionsById, answers) => {
+  let pointsEarned = 0;
+  let pointsPossible = 0;
+
+  const results = drawn.map(({ id }) => {
+    const question = questionsById[id];
+    const given = answers[id];
+    const selected = [
+      ...new Set(
+        (Array.isArray(given) ? given : [given])
+          .filter((key) => key !== undefined && key !== null)
+          .map(String)
+      ),
+    ];
+    const correct =
+      selected.length === question.correct_options.length &&
+      selected.every((key) => question.correct_options.includes(key));
+
+    pointsPossible += question.points;
+    if (correct) pointsEarned += question.points;
+
+    return {
+      questionId: id,
+      selected,
+      correct,
+      correctOptions: question.correct_options,
+      explanation: question.explanation,
+    };
+  });
+
+  const score =
+    pointsPossible > 0
+      ? Math.round((pointsEarned / pointsPossible) * 10000) / 100
+      : 0;
+
+  return { pointsEarned, pointsPossible, score, results };
+};
+
+// Load questions by id, keyed by id. Retired questions are included so old
+// attempts can still be shown and scored.
+const loadQuestions = async (executor, quizId, ids) => {
+  if (ids.length === 0) return {};
+
+  const placeholders = ids.map(() => "?").join(", ");
+  const [rows] = await executor.execute(
+    `SELECT * FROM quiz_questions WHERE quiz_id = ? AND id IN (${placeholders})`,
+    [quizId, ...ids]
+  );
+  return Object.fromEntries(rows.map((row) => [row.id, row]));
+};
+
+const attemptStatus = (attempt) => {
+  if (attempt.submitted_at) return attempt.passed ? "passed" : "failed";
+  if (attempt.expires_at && new Date(attempt.expires_at) < new Date()) {
+    return "expired";
+  }
+  return "in_progress";
+};
+
+// Whether a module's quiz must still be passed before the user may complete
+// it. Quizzes without active questions never block completion.
+const isCompletionBlocked = async (executor, userId, moduleId) => {
+  const [rows] = await executor.execute(
+    `
+    SELECT q.id FROM module_quizzes q
+    WHERE q.module_id = ? AND q.is_active = true
+      AND q.required_for_completion = true
+      AND EXISTS (
+        SELECT 1 FROM quiz_questions qq
+        WHERE qq.quiz_id = q.id AND qq.is_active = true
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM quiz_attempts qa
+        WHERE qa.quiz_id = q.id AND qa.user_id = ? AND qa.passed = true
+      )
+  `,
+    [moduleId, userId]
+  );
+  return rows.length > 0;
+};
+
+const QUIZ_REQUIRED_MESSAGE = "Pass the module quiz to complete this module";
+
+// Hold back a progress report that would complete a module whose quiz is
+// still to be passed. The rest of the report is kept, short of completion.
+const holdCompletion = async (executor, userId, type, item, update) => {
+  if (type !== "module" || update.percent < 100) return update;
+  if (!(await isCompletionBlocked(executor, userId, item.id))) return update;
+  return { ...update, completed: false, percent: 99 };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  SUBMIT_GRACE_SECONDS,
+  QUIZ_REQUIRED_MESSAGE,
+  readQuestion,
+  drawQuestions,
+  presentQuestions,
+  scoreAnswers,
+  loadQuestions,
+  attemptStatus,
+  isCompletionBlocked,
+  holdCompletion,
+};
@@ -0,0 +1,84 @@
+// Module versions and the revision history behind them. Every change to a
+// module's content bumps its version, which offline copies are compared
+// against, and snapshots it into module_revisions.
+
+// Module columns captured in every revision snapshot
+const REVISION_FIELDS = [
+  "title",
+  "description",
+  "content",
+  "category_id",
+  "thumbnail_url",
+  "is_downloadable",
+  "priority",
+  "is_active",
+];
+
+// Attachment columns captured alongside, as a list in upload order
+const ATTACHMENT_FIELDS = [
+  "file_name",
+  "file_url",
+  "file_type",
+  "file_size",
+  "content_hash",
+];
+const ATTACHMENT_COLUMNS = ATTACHMENT_FIELDS.join(", ");
+const ATTACHMENT_VALUES = ATTACHMENT_FIELDS.map(() => "?").join(", ");
+
+const loadAttachments = async (executor, moduleId) => {
+  const [attachments] = await executor.execute(
+    `SELECT ${ATTACHMENT_COLUMNS} FROM module_attachments WHERE module_id = ? ORDER BY id`,
+    [moduleId]
+  );
+  return attachments;
+};
+
+// Copy the module's current state, with its attachments, into
+// module_revisions
+const saveRevision = async (executor, moduleId, options = {}) => {
+  const { userId = null, changeNote = null, restoredFrom = null } = options;
+  const attachments = await loadAttachments(executor, moduleId);
+  await executor.execute(
+    `
+    INSERT INTO module_revisions (module_id, version, ${REVISION_FIELDS.join(
+      ", "
+    )}, attachments, change_note, restored_from, created_by)
+    SELECT id, version, ${REVISION_FIELDS.join(", ")}, ?, ?, ?, ?
+    FROM modules WHERE id = ?
+  `,
+    [JSON.stringify(attachments), changeNote, restoredFrom, userId, moduleId]
+  );
+};
+
+// Replace the module's attachments with a revision's list. Revisions from
+// before attachments were captured have none and leave them as they are.
+const restoreAttachments = async (executor, moduleId, revision) => {
+  if (!Array.isArray(revision.attachments)) return;
+
+  await executor.execute("DELETE FROM module_attachments WHERE module_id = ?", [
+    moduleId,
+  ]);
+  for (const attachment of revision.attachments) {
+    await executor.execute(
+      `INSERT INTO module_attachments (module_id, ${ATTACHMENT_COLUMNS}) VALUES (?, ${ATTACHMENT_VALUES})`,
+      [moduleId, ...ATTACHMENT_FIELDS.map((f) => attachment[f])]
+    );
+  }
+};
+
+// Bump the version and snapshot it, for changes made outside the module
+// edit itself (files, translations)
+const saveNewVersion = async (executor, moduleId, options) => {
+  await executor.execute(
+    "UPDATE modules SET version = version + 1 WHERE id = ?",
+    [moduleId]
+  );
+  await saveRevision(executor, moduleId, options);
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  saveRevision,
+  saveNewVersion,
+  restoreAttachments,
+};
@@ -0,0 +1,93 @@
+// Shared helpers for ranking and highlighting search results across content types
+
+const SNIPPET_LENGTH = 160;
+
+// Split a raw query into lowercase terms, dropping full-text operators
+const tokenize = (query) => {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .split(/\s+/)
+    .filter((term) => term.length > 0);
+};
+
+// Build a MySQL BOOLEAN MODE query that prefix-matches every term
+const toBooleanQuery = (terms) => terms.map((term) => `${term}*`).join(" ");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Terms match at the start of a word, mirroring the prefix full-text query
+const termPattern = (terms, flags) =>
+  new RegExp(`\\b(${terms.map(escapeRegExp).join("|")})`, flags);
+
+const countOccurrences = (text, term) =>
+  (text.match(termPattern([term], "g")) || []).length;
+
+// Score a hit from weighted fields so every content type is ranked on the
+// same scale, regardless of which table's full-text index found it.
+const scoreFields = (terms, fields) => {
+  const phrase = terms.join(" ");
+  let score = 0;
+
+  fields.forEach(({ text, weight }) => {
+    if (!text) return;
+    const lower = String(text).toLowerCase();
+
+    terms.forEach((term) => {
+      const count = countOccurrences(lower, term);
+      if (count > 0) score += weight * (1 + Math.log(count));
+    });
+
+    if (lower === phrase) {
+      score += weight * 3;
+    } else if (terms.length > 1 && lower.includes(phrase)) {
+      score += weight * 2;
+    }
+  });
+
+  return Math.round(score * 100) / 100;
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Cut a window around the first matching term and wrap matches in <mark>
+const highlight = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return null;
+  const source = String(text).replace(/\s+/g, " ").trim();
+  const lower = source.toLowerCase();
+
+  const firstMatch = terms.length > 0 ? lower.search(termPattern(terms)) : -1;
+
+  const start = Math.max(0, firstMatch - Math.floor(length / 3));
+  const end = Math.min(source.length, start + length);
+  let snippet = escapeHtml(source.slice(start, end));
+
+  if (terms.length > 0) {
+    snippet = snippet.replace(
+      termPattern(terms.map(escapeHtml), "gi"),
+      "<mark>$1</mark>"
+    );
+  }
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < source.length ? "…" : ""}`;
+};
+
+// Pick the first field that actually contains a term for the snippet
+const bestSnippet = (terms, texts) => {
+  const pattern = termPattern(terms, "i");
+  const match = texts.find((text) => text && pattern.test(String(text)));
+  return highlight(match || texts.find(Boolean), terms);
+};
+
+module.exports = {
+  tokenize,
+  toBooleanQuery,
+  scoreFields,
+  highlight,
+  bestSnippet,
+};
@@ -0,0 +1,114 @@
+// Searches returning up to this many results count as "few"
+const FEW_RESULTS = 2;
+
+const MAX_QUERY_LENGTH = 100;
+
+// A diagnostic trouble code: system letter and four hex digits
+const DTC_PATTERN = /^[PBCU][0-9A-F]{4}$/;
+
+// Group key for a search query. Codes are matched however they were typed
+// ("p 0300", "P-0300" and "P0300" are all "P0300"); other text is
+// lowercased with its spacing collapsed.
+const normalizeSearchQuery = (query) => {
+  const text = String(query).trim().replace(/\s+/g, " ").toLowerCase();
+  const compact = text.replace(/[\s.-]/g, "").toUpperCase();
+  return (DTC_PATTERN.test(compact) ? compact : text)
+    .slice(0, MAX_QUERY_LENGTH)
+    .trimEnd();
+};
+
+const looksLikeCode = (normalized) => DTC_PATTERN.test(normalized);
+
+// Group a day's logged error code searches ({ user_id, metadata }) by
+// normalized query, keeping those that returned zero or few results at
+// least once. Later result pages are skipped: running out of results there
+// is not a miss.
+const summarizeSearchMisses = (searches) => {
+  const byQuery = new Map();
+
+  for (const { user_id: userId, metadata } of searches) {
+    if (!metadata || !metadata.query || (metadata.page || 1) > 1) continue;
+
+    const key = normalizeSearchQuery(metadata.query);
+    if (!key) continue;
+    if (!byQuery.has(key)) {
+      byQuery.set(key, {
+        normalizedQuery: key,
+        searches: 0,
+        zeroResults: 0,
+        fewResults: 0,
+        users: new Set(),
+        spellings: new Map(),
+      });
+    }
+
+    const entry = byQuery.get(key);
+    const count = metadata.resultsCount;
+    entry.searches++;
+    if (count === 0) entry.zeroResults++;
+    else if (count <= FEW_RESULTS) entry.fewResults++;
+    entry.users.add(userId);
+
+    const spelling = String(metadata.query).trim().slice(0, 255);
+    entry.spellings.set(spelling, (entry.spellings.get(spelling) || 0) + 1);
+  }
+
+  return [...byQuery.values()]
+    .filter((entry) => entry.zeroResults + entry.fewResults > 0)
+    .map(({ users, spellings, ...entry }) => ({
+      ...entry,
+      users: users.size,
+      // The way it was typed most often
+      exampleQuery: [...spellings].sort((a, b) => b[1] - a[1])[0][0],
+    }));
+};
+
+// Rebuild one day's search miss rollup. `range` is the SQL condition
+// selecting that day's user_activities (as ua), taking the day twice. Keys
+// the database still sees as equal are merged rather than failing the day.
+const rollupSearchMisses = async (executor, day, range) => {
+  await executor.execute(
+    "DELETE FROM analytics_daily_search_misses WHERE day = ?",
+    [day]
+  );
+
+  const [searches] = await executor.execute(
+    `
+    SELECT ua.user_id, ua.metadata FROM user_activities ua
+    WHERE ua.activity_type = 'error_code_search' AND ua.reference_id IS NULL
+      AND ${range}
+  `,
+    [day, day]
+  );
+
+  for (const miss of summarizeSearchMisses(searches)) {
+    await executor.execute(
+      `
+      INSERT INTO analytics_daily_search_misses (day, normalized_query, example_query, searches, zero_results, few_results, users)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        searches = searches + VALUES(searches),
+        zero_results = zero_results + VALUES(zero_results),
+        few_results = few_results + VALUES(few_results),
+        users = users + VALUES(users)
+    `,
+      [
+        day,
+        miss.normalizedQuery,
+        miss.exampleQuery,
+        miss.searches,
+        miss.zeroResults,
+        miss.fewResults,
+        miss.users,
+      ]
+    );
+  }
+};
+
+module.exports = {
+  FEW_RESULTS,
+  normalizeSearchQuery,
+  looksLikeCode,
+  summarizeSearchMisses,
+  rollupSearchMisses,
+};
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const db = require("../config/database");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user, sessionUuid) =>
+  jwt.sign(
+    { userId: user.id, uuid: user.uuid, sid: sessionUuid },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const issueRefreshToken = async (executor, sessionId) => {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  await executor.execute(
+    "INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [
+      sessionId,
+      hashToken(refreshToken),
+      new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    ]
+  );
+  return refreshToken;
+};
+
+const revokeSession = (executor, sessionId, reason) =>
+  executor.execute(
+    "UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL",
+    [reason, sessionId]
+  );
+
+// Revoke every open session of a user, or only those of one device
+const revokeUserSessions = async (executor, userId, reason, deviceId) => {
+  const params = [reason, userId];
+  let deviceFilter = "";
+  if (deviceId !== undefined) {
+    deviceFilter = " AND device_id <=> ?";
+    params.push(deviceId);
+  }
+
+  const [result] = await executor.execute(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL${deviceFilter}`,
+    params
+  );
+  return result.affectedRows;
+};
+
+// Start a session for a sign-in. A device holds one session at a time, so any
+// earlier session on the same device is revoked.
+const createSession = async (user, { deviceId, ipAddress }) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    await revokeUserSessions(connection, user.id, "replaced", deviceId || null);
+
+    const sessionUuid = uuidv4();
+    const [result] = await connection.execute(
+      `
+      INSERT INTO auth_sessions (uuid, user_id, device_id, ip_address, expires_at, last_used_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
+    `,
+      [
+        sessionUuid,
+        user.id,
+        deviceId || null,
+        ipAddress || null,
+        new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      ]
+    );
+    const refreshToken = await issueRefreshToken(connection, result.insertId);
+
+    await connection.commit();
+
+    return {
+      token: signAccessToken(user, sessionUuid),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token works
+// once; presenting a used one means it leaked, so the whole session goes.
+const rotateRefreshToken = async (refreshToken) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [tokens] = await connection.execute(
+      `
+      SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at,
+        s.uuid as session_uuid, s.revoked_at, s.device_id,
+        u.id as user_id, u.uuid as user_uuid, u.is_active
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE rt.token_hash = ?
+      FOR UPDATE
+    `,
+      [hashToken(refreshToken)]
+    );
+
+    if (tokens.length === 0) {
+      await connection.rollback();
+      return { error: "Invalid refresh token" };
+    }
+
+    const stored = tokens[0];
+
+    if (stored.used_at) {
+      await revokeSession(connection, stored.session_id, "token_reuse");
+      await connection.execute(
+        `INSERT INTO user_activities (user_id, device_id, activity_type, reference_id, reference_type) VALUES (?, ?, 'refresh_token_reuse', ?, 'auth_session')`,
+        [stored.user_id, stored.device_id, stored.session_id]
+      );
+      await connection.commit();
+      return { error: "Refresh token already used; session revoked" };
+    }
+
+    if (
+      stored.revoked_at ||
+      !stored.is_active ||
+      new Date(stored.expires_at) <= new Date()
+    ) {
+      await connection.rollback();
+      return { error: "Session expired or revoked" };
+    }
+
+    await connection.execute(
+      "UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?",
+      [stored.id]
+    );
+    await connection.execute(
+      "UPDATE auth_sessions SET last_used_at = NOW(), expires_at = ? WHERE id = ?",
+      [
+        new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+        stored.session_id,
+      ]
+    );
+    const nextRefreshToken = await issueRefreshToken(
+      connection,
+      stored.session_id
+    );
+
+    await connection.commit();
+
+    return {
+      token: signAccessToken(
+        { id: stored.user_id, uuid: stored.user_uuid },
+        stored.session_uuid
+      ),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,38 @@
+const crypto = require("crypto");
+
+// Opaque, tamper-proof tokens for sync continuation and account email links.
+// Format: base64url(JSON payload) + "." + HMAC signature.
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(payload)
+    .digest("base64url");
+
+const encodeToken = (data) => {
+  const payload = Buffer.from(JSON.stringify(data)).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns the decoded payload, or null for malformed or forged tokens
+const decodeToken = (token) => {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeToken, decodeToken };
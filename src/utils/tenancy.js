@@ -0,0 +1,77 @@
+const { hasPermission } = require("../config/permissions");
+
+// Organization scoping for modules and Meca Aids. Rows with a NULL
+// organization_id belong to the shared public catalog.
+
+const isGlobalAdmin = (user) => user.role === "admin";
+
+// SQL condition on `column` limiting rows to what the user may read: the
+// public catalog plus their own organization's content. Global admins see all.
+const visibleTo = (user, column) => {
+  if (isGlobalAdmin(user)) return { clause: "1 = 1", params: [] };
+  if (!user.organization_id) return { clause: `${column} IS NULL`, params: [] };
+  return {
+    clause: `(${column} IS NULL OR ${column} = ?)`,
+    params: [user.organization_id],
+  };
+};
+
+// Whether the user may act with `permission` on something owned by the
+// organization. A role-granted permission covers the public catalog and the
+// user's own organization; an organization role only that organization.
+// Global admins can act everywhere.
+const canManage = (user, organizationId, permission = "content.write") => {
+  if (isGlobalAdmin(user)) return true;
+  if (organizationId === null) return hasPermission(user, permission);
+  return (
+    organizationId === user.organization_id &&
+    (hasPermission(user, permission) ||
+      user.orgPermissions.includes(permission))
+  );
+};
+
+// SQL condition on `column` matching the organizations whose rows the user
+// may manage with `permission`, mirroring canManage
+const manageableBy = (user, column, permission) => {
+  if (isGlobalAdmin(user)) return { clause: "1 = 1", params: [] };
+  const global = hasPermission(user, permission);
+  const own = user.organization_id;
+
+  if (global && own) {
+    return { clause: `(${column} IS NULL OR ${column} = ?)`, params: [own] };
+  }
+  if (global) return { clause: `${column} IS NULL`, params: [] };
+  if (own && user.orgPermissions.includes(permission)) {
+    return { clause: `${column} = ?`, params: [own] };
+  }
+  return { clause: "1 = 0", params: [] };
+};
+
+// Owner of newly created content. Global admins choose (default: public).
+// Others may choose their own organization; otherwise role-granted writers
+// publish to the public catalog and org admins into their organization.
+const ownerFor = (user, requestedOrganizationId) => {
+  if (isGlobalAdmin(user)) return requestedOrganizationId || null;
+  if (
+    requestedOrganizationId &&
+    requestedOrganizationId === user.organization_id
+  ) {
+    return requestedOrganizationId;
+  }
+  return hasPermission(user, "content.write") ? null : user.organization_id;
+};
+
+// Label for the set of content a user can see, for caches shared per audience
+const audienceOf = (user) => {
+  if (isGlobalAdmin(user)) return "all";
+  return user.organization_id ? `org${user.organization_id}` : "public";
+};
+
+module.exports = {
+  isGlobalAdmin,
+  visibleTo,
+  canManage,
+  manageableBy,
+  ownerFor,
+  audienceOf,
+};
@@ -0,0 +1,303 @@
+const { DEFAULT_LOCALE } = require("../config/locales");
+
+// Translatable text per entity type. Types with a `changeType` are synced
+// through the change log; `category` names the category type whose
+// translated name replaces a joined `category_name`; `reportScope` limits the
+// completeness report to content still in use.
+const TRANSLATABLE_TYPES = {
+  module: {
+    table: "modules",
+    keyColumn: "uuid",
+    labelColumn: "title",
+    fields: ["title", "description", "content"],
+    category: "module_category",
+    changeType: "module",
+    writePermission: "content.write",
+    orgScoped: true,
+    reportScope: "is_active = true AND status <> 'archived'",
+  },
+  meca_aid: {
+    table: "meca_aids",
+    keyColumn: "uuid",
+    labelColumn: "title",
+    fields: [
+      "title",
+      "problem_description",
+      "symptoms",
+      "causes",
+      "solutions",
+      "tools_required",
+    ],
+    hasSteps: true,
+    category: "meca_aid_category",
+    changeType: "meca_aid",
+    writePermission: "content.write",
+    orgScoped: true,
+    reportScope: "is_active = true AND status <> 'archived'",
+  },
+  error_code: {
+    table: "error_codes",
+    keyColumn: "code",
+    labelColumn: "title",
+    fields: [
+      "title",
+      "description",
+      "possible_causes",
+      "symptoms",
+      "diagnostic_steps",
+      "repair_solutions",
+    ],
+    category: "error_code_category",
+    changeType: "error_code",
+    writePermission: "error_codes.publish",
+    reportScope: "is_active = true AND status <> 'archived'",
+  },
+  animation: {
+    table: "learning_animations",
+    keyColumn: "uuid",
+    labelColumn: "title",
+    fields: ["title", "description"],
+    changeType: "animation",
+    writePermission: "content.write",
+    reportScope: "is_active = true AND status <> 'archived'",
+  },
+  module_category: {
+    table: "module_categories",
+    keyColumn: "id",
+    labelColumn: "name",
+    fields: ["name", "description"],
+    writePermission: "content.write",
+    reportScope: "is_active = true",
+  },
+  meca_aid_category: {
+    table: "meca_aid_categories",
+    keyColumn: "id",
+    labelColumn: "name",
+    fields: ["name", "description"],
+    writePermission: "content.write",
+    reportScope: "is_active = true",
+  },
+  error_code_category: {
+    table: "error_code_categories",
+    keyColumn: "id",
+    labelColumn: "name",
+    fields: ["name", "description"],
+    writePermission: "error_codes.publish",
+    reportScope: "1 = 1",
+  },
+};
+
+// Meca Aid steps are rewritten on every edit, so their translations are
+// keyed by step number: "steps.<n>.<field>" and "steps.<n>.options.<key>"
+// for the label of a question option
+const STEP_FIELDS = [
+  "title",
+  "instruction",
+  "question",
+  "warning_text",
+  "tip_text",
+];
+
+const STEP_FIELD_PATTERN = new RegExp(
+  `^steps\\.\\d+\\.(?:${STEP_FIELDS.join("|")}|options\\.[\\w-]+)$`
+);
+
+const isTranslatableField = (entityType, field) => {
+  const config = TRANSLATABLE_TYPES[entityType];
+  return (
+    config.fields.includes(field) ||
+    Boolean(config.hasSteps && STEP_FIELD_PATTERN.test(field))
+  );
+};
+
+// Translations of the given rows into one locale, as id -> { field: value }
+const loadTranslations = async (executor, entityType, ids, locale) => {
+  const translations = new Map();
+  const uniqueIds = [...new Set(ids)];
+  if (uniqueIds.length === 0) return translations;
+
+  const [rows] = await executor.execute(
+    `
+    SELECT entity_id, field, value
+    FROM content_translations
+    WHERE entity_type = ? AND locale = ? AND entity_id IN (${uniqueIds
+      .map(() => "?")
+      .join(", ")})
+  `,
+    [entityType, locale, ...uniqueIds]
+  );
+
+  rows.forEach((row) => {
+    if (!translations.has(row.entity_id)) translations.set(row.entity_id, {});
+    translations.get(row.entity_id)[row.field] = row.value;
+  });
+  return translations;
+};
+
+const localizeStep = (step, values) => {
+  const prefix = `steps.${step.step_number}.`;
+  STEP_FIELDS.forEach((field) => {
+    if (values[prefix + field] !== undefined) {
+      step[field] = values[prefix + field];
+    }
+  });
+  if (Array.isArray(step.options)) {
+    step.options = step.options.map((option) => {
+      const label = values[`${prefix}options.${option.key}`];
+      return label !== undefined ? { ...option, label } : option;
+    });
+  }
+};
+
+// Overlay `locale` translations onto rows of `entityType` in place. Fields
+// without a translation keep the default-language text. Rows need their
+// `id`; Meca Aids are localized together with any `steps` already attached.
+const localize = async (executor, entityType, rows, locale) => {
+  if (locale === DEFAULT_LOCALE || rows.length === 0) return rows;
+  const config = TRANSLATABLE_TYPES[entityType];
+
+  const translations = await loadTranslations(
+    executor,
+    entityType,
+    rows.map((row) => row.id),
+    locale
+  );
+  rows.forEach((row) => {
+    const values = translations.get(row.id);
+    if (!values) return;
+    config.fields.forEach((field) => {
+      if (values[field] !== undefined) row[field] = values[field];
+    });
+    if (config.hasSteps && Array.isArray(row.steps)) {
+      row.steps.forEach((step) => localizeStep(step, values));
+    }
+  });
+
+  if (config.category) {
+    const withCategory = rows.filter(
+      (row) => row.category_id && row.category_name !== undefined
+    );
+    const names = await loadTranslations(
+      executor,
+      config.category,
+      withCategory.map((row) => row.category_id),
+      locale
+    );
+    withCategory.forEach((row) => {
+      const values = names.get(row.category_id);
+      if (values && values.name !== undefined) row.category_name = values.name;
+    });
+  }
+
+  return rows;
+};
+
+// Fields of a row (and its steps) that have default-language text and so
+// need a translation
+const requiredFields = (config, row, steps) => {
+  const fields = config.fields.filter((field) => row[`has_${field}`]);
+  steps.forEach((step) => {
+    const prefix = `steps.${step.step_number}.`;
+    STEP_FIELDS.forEach((field) => {
+      if (step[field]) fields.push(prefix + field);
+    });
+    (Array.isArray(step.options) ? step.options : []).forEach((option) => {
+      if (option.label) fields.push(`${prefix}options.${option.key}`);
+    });
+  });
+  return fields;
+};
+
+// Translation coverage of one entity type in one locale, with the items that
+// still miss translations (up to `limit`)
+const completenessReport = async (executor, entityType, locale, limit) => {
+  const config = TRANSLATABLE_TYPES[entityType];
+
+  const [rows] = await executor.execute(
+    `
+    SELECT id, ${config.keyColumn} as entity_key, ${
+      config.labelColumn
+    } as label,
+      ${config.fields
+        .map(
+          (field) => `(${field} IS NOT NULL AND ${field} <> '') as has_${field}`
+        )
+        .join(", ")}
+    FROM ${config.table}
+    WHERE ${config.reportScope}
+    ORDER BY id
+  `
+  );
+
+  const [translated] = await executor.execute(
+    "SELECT entity_id, field FROM content_translations WHERE entity_type = ? AND locale = ? AND value <> ''",
+    [entityType, locale]
+  );
+  const done = new Map();
+  translated.forEach((t) => {
+    if (!done.has(t.entity_id)) done.set(t.entity_id, new Set());
+    done.get(t.entity_id).add(t.field);
+  });
+
+  const stepsById = new Map();
+  if (config.hasSteps) {
+    const [steps] = await executor.execute(
+      `SELECT meca_aid_id, step_number, ${STEP_FIELDS.join(
+        ", "
+      )}, options FROM meca_aid_steps ORDER BY meca_aid_id, step_number`
+    );
+    steps.forEach((step) => {
+      if (!stepsById.has(step.meca_aid_id)) stepsById.set(step.meca_aid_id, []);
+      stepsById.get(step.meca_aid_id).push(step);
+    });
+  }
+
+  const report = {
+    total: rows.length,
+    complete: 0,
+    partial: 0,
+    untranslated: 0,
+    fieldCoverage: 100,
+    incomplete: [],
+  };
+  let requiredCount = 0;
+  let translatedCount = 0;
+
+  rows.forEach((row) => {
+    const required = requiredFields(config, row, stepsById.get(row.id) || []);
+    const present = done.get(row.id) || new Set();
+    const missing = required.filter((field) => !present.has(field));
+
+    requiredCount += required.length;
+    translatedCount += required.length - missing.length;
+
+    if (missing.length === 0) {
+      report.complete++;
+      return;
+    }
+    if (missing.length === required.length) report.untranslated++;
+    else report.partial++;
+
+    if (report.incomplete.length < limit) {
+      report.incomplete.push({
+        key: row.entity_key,
+        label: row.label,
+        missingFields: missing,
+      });
+    }
+  });
+
+  if (requiredCount > 0) {
+    report.fieldCoverage =
+      Math.round((translatedCount / requiredCount) * 1000) / 10;
+  }
+  return report;
+};
+
+module.exports = {
+  TRANSLATABLE_TYPES,
+  isTranslatableField,
+  loadTranslations,
+  localize,
+  completenessReport,
+};
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const db = require("../config/database");
+const { UPLOADS_DIR } = require("../config/storage");
+const { hashFile } = require("./bundle");
+
+const MB = 1024 * 1024;
+
+// Allowed MIME types per upload kind, with their accepted file extensions
+const UPLOAD_KINDS = {
+  attachment: {
+    maxSize: 25 * MB,
+    types: {
+      "application/pdf": [".pdf"],
+      "image/jpeg": [".jpg", ".jpeg"],
+      "image/png": [".png"],
+      "image/webp": [".webp"],
+      "video/mp4": [".mp4"],
+    },
+  },
+  image: {
+    maxSize: 5 * MB,
+    types: {
+      "image/jpeg": [".jpg", ".jpeg"],
+      "image/png": [".png"],
+      "image/webp": [".webp"],
+    },
+  },
+  animation: {
+    maxSize: 100 * MB,
+    types: {
+      "video/mp4": [".mp4"],
+      "video/webm": [".webm"],
+      "application/json": [".json"],
+      "model/gltf-binary": [".glb"],
+    },
+  },
+};
+
+// Multer writes incoming files here before they are hashed and moved.
+// Dot-directories are not served by express.static.
+const TEMP_DIR = path.join(UPLOADS_DIR, ".tmp");
+
+// Leading bytes that identify each type, so a renamed file can't slip through
+const SIGNATURES = {
+  "application/pdf": (buf) => buf.toString("latin1", 0, 4) === "%PDF",
+  "image/jpeg": (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  "image/png": (buf) => buf.toString("hex", 0, 8) === "89504e470d0a1a0a",
+  "image/webp": (buf) =>
+    buf.toString("latin1", 0, 4) === "RIFF" &&
+    buf.toString("latin1", 8, 12) === "WEBP",
+  "video/mp4": (buf) => buf.toString("latin1", 4, 8) === "ftyp",
+  "video/webm": (buf) => buf.toString("hex", 0, 4) === "1a45dfa3",
+  "application/json": (buf) => /^\s*[[{]/.test(buf.toString("utf8")),
+  "model/gltf-binary": (buf) => buf.toString("latin1", 0, 4) === "glTF",
+};
+
+const isAllowedType = (kind, mimeType, originalName) => {
+  const extensions = UPLOAD_KINDS[kind].types[mimeType];
+  return Boolean(
+    extensions &&
+      extensions.includes(path.extname(originalName || "").toLowerCase())
+  );
+};
+
+const matchesSignature = async (filePath, mimeType) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(16);
+    const { bytesRead } = await handle.read(buffer, 0, 16, 0);
+    return SIGNATURES[mimeType](buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+// Remove a multer temp file that will not be kept
+const discardUpload = async (file) => {
+  if (file) await fs.promises.unlink(file.path).catch(() => {});
+};
+
+// Hash the temp file, move it to /uploads/<kind>/<sha256><ext> and record it.
+// Identical content is stored once; the existing record is returned instead.
+const storeUpload = async (file, kind, userId) => {
+  if (!(await matchesSignature(file.path, file.mimetype))) {
+    await discardUpload(file);
+    const error = new Error("File content does not match its type");
+    error.code = "INVALID_FILE_TYPE";
+    throw error;
+  }
+
+  const sha256 = await hashFile(file.path);
+
+  const [existing] = await db.execute(
+    "SELECT * FROM uploaded_files WHERE kind = ? AND sha256 = ?",
+    [kind, sha256]
+  );
+  if (existing.length > 0) {
+    await discardUpload(file);
+    return { ...existing[0], deduplicated: true };
+  }
+
+  const extension = path.extname(file.originalname).toLowerCase();
+  const fileName = `${sha256}${extension}`;
+  const kindDir = path.join(UPLOADS_DIR, kind);
+  await fs.promises.mkdir(kindDir, { recursive: true });
+  await fs.promises.rename(file.path, path.join(kindDir, fileName));
+
+  const fileUrl = `/uploads/${kind}/${fileName}`;
+  await db.execute(
+    `
+    INSERT INTO uploaded_files (kind, sha256, file_url, mime_type, file_size, original_name, uploaded_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE file_url = VALUES(file_url)
+  `,
+    [kind, sha256, fileUrl, file.mimetype, file.size, file.originalname, userId]
+  );
+
+  return {
+    kind,
+    sha256,
+    file_url: fileUrl,
+    mime_type: file.mimetype,
+    file_size: file.size,
+    original_name: file.originalname,
+    deduplicated: false,
+  };
+};
+
+module.exports = {
+  UPLOAD_KINDS,
+  TEMP_DIR,
+  isAllowedType,
+  storeUpload,
+  discardUpload,
+};
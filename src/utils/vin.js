@@ -0,0 +1,108 @@
+const { WMI, REGIONS } = require("../config/vinRules");
+
+// 17 characters; I, O and Q are never used
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Check digit values and position weights (ISO 3779 / 49 CFR 565)
+const TRANSLITERATION = {
+  A: 1,
+  B: 2,
+  C: 3,
+  D: 4,
+  E: 5,
+  F: 6,
+  G: 7,
+  H: 8,
+  J: 1,
+  K: 2,
+  L: 3,
+  M: 4,
+  N: 5,
+  P: 7,
+  R: 9,
+  S: 2,
+  T: 3,
+  U: 4,
+  V: 5,
+  W: 6,
+  X: 7,
+  Y: 8,
+  Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes in position 10, repeating every 30 years from 1980
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+const expectedCheckDigit = (vin) => {
+  const sum = [...vin].reduce(
+    (total, char, i) =>
+      total +
+      (/\d/.test(char) ? Number(char) : TRANSLITERATION[char]) * WEIGHTS[i],
+    0
+  );
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+};
+
+const regionOf = (char) => {
+  const match = REGIONS.find((r) => char >= r.from && char <= r.to);
+  return match ? match.region : null;
+};
+
+// North American VINs mark the 2010-2039 cycle with a letter in position 7.
+// Elsewhere take the later cycle unless it lies beyond next year's models.
+const modelYearOf = (vin, northAmerican) => {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const year = 1980 + index;
+  if (northAmerican) return /\d/.test(vin[6]) ? year : year + 30;
+  return year + 30 <= new Date().getFullYear() + 1 ? year + 30 : year;
+};
+
+// Decode a VIN offline. Returns { error } for malformed VINs and for check
+// digit mismatches where the check digit is mandatory.
+const decodeVin = (input) => {
+  const vin = String(input).trim().toUpperCase();
+  if (!VIN_PATTERN.test(vin)) {
+    return {
+      error: "VIN must be 17 letters or digits, without I, O or Q",
+    };
+  }
+
+  const wmi = vin.slice(0, 3);
+  const rule = WMI[wmi] || null;
+  const region = regionOf(vin[0]);
+  const expected = expectedCheckDigit(vin);
+  const checkDigitRequired =
+    region === "North America" || Boolean(rule && rule.checkDigit);
+
+  if (checkDigitRequired && vin[8] !== expected) {
+    return { error: "VIN check digit does not match" };
+  }
+
+  const plantCode = vin[10];
+  return {
+    vin,
+    wmi,
+    vds: vin.slice(3, 8),
+    manufacturer: rule ? rule.manufacturer : null,
+    make: rule ? rule.make : null,
+    country: rule ? rule.country : null,
+    region,
+    modelYear: modelYearOf(vin, region === "North America"),
+    plant: {
+      code: plantCode,
+      name: (rule && rule.plants && rule.plants[plantCode]) || null,
+    },
+    serialNumber: vin.slice(11),
+    checkDigit: {
+      value: vin[8],
+      valid: vin[8] === expected,
+      required: checkDigitRequired,
+    },
+  };
+};
+
+module.exports = { decodeVin, expectedCheckDigit };
@@ -0,0 +1,83 @@
+const { canManage } = require("./tenancy");
+
+// Editorial lifecycle of synced content: draft -> in_review -> published ->
+// archived. Only published rows inside their publish window reach devices.
+
+const STATUSES = ["draft", "in_review", "published", "archived"];
+
+// Allowed moves and the permission each needs. "write" stands for the
+// content type's own write permission (see EDITORIAL_TYPES).
+const TRANSITIONS = {
+  submit: { from: ["draft"], to: "in_review", permission: "write" },
+  withdraw: { from: ["in_review"], to: "draft", permission: "write" },
+  approve: {
+    from: ["in_review"],
+    to: "published",
+    permission: "content.review",
+  },
+  reject: { from: ["in_review"], to: "draft", permission: "content.review" },
+  unpublish: {
+    from: ["published"],
+    to: "draft",
+    permission: "content.review",
+  },
+  archive: {
+    from: ["draft", "in_review", "published"],
+    to: "archived",
+    permission: "content.review",
+  },
+  restore: { from: ["archived"], to: "draft", permission: "write" },
+};
+
+// Editorial settings per change_log entity type
+const EDITORIAL_TYPES = {
+  module: { writePermission: "content.write", orgScoped: true },
+  meca_aid: { writePermission: "content.write", orgScoped: true },
+  error_code: { writePermission: "error_codes.publish", orgScoped: false },
+  animation: { writePermission: "content.write", orgScoped: false },
+};
+
+// SQL condition for rows that are live: active, published and inside any
+// publish window. `alias` is the table alias used in the query, if any.
+const liveClause = (alias) => {
+  const c = alias ? `${alias}.` : "";
+  return `${c}is_active = true AND ${c}status = 'published' AND (${c}publish_at IS NULL OR ${c}publish_at <= NOW()) AND (${c}unpublish_at IS NULL OR ${c}unpublish_at > NOW())`;
+};
+
+// Content under review or published only changes with reviewer sign-off;
+// writers withdraw it, or have it unpublished, before editing
+const LOCKED_STATUSES = ["in_review", "published"];
+
+const EDIT_LOCKED_MESSAGE =
+  "Only reviewers can edit content that is in review or published";
+
+const isEditLocked = (user, row) =>
+  LOCKED_STATUSES.includes(row.status) &&
+  !canManage(user, row.organization_id ?? null, "content.review");
+
+const recordWorkflowEvent = (executor, event) =>
+  executor.execute(
+    `
+    INSERT INTO content_workflow_events (entity_type, entity_key, action, from_status, to_status, note, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      event.entityType,
+      event.entityKey,
+      event.action,
+      event.fromStatus,
+      event.toStatus,
+      event.note || null,
+      event.userId || null,
+    ]
+  );
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  EDITORIAL_TYPES,
+  EDIT_LOCKED_MESSAGE,
+  liveClause,
+  isEditLocked,
+  recordWorkflowEvent,
+};